@@ -1,30 +1,53 @@
 // app.js — Bootstrap & two-phase AR flow
 // HIDDEN Exhibition · AR Point Cloud Experience
 //
-// Phase 0: Load point cloud
+// Phase 0: Load the scene manifest's point clouds
 // Phase 1: AR.js detects custom marker (confirms user is at correct spot)
 // Phase 2: WebXR immersive-ar session with hit-test (world-tracked tree)
 
 import * as THREE from 'three';
 import { createScene, updateUniforms } from './scene.js';
-import { loadPointCloud } from './point-cloud-loader.js';
+import { loadSceneManifest } from './scene-manifest.js';
+import { updatePointCloudLOD } from './point-cloud-octree.js';
 import { startMarkerTracking, waitForMarkerDetection } from './marker-tracking.js';
 import {
   isWebXRSupported,
   startWebXRSession,
   stopHitTest,
+  anchorObject,
+  prepareMarkerImage,
   requestWakeLock,
 } from './webxr-session.js';
+import { registerOfflineCache } from './offline-cache.js';
+import { hasPreset, applyPreset } from './uniform-presets.js';
+import { initTuningPanel } from './tuning-panel.js';
+import { initTouchInteraction, updateTouchInteraction } from './touch-interaction.js';
+import { initPlacementGestures, updatePlacementGestures, finishReplacement } from './placement-gestures.js';
+import { tween, play } from '../systems/timelineSystem.js';
+import { init as initDissolve } from '../systems/dissolveSystem.js';
+import { init as initFlocking, update as updateFlocking } from '../systems/flockingSystem.js';
+import { init as initTrails, update as updateTrails } from '../systems/trailSystem.js';
+import { init as initAudio, startMicrophone } from '../systems/audioSystem.js';
+import { init as initHandTracker, update as updateHands } from '../systems/handTracker.js';
+import { init as initGovernor, update as updateGovernor } from '../systems/performanceGovernor.js';
+import { init as initSoundscape, setAnchor as anchorSoundscape, update as updateSoundscape } from '../systems/soundscapeSystem.js';
+import { init as initOcclusion, update as updateOcclusion } from '../systems/depthOcclusion.js';
 import { uniforms } from '../uniformsRegistry.js';
 
 console.log('[HIDDEN] AR app initialising');
 
-const TREE_PLY_URL = 'assets/stjohn_originbase.ply';
+const SCENE_MANIFEST_URL = 'assets/scene.json';
 
 const MODE = new URLSearchParams(window.location.search).get('mode') || 'auto';
+// Named uniform preset to start with (see uniform-presets.js), e.g. ?preset=calm
+const PRESET = new URLSearchParams(window.location.search).get('preset');
+
+const PLACEMENT_PROMPT = 'Align the white square with the marker on the floor, hold still until it fills in, then tap to place the tree';
+const MARKER_PROMPT = 'Point your camera at the marker on the floor — the tree will appear on it';
+const PLACEMENT_EDIT_PROMPT = 'Drag to move · twist to rotate · pinch to resize · hold to place again · tap when done';
 
 let scene, camera, renderer;
-let treeData = null;
+let sceneData = null;
 let treePlaced = false;
 
 // --- UI helpers ---
@@ -156,7 +179,7 @@ async function loadAssets() {
   setLoadingText('Loading point cloud…');
   const t0 = performance.now();
 
-  treeData = await loadPointCloud(TREE_PLY_URL, {
+  sceneData = await loadSceneManifest(SCENE_MANIFEST_URL, {
     onProgress: (event) => {
       if (event.lengthComputable) {
         const pct = Math.min(Math.round((event.loaded / event.total) * 100), 99);
@@ -166,10 +189,15 @@ async function loadAssets() {
         setLoadingText(`Loading point cloud… ${mb} MB`);
       }
     },
+    // The clouds keep streaming in behind the intro; their draw ranges grow as chunks arrive
+    onComplete: () => {
+      const dt = performance.now() - t0;
+      console.log(`[HIDDEN] Scene fully loaded in ${dt.toFixed(0)}ms`);
+    },
   });
 
   const dt = performance.now() - t0;
-  console.log(`[HIDDEN] Point cloud loaded in ${dt.toFixed(0)}ms`);
+  console.log(`[HIDDEN] First chunk of ${sceneData.clouds.length} point clouds ready in ${dt.toFixed(0)}ms`);
 }
 
 // ─────────────────────────────────────────────
@@ -211,7 +239,7 @@ function waitForUserTapAndStartAR() {
     btn.style.transition = 'opacity 1s ease-in-out';
     
     // Type out the instructions
-    const instructionText = 'Hello stranger. Turn around and stand outside of the white square. Point your camera and align the pointer with the marker on the floor. Tap when aligned. Enjoy the tree.';
+    const instructionText = 'Hello stranger. Turn around and stand outside of the white square. Point your camera at the marker on the floor. If the tree does not appear, align the pointer with the marker and tap. Enjoy the tree.';
     
     await typeText(instructionText, statusEl, 80);
     
@@ -234,6 +262,13 @@ function waitForUserTapAndStartAR() {
         btn.disabled = true;
       }, 1000);
 
+      // The AudioContext is created synchronously here, inside the gesture.
+      // The microphone is only asked for once the tree is placed, so no
+      // permission prompt competes with requestSession. The soundscape
+      // stays silent until then too.
+      initAudio();
+      initSoundscape(renderer, camera);
+
       // IMPORTANT: keep requestSession call in this click task to preserve
       // Chrome's transient user activation requirement for immersive-ar.
       try {
@@ -258,26 +293,30 @@ async function startWorldAR() {
 
   // Reset tree state for clean WebXR session
   treePlaced = false;
-  if (treeData && treeData.points) {
-    const wasInScene = scene.children.includes(treeData.points);
+  if (sceneData && sceneData.group) {
+    const wasInScene = scene.children.includes(sceneData.group);
     if (wasInScene) {
-      scene.remove(treeData.points);
+      scene.remove(sceneData.group);
       console.log('[HIDDEN] Removed existing tree from scene before WebXR');
     }
     console.log('[HIDDEN] Reset tree state for WebXR');
   }
 
-  await startWebXRSession(renderer, scene, camera, {
+  const { markerTracking } = await startWebXRSession(renderer, scene, camera, {
     onPlace: (hitPose) => {
       placeTree(hitPose);
     },
+    onTrackingChange: (tracked) => {
+      onTrackingChange(tracked);
+    },
     onSessionEnd: () => {
       console.log('[HIDDEN] WebXR session ended');
     },
   });
 
-  // Update status once session is live - reticle will appear softly
-  setArStatus('Align the white square with the marker on the floor, then tap to place the tree');
+  // Update status once session is live - reticle will appear softly. With image
+  // tracking the marker places the tree by itself; the reticle is the fallback.
+  setArStatus(markerTracking ? MARKER_PROMPT : PLACEMENT_PROMPT);
 
   // Request wake lock to prevent screen dimming
   await requestWakeLock();
@@ -287,52 +326,105 @@ async function startWorldAR() {
 // Place tree at hit-test position
 // ─────────────────────────────────────────────
 function placeTree(hitPose) {
-  if (treePlaced || !treeData) {
-    console.log('[HIDDEN] placeTree skipped - treePlaced:', treePlaced, 'treeData exists:', !!treeData);
+  if (!sceneData) {
+    console.log('[HIDDEN] placeTree skipped - sceneData exists:', !!sceneData);
     return;
   }
-  treePlaced = true;
   console.log('[HIDDEN] Placing tree at hit pose');
 
-  const { points } = treeData;
+  // Every cloud stands on the group origin (loaded with anchor 'base') at its
+  // manifest offset, so the hit-test floor point is the group position. The
+  // tree turns with the reticle, or the tracked marker: the pose's yaw (its Y
+  // axis is the floor normal).
+  const { group } = sceneData;
+  const { x, y, z, w } = hitPose.orientation;
+  group.position.set(hitPose.position.x, hitPose.position.y, hitPose.position.z);
+  group.rotation.set(0, new THREE.Euler().setFromQuaternion(new THREE.Quaternion(x, y, z, w), 'YXZ').y, 0);
+  anchorObject(group); // follows the placement anchor from here on
+  stopHitTest();
 
-  // The mesh already has centering offset (points.position) and normalised scale
-  // from the loader. We ADD the hit-test position on top of the existing offset.
-  const floorOffset = 1.05;
-  points.position.x += hitPose.position.x;
-  points.position.y += hitPose.position.y - floorOffset;
-  points.position.z += hitPose.position.z;
+  if (treePlaced) {
+    // Re-placed after a long-press — everything else is already running
+    finishReplacement();
+    showArPrompt('');
+    console.log(`[HIDDEN] Tree re-placed at (${hitPose.position.x.toFixed(2)}, ${hitPose.position.y.toFixed(2)}, ${hitPose.position.z.toFixed(2)})`);
+    return;
+  }
+  treePlaced = true;
 
-  scene.add(points);
-  console.log('[HIDDEN] Tree added to scene, total children:', scene.children.length);
+  scene.add(group);
+  console.log('[HIDDEN] Scene added, total children:', scene.children.length);
 
-  // Debug tree size
-  const bbox = new THREE.Box3().setFromObject(points);
-  const size = new THREE.Vector3();
-  bbox.getSize(size);
-  console.log('[HIDDEN] Tree bounding box:', size.x.toFixed(2), 'x', size.y.toFixed(2), 'x', size.z.toFixed(2));
-  console.log('[HIDDEN] Tree scale:', points.scale.x.toFixed(2), points.scale.y.toFixed(2), points.scale.z.toFixed(2));
+  // Debug scene size
+  for (const { id, wrapper } of sceneData.clouds) {
+    const bbox = new THREE.Box3().setFromObject(wrapper);
+    const size = new THREE.Vector3();
+    bbox.getSize(size);
+    console.log(`[HIDDEN] ${id} bounding box:`, size.x.toFixed(2), 'x', size.y.toFixed(2), 'x', size.z.toFixed(2));
+  }
 
   // Start simple opacity fade-in
   startOpacityFadeIn();
 
-  // Stop hit-testing
-  stopHitTest();
+  // Touch physics, hands, firefly boids + trails and the dissolution idle timer start once the tree is visible
+  initTouchInteraction(renderer, camera, sceneData.clouds);
+  initHandTracker(renderer, sceneData.clouds);
+  initFlocking(renderer, sceneData.clouds);
+  initTrails(renderer, scene, camera, sceneData.clouds);
+  initDissolve(renderer);
+  anchorSoundscape(group, sceneData.clouds);
+  startMicrophone();
+  initGovernor(renderer, sceneData.clouds);
+  initOcclusion(renderer, sceneData.clouds);
+  initPlacementGestures(renderer, group, {
+    onEditModeChange: (editing) => showArPrompt(editing ? PLACEMENT_EDIT_PROMPT : ''),
+    onReplace: () => showArPrompt(PLACEMENT_PROMPT),
+  });
 
   // Fade out AR status — but NEVER set display:none on the DOM overlay root
   // The DOM overlay root must remain in the DOM and visible (even if empty)
-  // during the entire WebXR session, or Chrome kills the compositing pipeline
+  // during the entire WebXR session, or Chrome kills the compositing pipeline.
+  // Only the prompt content fades, so the tuning panel stays usable.
   setArStatus('');
   const arOverlay = ui.arOverlay();
   if (arOverlay) {
     arOverlay.style.pointerEvents = 'none';
-    arOverlay.style.opacity = '0';
-    arOverlay.style.transition = 'opacity 0.5s ease';
+    const content = arOverlay.querySelector('.ar-overlay-content');
+    if (content) {
+      content.style.opacity = '0';
+      content.style.transition = 'opacity 0.5s ease';
+    }
   }
 
   console.log(`[HIDDEN] Tree placed at (${hitPose.position.x.toFixed(2)}, ${hitPose.position.y.toFixed(2)}, ${hitPose.position.z.toFixed(2)})`);
 }
 
+/**
+ * Tracking lost: fade the tree out and tell the visitor; fade it back in once
+ * the anchor is tracked again. Only the prompt content is shown or hidden —
+ * the DOM overlay root itself must stay visible (see placeTree).
+ */
+function onTrackingChange(tracked) {
+  if (!treePlaced) return;
+  play(
+    tween('uOpacity', { to: tracked ? 1 : 0, duration: tracked ? 1.5 : 0.8, easing: 'easeInOutSine' }),
+    { id: 'opacity-fade' },
+  );
+  showArPrompt(tracked ? '' : 'Tracking lost — move your phone slowly and look around the room');
+}
+
+/**
+ * Show a prompt over the placed tree, or fade it away with ''. Only the prompt
+ * content fades — the DOM overlay root itself must stay visible (see placeTree).
+ */
+function showArPrompt(text) {
+  if (text) setArStatus(text);
+  // The status line was faded out at the Enter AR tap; both fade with their CSS transitions
+  for (const el of [ui.arOverlay()?.querySelector('.ar-overlay-content'), ui.arStatus()]) {
+    if (el) el.style.opacity = text ? '1' : '0';
+  }
+}
+
 // ─────────────────────────────────────────────
 // No fallback - WebXR required
 // ─────────────────────────────────────────────
@@ -349,6 +441,9 @@ async function startMarkerAnchoredMode() {
   if (btn) btn.classList.add('hidden');
   setArStatus('Point camera at the marker');
 
+  // No gesture here — the AudioContext resumes on the first tap
+  initAudio();
+
   let ar;
   try {
     ar = await startMarkerTracking(scene, camera, renderer);
@@ -357,15 +452,27 @@ async function startMarkerAnchoredMode() {
     setArStatus('Marker mode failed: ' + err.message);
     return;
   }
+  // After the camera prompt, so the two permission requests do not overlap
+  startMicrophone();
 
-  if (treeData && treeData.points) {
-    ar.anchorGroup.add(treeData.points);
+  if (sceneData && sceneData.group) {
+    ar.anchorGroup.add(sceneData.group);
     uniforms.uOpacity.value = 1.0;
+    initTouchInteraction(renderer, camera, sceneData.clouds);
+    initFlocking(renderer, sceneData.clouds);
+    initTrails(renderer, scene, camera, sceneData.clouds);
+    initDissolve(renderer);
+    initGovernor(renderer, sceneData.clouds);
   }
 
-  function animate() {
+  function animate(timestamp) {
     requestAnimationFrame(animate);
-    updateUniforms();
+    updateGovernor();
+    updateUniforms(timestamp);
+    updateTouchInteraction();
+    updateFlocking();
+    updateTrails();
+    updatePointCloudLOD(renderer, camera);
     renderer.render(scene, camera);
   }
   animate();
@@ -374,40 +481,32 @@ async function startMarkerAnchoredMode() {
 // ─────────────────────────────────────────────
 // Global animation update (called from WebXR render loop)
 // ─────────────────────────────────────────────
-function updateAnimations() {
-  updateUniforms();
+function updateAnimations(timestamp) {
+  updateGovernor();
+  updateUniforms(timestamp);
+  updatePlacementGestures();
+  updateTouchInteraction();
+  updateHands();
+  updateFlocking();
+  updateTrails();
+  updateSoundscape();
+  updateOcclusion();
+  updatePointCloudLOD(renderer, camera);
 }
 
 /**
- * Simple opacity fade-in: animate uOpacity from 0 → 1 over 2 seconds
+ * Simple opacity fade-in: tween uOpacity from 0 → 1 over 2 seconds.
+ * Stepped by the timeline from the XR frame loop (updateUniforms).
  */
 function startOpacityFadeIn() {
-  if (window.fadeAnimationFrameId) {
-    cancelAnimationFrame(window.fadeAnimationFrameId);
-  }
-
   uniforms.uOpacity.value = 0.0;
-  const fadeDuration = 2000;
-  const startTime = performance.now();
-
-  function tick() {
-    const elapsed = performance.now() - startTime;
-    const t = Math.min(elapsed / fadeDuration, 1.0);
-    // Ease-in-out cubic
-    uniforms.uOpacity.value = t < 0.5
-      ? 4 * t * t * t
-      : 1 - Math.pow(-2 * t + 2, 3) / 2;
-
-    if (t < 1.0) {
-      window.fadeAnimationFrameId = requestAnimationFrame(tick);
-    } else {
-      uniforms.uOpacity.value = 1.0;
-      window.fadeAnimationFrameId = null;
-      console.log('[HIDDEN] Opacity fade-in complete');
-    }
-  }
-
-  tick();
+  const fade = play(
+    tween('uOpacity', { from: 0, to: 1, duration: 2, easing: 'easeInOutCubic' }),
+    { id: 'opacity-fade' },
+  );
+  fade.finished.then((completed) => {
+    if (completed) console.log('[HIDDEN] Opacity fade-in complete');
+  });
   console.log('[HIDDEN] Starting opacity fade-in (2s)');
 }
 
@@ -420,13 +519,24 @@ window.updateAnimations = updateAnimations;
 async function init() {
   console.log('[HIDDEN] init()');
 
+  // Precache everything for offline use (or clear caches in ?dev=1 mode)
+  await registerOfflineCache();
+
+  // Hidden tuning panel (?tune=1 or secret tap) — restores saved values first
+  initTuningPanel();
+
+  if (PRESET) {
+    if (hasPreset(PRESET)) applyPreset(PRESET);
+    else console.warn(`[HIDDEN] Unknown preset "${PRESET}" — using defaults`);
+  }
+
   // Create Three.js scene (XR-ready)
   const sceneObjects = createScene();
   scene = sceneObjects.scene;
   camera = sceneObjects.camera;
   renderer = sceneObjects.renderer;
 
-  // Phase 0: Load point cloud
+  // Phase 0: Load point clouds
   try {
     await loadAssets();
     setLoadingText('Assets loaded ✓');
@@ -463,6 +573,9 @@ async function init() {
   // Skip marker detection - go directly to WebXR
   console.log('[HIDDEN] Skipping marker detection - starting WebXR directly');
 
+  // Decoded during the intro, so the session can register it for image tracking
+  prepareMarkerImage();
+
   // User gesture gate — WebXR requestSession requires a tap on Chrome Android.
   // We start Phase 2 directly inside the click handler to preserve activation.
   try {
@@ -0,0 +1,51 @@
+// formats/format-utils.js — Helpers shared by the point cloud format decoders
+// HIDDEN Exhibition · AR Point Cloud Experience
+
+// Colour for clouds with neither RGB nor intensity
+export const DEFAULT_GREY = 0.8;
+
+// sRGB → linear, matching the conversion PLYLoader applies to vertex colours
+export function srgbToLinear(c) {
+  return c < 0.04045 ? c * 0.0773993808 : Math.pow(c * 0.9478672986 + 0.0521327014, 2.4);
+}
+
+// Linear → sRGB, the inverse of srgbToLinear
+export function linearToSrgb(c) {
+  return c < 0.0031308 ? c * 12.92 : 1.055 * Math.pow(c, 0.41666) - 0.055;
+}
+
+/**
+ * Drain the rest of a source into one contiguous buffer.
+ * @param {{ read: function(): Promise<Uint8Array|null> }} source
+ * @param {Uint8Array} [head] — bytes already received
+ * @returns {Promise<Uint8Array>}
+ */
+export async function readAll(source, head = new Uint8Array(0)) {
+  const chunks = [head];
+  let length = head.length;
+  for (;;) {
+    const value = await source.read();
+    if (!value) break;
+    chunks.push(value);
+    length += value.length;
+  }
+  const out = new Uint8Array(length);
+  let offset = 0;
+  for (const chunk of chunks) {
+    out.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return out;
+}
+
+/**
+ * Convert a Z-up survey coordinate into the scene's Y-up frame, in place.
+ * (x, y, z) → (x, z, -y)
+ */
+export function zUpToYUp(positions) {
+  for (let i = 0; i < positions.length; i += 3) {
+    const y = positions[i + 1];
+    positions[i + 1] = positions[i + 2];
+    positions[i + 2] = -y;
+  }
+}
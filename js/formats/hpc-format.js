@@ -0,0 +1,179 @@
+// formats/hpc-format.js — Compact quantised point cloud format (.hpc)
+// HIDDEN Exhibition · AR Point Cloud Experience
+//
+// Project-specific binary format written by scripts/convert-point-cloud.mjs and
+// streamed by point-cloud-worker.js. Little-endian throughout:
+//
+//   0   'HPC1'                  magic
+//   4   uint32                  header JSON byte length (L)
+//   8   L bytes                 UTF-8 JSON header, space-padded to a 4-byte boundary
+//   …   count × stride bytes    interleaved point records:
+//         uint16 ×3   position, quantised to 0–65535 within header.bounds
+//         uint8  ×3   sRGB colour
+//         uint8       particleRole (precomputed)
+//         uint8       intensity 0–255      (only if header.hasIntensity)
+//         uint8       classification       (only if header.hasClassification)
+//
+// Records are stored in octree order (header.nodes / header.fireflies, see
+// octree-builder.js), breadth first, so the stream arrives coarse to fine.
+
+import { srgbToLinear, linearToSrgb } from './format-utils.js';
+
+const MAGIC = 'HPC1';
+const VERSION = 1;
+
+/**
+ * @param {Uint8Array} bytes — first bytes of the file
+ * @returns {boolean}
+ */
+export function sniffHpc(bytes) {
+  return bytes.length >= 4 && new TextDecoder('ascii').decode(bytes.subarray(0, 4)) === MAGIC;
+}
+
+function recordStride(header) {
+  return 10 + (header.hasIntensity ? 1 : 0) + (header.hasClassification ? 1 : 0);
+}
+
+/**
+ * Encode a fully processed cloud. Attributes must already be in octree order.
+ *
+ * @param {object} cloud
+ * @param {Float32Array} cloud.positions
+ * @param {Float32Array} cloud.colors — linear 0–1
+ * @param {Float32Array} cloud.intensity — 0–1
+ * @param {Float32Array} cloud.classification
+ * @param {Float32Array} cloud.roles
+ * @param {{ min: number[], max: number[] }} cloud.bounds
+ * @param {Array<object>} cloud.nodes
+ * @param {{ offset: number, count: number }} cloud.fireflies
+ * @param {object} cloud.meta — hasColor, hasIntensity, hasClassification, origin, source
+ * @returns {Uint8Array}
+ */
+export function encodeHpc(cloud) {
+  const count = cloud.roles.length;
+  const header = {
+    version: VERSION,
+    count,
+    bounds: cloud.bounds,
+    hasColor: cloud.meta.hasColor,
+    hasIntensity: cloud.meta.hasIntensity,
+    hasClassification: cloud.meta.hasClassification,
+    origin: cloud.meta.origin ?? [0, 0, 0],
+    source: cloud.meta.source,
+    nodes: cloud.nodes,
+    fireflies: cloud.fireflies,
+  };
+  const stride = recordStride(header);
+
+  let json = JSON.stringify(header);
+  while ((8 + new TextEncoder().encode(json).length) % 4 !== 0) json += ' ';
+  const jsonBytes = new TextEncoder().encode(json);
+
+  const bodyStart = 8 + jsonBytes.length;
+  const out = new Uint8Array(bodyStart + count * stride);
+  const view = new DataView(out.buffer);
+  out.set(new TextEncoder().encode(MAGIC), 0);
+  view.setUint32(4, jsonBytes.length, true);
+  out.set(jsonBytes, 8);
+
+  const { min, max } = cloud.bounds;
+  const range = [0, 1, 2].map((a) => Math.max(max[a] - min[a], 1e-9));
+  const toByte = (v) => Math.max(0, Math.min(255, Math.round(v * 255)));
+
+  for (let i = 0; i < count; i++) {
+    const base = bodyStart + i * stride;
+    for (let a = 0; a < 3; a++) {
+      const q = Math.round(((cloud.positions[i * 3 + a] - min[a]) / range[a]) * 65535);
+      view.setUint16(base + a * 2, Math.max(0, Math.min(65535, q)), true);
+    }
+    for (let c = 0; c < 3; c++) out[base + 6 + c] = toByte(linearToSrgb(cloud.colors[i * 3 + c]));
+    out[base + 9] = Math.round(cloud.roles[i]);
+    let extra = base + 10;
+    if (header.hasIntensity) out[extra++] = toByte(cloud.intensity[i]);
+    if (header.hasClassification) out[extra] = Math.round(cloud.classification[i]) & 0xff;
+  }
+  return out;
+}
+
+/**
+ * Decode an .hpc stream into the worker sink. Chunks carry precomputed roles,
+ * and the header carries the octree, so the worker skips both passes.
+ * @param {{ prefix: Uint8Array, read: function(): Promise<Uint8Array|null> }} source
+ * @param {{ begin: function(object): void, emit: function(object): void }} sink
+ */
+export async function decodeHpc(source, sink) {
+  let pending = source.prefix;
+  const need = async (length) => {
+    while (pending.length < length) {
+      const value = await source.read();
+      if (!value) throw new Error('HPC stream ended inside the header');
+      const merged = new Uint8Array(pending.length + value.length);
+      merged.set(pending, 0);
+      merged.set(value, pending.length);
+      pending = merged;
+    }
+  };
+
+  await need(8);
+  const jsonLength = new DataView(pending.buffer, pending.byteOffset).getUint32(4, true);
+  await need(8 + jsonLength);
+  const header = JSON.parse(new TextDecoder().decode(pending.subarray(8, 8 + jsonLength)));
+  if (header.version !== VERSION) throw new Error(`Unsupported HPC version ${header.version}`);
+
+  const stride = recordStride(header);
+  const { min, max } = header.bounds;
+  const scale = [0, 1, 2].map((a) => (max[a] - min[a]) / 65535);
+
+  sink.begin({
+    format: 'hpc',
+    vertexCount: header.count,
+    hasColor: header.hasColor,
+    hasIntensity: header.hasIntensity,
+    hasClassification: header.hasClassification,
+    totalBytes: 8 + jsonLength + header.count * stride,
+    origin: header.origin,
+    octree: { nodes: header.nodes, fireflies: header.fireflies },
+  });
+
+  // 8-bit sRGB → linear lookup
+  const colorLut = new Float32Array(256);
+  for (let i = 0; i < 256; i++) colorLut[i] = srgbToLinear(i / 255);
+
+  pending = pending.slice(8 + jsonLength);
+  let decoded = 0;
+  for (;;) {
+    const count = Math.min(Math.floor(pending.length / stride), header.count - decoded);
+    if (count > 0) {
+      const view = new DataView(pending.buffer, pending.byteOffset, pending.byteLength);
+      const positions = new Float32Array(count * 3);
+      const colors = new Float32Array(count * 3);
+      const intensity = new Float32Array(count).fill(1);
+      const classification = new Float32Array(count);
+      const roles = new Float32Array(count);
+
+      for (let i = 0; i < count; i++) {
+        const base = i * stride;
+        for (let a = 0; a < 3; a++) {
+          positions[i * 3 + a] = min[a] + view.getUint16(base + a * 2, true) * scale[a];
+          colors[i * 3 + a] = colorLut[pending[base + 6 + a]];
+        }
+        roles[i] = pending[base + 9];
+        let extra = base + 10;
+        if (header.hasIntensity) intensity[i] = pending[extra++] / 255;
+        if (header.hasClassification) classification[i] = pending[extra];
+      }
+
+      sink.emit({ start: decoded, count, positions, colors, intensity, classification, roles });
+      decoded += count;
+      pending = pending.slice(count * stride);
+    }
+    if (decoded >= header.count) break;
+
+    const value = await source.read();
+    if (!value) break;
+    const merged = new Uint8Array(pending.length + value.length);
+    merged.set(pending, 0);
+    merged.set(value, pending.length);
+    pending = merged;
+  }
+}
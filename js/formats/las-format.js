@@ -0,0 +1,231 @@
+// formats/las-format.js — Streaming LAS decoder + LAZ via laz-perf
+// HIDDEN Exhibition · AR Point Cloud Experience
+//
+// Runs inside point-cloud-worker.js. Uncompressed LAS point records are decoded
+// chunk by chunk as they arrive. LAZ is decompressed with laz-perf (WASM, vendored
+// under lib/laz-perf/ and imported on first use) once the download completes.
+//
+// Positions are re-based to the header's minimum corner: survey coordinates
+// (e.g. OS grid eastings) lose centimetre precision in float32 otherwise.
+// Mesh-level centring in the loader still applies on top.
+
+import { srgbToLinear, readAll, zUpToYUp } from './format-utils.js';
+
+const LAZ_PERF_MODULE = new URL('../../lib/laz-perf/laz-perf.js', import.meta.url);
+
+// Byte offset of RGB within a point record, per point data record format
+const RGB_OFFSET = { 2: 20, 3: 28, 5: 28, 7: 30, 8: 30, 10: 30 };
+
+let lazPerfPromise = null;
+
+/**
+ * @param {Uint8Array} bytes — first bytes of the file
+ * @returns {boolean}
+ */
+export function sniffLas(bytes) {
+  return bytes.length >= 4 && bytes[0] === 0x4c && bytes[1] === 0x41 && bytes[2] === 0x53 && bytes[3] === 0x46; // 'LASF'
+}
+
+/**
+ * Parse the LAS public header block (LAS 1.0–1.4).
+ * @param {Uint8Array} bytes — at least the first 375 bytes (or the whole header)
+ */
+function parseLasHeader(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const versionMinor = view.getUint8(25);
+  const headerSize = view.getUint16(94, true);
+  const rawFormat = view.getUint8(104);
+
+  let pointCount = view.getUint32(107, true);
+  if (pointCount === 0 && versionMinor >= 4 && headerSize >= 375) {
+    pointCount = Number(view.getBigUint64(247, true));
+  }
+
+  return {
+    version: `1.${versionMinor}`,
+    pointDataOffset: view.getUint32(96, true),
+    // Bits 6/7 flag a LAZ-compressed record format
+    compressed: (rawFormat & 0xc0) !== 0,
+    pointFormat: rawFormat & 0x3f,
+    recordLength: view.getUint16(105, true),
+    pointCount,
+    scale: [view.getFloat64(131, true), view.getFloat64(139, true), view.getFloat64(147, true)],
+    offset: [view.getFloat64(155, true), view.getFloat64(163, true), view.getFloat64(171, true)],
+    min: [view.getFloat64(187, true), view.getFloat64(203, true), view.getFloat64(219, true)],
+  };
+}
+
+/**
+ * Decodes LAS point records into chunk arrays. Colour and intensity ranges
+ * vary between exporters (8-bit values in 16-bit fields are common), so the
+ * scale is chosen from the first batch and kept for the rest of the file.
+ */
+function createRecordDecoder(header, upAxis) {
+  const { pointFormat, recordLength, pointCount, scale, offset, min } = header;
+  const rgbOffset = RGB_OFFSET[pointFormat];
+  const hasColor = rgbOffset !== undefined;
+  const classOffset = pointFormat >= 6 ? 16 : 15;
+  const classMask = pointFormat >= 6 ? 0xff : 0x1f;
+  let colorScale = null;
+  let intensityScale = null;
+  let decoded = 0;
+
+  function decode(bytes, count) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const positions = new Float32Array(count * 3);
+    const colors = new Float32Array(count * 3);
+    const intensities = new Float32Array(count);
+    const classes = new Float32Array(count);
+
+    if (colorScale === null) {
+      let maxColor = 0;
+      let maxIntensity = 0;
+      for (let i = 0; i < count; i++) {
+        const base = i * recordLength;
+        maxIntensity = Math.max(maxIntensity, view.getUint16(base + 12, true));
+        if (hasColor) {
+          for (let c = 0; c < 3; c++) maxColor = Math.max(maxColor, view.getUint16(base + rgbOffset + c * 2, true));
+        }
+      }
+      colorScale = maxColor <= 255 ? 1 / 255 : 1 / 65535;
+      intensityScale = maxIntensity <= 255 ? 1 / 255 : 1 / 65535;
+    }
+
+    for (let i = 0; i < count; i++) {
+      const base = i * recordLength;
+      const v = i * 3;
+      for (let a = 0; a < 3; a++) {
+        positions[v + a] = view.getInt32(base + a * 4, true) * scale[a] + offset[a] - min[a];
+      }
+      intensities[i] = view.getUint16(base + 12, true) * intensityScale;
+      classes[i] = view.getUint8(base + classOffset) & classMask;
+      if (hasColor) {
+        for (let c = 0; c < 3; c++) {
+          colors[v + c] = srgbToLinear(view.getUint16(base + rgbOffset + c * 2, true) * colorScale);
+        }
+      } else {
+        // No RGB — greyscale from intensity so the scan still reads
+        colors[v] = colors[v + 1] = colors[v + 2] = srgbToLinear(intensities[i]);
+      }
+    }
+    if (upAxis === 'z') zUpToYUp(positions);
+
+    const start = decoded;
+    decoded += count;
+    return { start, count, positions, colors, intensity: intensities, classification: classes };
+  }
+
+  return {
+    decode,
+    hasColor,
+    get remaining() { return pointCount - decoded; },
+  };
+}
+
+/**
+ * Load laz-perf once per worker. The vendored copy is the package's worker
+ * build with an ES default export appended (see lib/laz-perf/README.md); its
+ * .wasm sits next to it and is precached with the rest of lib/.
+ */
+function loadLazPerf() {
+  if (!lazPerfPromise) {
+    lazPerfPromise = (async () => {
+      const { default: createLazPerf } = await import(LAZ_PERF_MODULE.href);
+      return createLazPerf({ locateFile: (path) => new URL(path, LAZ_PERF_MODULE).href });
+    })();
+  }
+  return lazPerfPromise;
+}
+
+/**
+ * Decompress a complete LAZ file and emit its points in batches.
+ */
+async function decodeLaz(file, header, recordDecoder, sink) {
+  const LazPerf = await loadLazPerf();
+  const laszip = new LazPerf.LASZip();
+  const filePtr = LazPerf._malloc(file.length);
+  const pointPtr = LazPerf._malloc(header.recordLength);
+
+  try {
+    LazPerf.HEAPU8.set(file, filePtr);
+    laszip.open(filePtr, file.length);
+
+    const batchSize = 65536;
+    while (recordDecoder.remaining > 0) {
+      const count = Math.min(batchSize, recordDecoder.remaining);
+      const batch = new Uint8Array(count * header.recordLength);
+      for (let i = 0; i < count; i++) {
+        laszip.getPoint(pointPtr);
+        batch.set(LazPerf.HEAPU8.subarray(pointPtr, pointPtr + header.recordLength), i * header.recordLength);
+      }
+      sink.emit(recordDecoder.decode(batch, count));
+    }
+  } finally {
+    LazPerf._free(pointPtr);
+    LazPerf._free(filePtr);
+    laszip.delete();
+  }
+}
+
+/**
+ * Decode a LAS or LAZ stream into the worker sink.
+ * @param {{ prefix: Uint8Array, read: function(): Promise<Uint8Array|null> }} source
+ * @param {{ begin: function(object): void, emit: function(object): void }} sink
+ * @param {{ upAxis?: 'y'|'z' }} [options] — LAS is Z-up unless told otherwise
+ */
+export async function decodeLas(source, sink, options = {}) {
+  const upAxis = options.upAxis ?? 'z';
+
+  // ── Read until the whole header + VLRs (everything before the point data) is here ──
+  let received = source.prefix;
+  const need = async (length) => {
+    while (received.length < length) {
+      const value = await source.read();
+      if (!value) throw new Error('LAS stream ended inside the header');
+      const merged = new Uint8Array(received.length + value.length);
+      merged.set(received, 0);
+      merged.set(value, received.length);
+      received = merged;
+    }
+  };
+  await need(227);
+  await need(Math.min(375, new DataView(received.buffer, received.byteOffset).getUint16(94, true)));
+  const header = parseLasHeader(received);
+  await need(header.pointDataOffset);
+
+  const recordDecoder = createRecordDecoder(header, upAxis);
+  console.log(`[PointCloud] LAS ${header.version}, point format ${header.pointFormat}${header.compressed ? ' (LAZ)' : ''}, ${header.pointCount} points`);
+
+  sink.begin({
+    format: header.compressed ? 'laz' : 'las',
+    vertexCount: header.pointCount,
+    hasColor: recordDecoder.hasColor,
+    hasIntensity: true,
+    hasClassification: true,
+    totalBytes: header.compressed ? 0 : header.pointDataOffset + header.pointCount * header.recordLength,
+    origin: header.min,
+  });
+
+  if (header.compressed) {
+    await decodeLaz(await readAll(source, received), header, recordDecoder, sink);
+    return;
+  }
+
+  // ── Uncompressed: decode whole records as they arrive, carry the partial tail ──
+  let pending = received.subarray(header.pointDataOffset);
+  for (;;) {
+    const count = Math.min(Math.floor(pending.length / header.recordLength), recordDecoder.remaining);
+    if (count > 0) {
+      sink.emit(recordDecoder.decode(pending, count));
+      pending = pending.slice(count * header.recordLength);
+    }
+    if (recordDecoder.remaining === 0) break;
+
+    const value = await source.read();
+    if (!value) break;
+    const merged = new Uint8Array(pending.length + value.length);
+    merged.set(pending, 0);
+    merged.set(value, pending.length);
+    pending = merged;
+  }
+}
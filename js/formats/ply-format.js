@@ -0,0 +1,283 @@
+// formats/ply-format.js — Streaming PLY decoder (binary + ASCII)
+// HIDDEN Exhibition · AR Point Cloud Experience
+//
+// Runs inside point-cloud-worker.js. Binary bodies are decoded chunk by chunk as
+// they arrive; ASCII bodies are decoded once the download completes.
+
+import { srgbToLinear, readAll, DEFAULT_GREY } from './format-utils.js';
+
+const PLY_TYPES = {
+  char:    { size: 1, read: (v, o) => v.getInt8(o) },
+  int8:    { size: 1, read: (v, o) => v.getInt8(o) },
+  uchar:   { size: 1, read: (v, o) => v.getUint8(o) },
+  uint8:   { size: 1, read: (v, o) => v.getUint8(o) },
+  short:   { size: 2, read: (v, o, le) => v.getInt16(o, le) },
+  int16:   { size: 2, read: (v, o, le) => v.getInt16(o, le) },
+  ushort:  { size: 2, read: (v, o, le) => v.getUint16(o, le) },
+  uint16:  { size: 2, read: (v, o, le) => v.getUint16(o, le) },
+  int:     { size: 4, read: (v, o, le) => v.getInt32(o, le) },
+  int32:   { size: 4, read: (v, o, le) => v.getInt32(o, le) },
+  uint:    { size: 4, read: (v, o, le) => v.getUint32(o, le) },
+  uint32:  { size: 4, read: (v, o, le) => v.getUint32(o, le) },
+  float:   { size: 4, read: (v, o, le) => v.getFloat32(o, le) },
+  float32: { size: 4, read: (v, o, le) => v.getFloat32(o, le) },
+  double:  { size: 8, read: (v, o, le) => v.getFloat64(o, le) },
+  float64: { size: 8, read: (v, o, le) => v.getFloat64(o, le) },
+};
+
+const END_HEADER = 'end_header';
+
+/**
+ * @param {Uint8Array} bytes — first bytes of the file
+ * @returns {boolean}
+ */
+export function sniffPly(bytes) {
+  return bytes.length >= 4 && bytes[0] === 0x70 && bytes[1] === 0x6c && bytes[2] === 0x79 && (bytes[3] === 0x0a || bytes[3] === 0x0d);
+}
+
+/**
+ * Find the end of the PLY header in the bytes received so far.
+ * @param {Uint8Array} bytes
+ * @returns {number} byte offset of the first body byte, or -1 if not yet received
+ */
+function findHeaderEnd(bytes) {
+  // Header is ASCII and short — decoding the first few KB is cheap
+  const text = new TextDecoder('ascii').decode(bytes.subarray(0, Math.min(bytes.length, 8192)));
+  const idx = text.indexOf(END_HEADER);
+  if (idx === -1) return -1;
+  const nl = text.indexOf('\n', idx);
+  return nl === -1 ? -1 : nl + 1;
+}
+
+/**
+ * Parse the PLY header into the vertex record layout.
+ * Only the vertex element is read; any element declared after it is ignored.
+ * @param {string} text — header text up to and including end_header
+ */
+function parsePlyHeader(text) {
+  const lines = text.split(/\r?\n/);
+  if (lines[0].trim() !== 'ply') throw new Error('Not a PLY file');
+
+  const header = { format: null, vertexCount: 0, properties: [], stride: 0 };
+  let currentElement = null;
+  let elementsBeforeVertex = false;
+
+  for (const line of lines) {
+    const parts = line.trim().split(/\s+/);
+    switch (parts[0]) {
+      case 'format':
+        header.format = parts[1];
+        break;
+      case 'element':
+        currentElement = parts[1];
+        if (currentElement === 'vertex') header.vertexCount = parseInt(parts[2], 10);
+        else if (header.vertexCount === 0) elementsBeforeVertex = true;
+        break;
+      case 'property':
+        if (currentElement !== 'vertex') break;
+        if (parts[1] === 'list') throw new Error('List properties on vertices are not supported');
+        if (!PLY_TYPES[parts[1]]) throw new Error(`Unknown PLY property type: ${parts[1]}`);
+        header.properties.push({ name: parts[2], type: parts[1], offset: header.stride });
+        header.stride += PLY_TYPES[parts[1]].size;
+        break;
+      default:
+        break;
+    }
+  }
+
+  if (elementsBeforeVertex) throw new Error('Vertex element must be the first PLY element');
+  return header;
+}
+
+/**
+ * Resolve the position, colour and scalar-field properties of a PLY vertex record.
+ * CloudCompare writes scalar fields as `scalar_<Name>`.
+ * @param {object} header
+ * @param {string[]} [scalarNames] — extra properties to pass through as `chunk.scalars`
+ */
+function resolveVertexLayout(header, scalarNames = []) {
+  const prop = (...names) => header.properties.find((p) => names.includes(p.name.toLowerCase()));
+  const layout = {
+    x: prop('x'), y: prop('y'), z: prop('z'),
+    r: prop('red', 'r'), g: prop('green', 'g'), b: prop('blue', 'b'),
+    intensity: prop('intensity', 'scalar_intensity'),
+    classification: prop('classification', 'scalar_classification', 'label'),
+    scalars: scalarNames
+      .map((name) => ({ name, property: prop(name.toLowerCase()) }))
+      .filter((s) => s.property),
+  };
+  if (!layout.x || !layout.y || !layout.z) throw new Error('PLY has no x/y/z vertex properties');
+  layout.hasColor = !!(layout.r && layout.g && layout.b);
+  // Integer colour channels are 0–255; float channels are already 0–1
+  const isFloat = (p) => p.type.startsWith('float') || p.type === 'double';
+  layout.colorScale = layout.hasColor && isFloat(layout.r) ? 1 : 1 / 255;
+  // Integer intensities are scaled by their type's range; floats are assumed 0–1
+  if (layout.intensity) {
+    layout.intensityScale = isFloat(layout.intensity) ? 1 : 1 / (2 ** (PLY_TYPES[layout.intensity.type].size * 8) - 1);
+  }
+  return layout;
+}
+
+/**
+ * Incremental binary PLY vertex decoder. Feed it raw body bytes in any chunking;
+ * it decodes every complete vertex record into fresh chunk arrays and keeps the
+ * partial trailing record for the next call.
+ */
+function createBinaryDecoder(header, layout) {
+  const littleEndian = header.format === 'binary_little_endian';
+  const { stride, vertexCount } = header;
+  const { x, y, z, r, g, b, hasColor, colorScale, intensity, intensityScale, classification, scalars } = layout;
+  const read = (p, view, base) => PLY_TYPES[p.type].read(view, base + p.offset, littleEndian);
+
+  let pending = new Uint8Array(0);
+  let decoded = 0;
+
+  function push(chunk) {
+    let bytes = chunk;
+    if (pending.length) {
+      bytes = new Uint8Array(pending.length + chunk.length);
+      bytes.set(pending, 0);
+      bytes.set(chunk, pending.length);
+    }
+
+    const count = Math.min(Math.floor(bytes.length / stride), vertexCount - decoded);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const positions = new Float32Array(count * 3);
+    const colors = new Float32Array(count * 3);
+    const intensities = new Float32Array(count).fill(1);
+    const classes = new Float32Array(count);
+    const extra = scalars.map(() => new Float32Array(count));
+
+    for (let i = 0; i < count; i++) {
+      const base = i * stride;
+      const v = i * 3;
+      positions[v]     = read(x, view, base);
+      positions[v + 1] = read(y, view, base);
+      positions[v + 2] = read(z, view, base);
+      if (hasColor) {
+        colors[v]     = srgbToLinear(read(r, view, base) * colorScale);
+        colors[v + 1] = srgbToLinear(read(g, view, base) * colorScale);
+        colors[v + 2] = srgbToLinear(read(b, view, base) * colorScale);
+      }
+      if (intensity) intensities[i] = read(intensity, view, base) * intensityScale;
+      if (classification) classes[i] = read(classification, view, base);
+      for (let s = 0; s < scalars.length; s++) extra[s][i] = read(scalars[s].property, view, base);
+      if (!hasColor) {
+        // No RGB — greyscale from intensity if present, else default grey
+        colors[v] = colors[v + 1] = colors[v + 2] = intensity ? srgbToLinear(intensities[i]) : DEFAULT_GREY;
+      }
+    }
+
+    const start = decoded;
+    decoded += count;
+    pending = bytes.slice(count * stride);
+    return { start, count, positions, colors, intensity: intensities, classification: classes, scalars: scalarMap(scalars, extra) };
+  }
+
+  return { push, get decoded() { return decoded; } };
+}
+
+function scalarMap(scalars, arrays) {
+  return Object.fromEntries(scalars.map((s, i) => [s.name, arrays[i]]));
+}
+
+/**
+ * Decode a complete ASCII PLY body in one pass.
+ */
+function decodeAsciiBody(header, layout, text) {
+  const { x, y, z, r, g, b, hasColor, colorScale, intensity, intensityScale, classification, scalars } = layout;
+  const index = (p) => (p ? header.properties.indexOf(p) : -1);
+  const [ix, iy, iz, ir, ig, ib] = [x, y, z, r, g, b].map(index);
+  const [ii, ic] = [index(intensity), index(classification)];
+  const scalarIndices = scalars.map((s) => index(s.property));
+
+  const lines = text.split(/\r?\n/);
+  const count = Math.min(header.vertexCount, lines.length);
+  const positions = new Float32Array(count * 3);
+  const colors = new Float32Array(count * 3);
+  const intensities = new Float32Array(count).fill(1);
+  const classes = new Float32Array(count);
+  const extra = scalars.map(() => new Float32Array(count));
+
+  let n = 0;
+  for (const line of lines) {
+    if (n >= count) break;
+    const parts = line.trim().split(/\s+/);
+    if (parts.length < header.properties.length) continue;
+    const v = n * 3;
+    positions[v]     = parseFloat(parts[ix]);
+    positions[v + 1] = parseFloat(parts[iy]);
+    positions[v + 2] = parseFloat(parts[iz]);
+    if (hasColor) {
+      colors[v]     = srgbToLinear(parseFloat(parts[ir]) * colorScale);
+      colors[v + 1] = srgbToLinear(parseFloat(parts[ig]) * colorScale);
+      colors[v + 2] = srgbToLinear(parseFloat(parts[ib]) * colorScale);
+    }
+    if (ii !== -1) intensities[n] = parseFloat(parts[ii]) * intensityScale;
+    if (ic !== -1) classes[n] = parseFloat(parts[ic]);
+    for (let s = 0; s < scalars.length; s++) extra[s][n] = parseFloat(parts[scalarIndices[s]]);
+    if (!hasColor) {
+      colors[v] = colors[v + 1] = colors[v + 2] = ii !== -1 ? srgbToLinear(intensities[n]) : DEFAULT_GREY;
+    }
+    n++;
+  }
+
+  return {
+    start: 0,
+    count: n,
+    positions: positions.subarray(0, n * 3),
+    colors: colors.subarray(0, n * 3),
+    intensity: intensities.subarray(0, n),
+    classification: classes.subarray(0, n),
+    scalars: scalarMap(scalars, extra.map((a) => a.subarray(0, n))),
+  };
+}
+
+/**
+ * Decode a PLY stream into the worker sink.
+ * @param {{ prefix: Uint8Array, read: function(): Promise<Uint8Array|null> }} source
+ * @param {{ begin: function(object): void, emit: function(object): void }} sink
+ * @param {{ scalars?: string[] }} [options] — extra vertex properties to pass through (particle role rules)
+ */
+export async function decodePly(source, sink, options = {}) {
+  // ── Read until the full header has arrived ──
+  let received = source.prefix;
+  let bodyStart = findHeaderEnd(received);
+  while (bodyStart === -1) {
+    const value = await source.read();
+    if (!value) throw new Error('PLY stream ended before end_header');
+    const merged = new Uint8Array(received.length + value.length);
+    merged.set(received, 0);
+    merged.set(value, received.length);
+    received = merged;
+    bodyStart = findHeaderEnd(received);
+  }
+
+  const header = parsePlyHeader(new TextDecoder('ascii').decode(received.subarray(0, bodyStart)));
+  const layout = resolveVertexLayout(header, options.scalars);
+
+  sink.begin({
+    format: `ply/${header.format}`,
+    vertexCount: header.vertexCount,
+    hasColor: layout.hasColor,
+    hasIntensity: !!layout.intensity,
+    hasClassification: !!layout.classification,
+    // Exact decoded size — unlike Content-Length this is unaffected by gzip
+    totalBytes: header.format === 'ascii' ? 0 : bodyStart + header.vertexCount * header.stride,
+  });
+
+  if (header.format === 'ascii') {
+    // ASCII bodies are rare for our scans — decode once the download completes
+    const body = await readAll(source, received.subarray(bodyStart));
+    sink.emit(decodeAsciiBody(header, layout, new TextDecoder().decode(body)));
+    return;
+  }
+
+  const decoder = createBinaryDecoder(header, layout);
+  sink.emit(decoder.push(received.subarray(bodyStart)));
+  while (decoder.decoded < header.vertexCount) {
+    const value = await source.read();
+    if (!value) break;
+    sink.emit(decoder.push(value));
+  }
+}
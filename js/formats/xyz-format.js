@@ -0,0 +1,169 @@
+// formats/xyz-format.js — ASCII XYZ / PTS / E57-exported text decoder
+// HIDDEN Exhibition · AR Point Cloud Experience
+//
+// Runs inside point-cloud-worker.js. Handles the plain-text exports our survey
+// team produces: bare `x y z [r g b]` XYZ, Leica PTS (point count on the first
+// line, `x y z intensity r g b` rows) and the ASCII export of E57 scans
+// (CloudCompare / ReCap write a `//X,Y,Z,...` column header). Text has no
+// reliable point count up front, so the body is decoded once fully downloaded.
+
+import { srgbToLinear, readAll, zUpToYUp, DEFAULT_GREY } from './format-utils.js';
+
+// Column-name aliases recognised in a header line
+const COLUMN_ALIASES = {
+  x: ['x', '//x'],
+  y: ['y'],
+  z: ['z'],
+  r: ['r', 'red', 'rf'],
+  g: ['g', 'green', 'gf'],
+  b: ['b', 'blue', 'bf'],
+  intensity: ['i', 'intensity', 'scalar_intensity', 'reflectance'],
+  classification: ['c', 'class', 'classification', 'scalar_classification', 'label'],
+};
+
+// Column layouts by field count when the file has no header line
+const DEFAULT_COLUMNS = {
+  3: ['x', 'y', 'z'],
+  4: ['x', 'y', 'z', 'intensity'],
+  6: ['x', 'y', 'z', 'r', 'g', 'b'],
+  7: ['x', 'y', 'z', 'intensity', 'r', 'g', 'b'],
+};
+
+const SEPARATOR = /[\s,;]+/;
+
+/**
+ * Text formats have no magic bytes — go by extension, else accept anything
+ * that looks like plain ASCII.
+ * @param {Uint8Array} bytes — first bytes of the file
+ * @param {string} ext — lower-case file extension
+ */
+export function sniffXyz(bytes, ext) {
+  if (['xyz', 'pts', 'txt', 'csv', 'asc'].includes(ext)) return true;
+  return bytes.length > 0 && bytes.subarray(0, 512).every((b) => b === 9 || b === 10 || b === 13 || (b >= 32 && b < 127));
+}
+
+/**
+ * Map header column names to field roles.
+ * @param {string[]} names
+ */
+function columnsFromHeader(names) {
+  return names.map((raw) => {
+    const name = raw.toLowerCase().replace(/^\/\//, '');
+    const match = Object.entries(COLUMN_ALIASES).find(([, aliases]) => aliases.includes(name));
+    return match ? match[0] : null;
+  });
+}
+
+/**
+ * Decode a text point cloud stream into the worker sink.
+ * @param {{ prefix: Uint8Array, read: function(): Promise<Uint8Array|null> }} source
+ * @param {{ begin: function(object): void, emit: function(object): void }} sink
+ * @param {{ upAxis?: 'y'|'z' }} [options] — survey exports are Z-up unless told otherwise
+ */
+export async function decodeXyz(source, sink, options = {}) {
+  const upAxis = options.upAxis ?? 'z';
+  const text = new TextDecoder().decode(await readAll(source, source.prefix));
+  const lines = text.split(/\r?\n/);
+
+  // ── Optional preamble: PTS point count, comments and/or a column-name header ──
+  let first = 0;
+  let columns = null;
+  while (first < lines.length) {
+    const line = lines[first].trim();
+    if (line === '' || /^\d+$/.test(line) || line.startsWith('#')) { first++; continue; } // blank, PTS count or comment
+    if (line.startsWith('//')) {
+      // E57 exports name their columns `//X,Y,Z,...`; any other `//` line is a comment
+      const names = columnsFromHeader(line.slice(2).trim().split(SEPARATOR));
+      if (['x', 'y', 'z'].every((name) => names.includes(name))) columns = names;
+      first++;
+      continue;
+    }
+    const fields = line.split(SEPARATOR);
+    if (fields.some((f) => Number.isNaN(Number(f)))) { // bare `x y z ...` header row
+      columns = columnsFromHeader(fields);
+      first++;
+      continue;
+    }
+    break;
+  }
+
+  const sample = (lines[first] ?? '').trim().split(SEPARATOR);
+  columns = columns ?? DEFAULT_COLUMNS[sample.length] ?? DEFAULT_COLUMNS[3];
+  const col = (name) => columns.indexOf(name);
+  const [ix, iy, iz] = [col('x'), col('y'), col('z')];
+  const [ir, ig, ib] = [col('r'), col('g'), col('b')];
+  const [ii, ic] = [col('intensity'), col('classification')];
+  if (ix === -1 || iy === -1 || iz === -1) throw new Error('Text point cloud has no x/y/z columns');
+  const hasColor = ir !== -1 && ig !== -1 && ib !== -1;
+
+  const capacity = lines.length - first;
+  const raw = new Float64Array(capacity * 3);
+  const colors = new Float32Array(capacity * 3);
+  const intensities = new Float32Array(capacity).fill(1);
+  const classes = new Float32Array(capacity);
+
+  let n = 0;
+  let maxColor = 0;
+  let minIntensity = Infinity;
+  let maxIntensity = -Infinity;
+  for (let l = first; l < lines.length; l++) {
+    const line = lines[l].trim();
+    if (line === '' || line.startsWith('//') || line.startsWith('#')) continue;
+    const fields = line.split(SEPARATOR);
+    const v = n * 3;
+    raw[v] = Number(fields[ix]);
+    raw[v + 1] = Number(fields[iy]);
+    raw[v + 2] = Number(fields[iz]);
+    if (Number.isNaN(raw[v]) || Number.isNaN(raw[v + 1]) || Number.isNaN(raw[v + 2])) continue;
+    if (hasColor) {
+      colors[v] = Number(fields[ir]);
+      colors[v + 1] = Number(fields[ig]);
+      colors[v + 2] = Number(fields[ib]);
+      maxColor = Math.max(maxColor, colors[v], colors[v + 1], colors[v + 2]);
+    }
+    if (ii !== -1) {
+      intensities[n] = Number(fields[ii]);
+      minIntensity = Math.min(minIntensity, intensities[n]);
+      maxIntensity = Math.max(maxIntensity, intensities[n]);
+    }
+    if (ic !== -1) classes[n] = Number(fields[ic]);
+    n++;
+  }
+
+  // ── Normalise ranges: colours may be 0–1 floats or 0–255; PTS intensity is −2048…2047 ──
+  const colorScale = maxColor <= 1 ? 1 : 1 / 255;
+  const intensityOffset = minIntensity < 0 ? 2048 : 0;
+  const intensityScale = minIntensity < 0 ? 1 / 4095 : (maxIntensity > 1 ? 1 / maxIntensity : 1);
+  const origin = n > 0 ? [Math.floor(raw[0]), Math.floor(raw[1]), Math.floor(raw[2])] : [0, 0, 0];
+  const positions = new Float32Array(n * 3);
+
+  for (let i = 0; i < n; i++) {
+    const v = i * 3;
+    // Re-base to the first point so survey coordinates keep float32 precision
+    for (let a = 0; a < 3; a++) positions[v + a] = raw[v + a] - origin[a];
+    if (ii !== -1) intensities[i] = (intensities[i] + intensityOffset) * intensityScale;
+    for (let c = 0; c < 3; c++) {
+      if (hasColor) colors[v + c] = srgbToLinear(colors[v + c] * colorScale);
+      else colors[v + c] = ii !== -1 ? srgbToLinear(intensities[i]) : DEFAULT_GREY;
+    }
+  }
+  if (upAxis === 'z') zUpToYUp(positions);
+
+  sink.begin({
+    format: 'xyz',
+    vertexCount: n,
+    hasColor,
+    hasIntensity: ii !== -1,
+    hasClassification: ic !== -1,
+    totalBytes: 0,
+    origin,
+  });
+  sink.emit({
+    start: 0,
+    count: n,
+    positions,
+    colors: colors.slice(0, n * 3),
+    intensity: intensities.slice(0, n),
+    classification: classes.slice(0, n),
+  });
+}
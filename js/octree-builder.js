@@ -0,0 +1,135 @@
+// octree-builder.js — Spatial octree + LOD ordering for point clouds
+// HIDDEN Exhibition · AR Point Cloud Experience
+//
+// Pure data module (no Three.js) — runs inside point-cloud-worker.js.
+//
+// Additive LOD, as in Potree: every node keeps a spatially even subsample of the
+// points that reach it (one point per cell of a gridSize³ grid over the node's
+// cube) and passes the rest down to its eight children. Drawing a node plus any
+// subset of its descendants is always a valid, non-duplicated subset of the scan.
+//
+// Fireflies (particleRole 1) wander metres away from their source point, so
+// they are kept out of the octree in one trailing block that is never culled.
+
+import { FIREFLY_ROLE } from './particle-roles.js';
+
+export const OCTREE_DEFAULTS = {
+  gridSize: 32,    // sampling grid per node axis → node spacing = node size / gridSize
+  leafSize: 4096,  // stop subdividing once a node would hold this many points
+  maxDepth: 8,
+};
+
+/**
+ * Build the octree and the vertex ordering that makes every node contiguous.
+ *
+ * @param {Float32Array} positions — xyz per vertex
+ * @param {Float32Array} roles — particleRole per vertex
+ * @param {{ min: number[], max: number[] }} bounds
+ * @param {Partial<typeof OCTREE_DEFAULTS>} [options]
+ * @returns {{
+ *   order: Uint32Array,
+ *   nodes: Array<{ offset: number, count: number, level: number, center: number[], radius: number, spacing: number, children: number[] }>,
+ *   fireflies: { offset: number, count: number },
+ * }}
+ */
+export function buildOctree(positions, roles, bounds, options = {}) {
+  const { gridSize, leafSize, maxDepth } = { ...OCTREE_DEFAULTS, ...options };
+  const total = roles.length;
+
+  const body = [];
+  const flies = [];
+  for (let i = 0; i < total; i++) {
+    (Math.round(roles[i]) === FIREFLY_ROLE ? flies : body).push(i);
+  }
+
+  // Root cube around the bounds (slightly padded so max-edge points stay inside)
+  const extent = Math.max(...[0, 1, 2].map((a) => bounds.max[a] - bounds.min[a]), 1e-6) * 1.0001;
+  const rootMin = [0, 1, 2].map((a) => (bounds.min[a] + bounds.max[a]) / 2 - extent / 2);
+
+  const order = new Uint32Array(total);
+  const nodes = [];
+  const occupied = new Uint8Array(gridSize * gridSize * gridSize);
+  let cursor = 0;
+
+  // Breadth-first, so nodes (and their points) are stored coarse to fine — any
+  // prefix of the ordering is an evenly thinned version of the whole scan
+  const queue = body.length > 0 ? [{ indices: body, min: rootMin, size: extent, level: 0, parent: -1 }] : [];
+  for (let q = 0; q < queue.length; q++) {
+    const { indices, min, size, level, parent } = queue[q];
+    queue[q] = null; // release the index list once consumed
+
+    const node = {
+      offset: cursor,
+      count: 0,
+      level,
+      center: min.map((m) => m + size / 2),
+      radius: (size * Math.sqrt(3)) / 2,
+      spacing: size / gridSize,
+      children: [],
+    };
+    if (parent !== -1) nodes[parent].children.push(nodes.length);
+    const nodeIndex = nodes.length;
+    nodes.push(node);
+
+    if (indices.length <= leafSize || level >= maxDepth) {
+      for (const i of indices) order[cursor++] = i;
+      node.count = indices.length;
+      continue;
+    }
+
+    // ── Grid sample: the first point in each empty cell stays in this node ──
+    occupied.fill(0);
+    const half = size / 2;
+    const octants = [[], [], [], [], [], [], [], []];
+    const cellScale = gridSize / size;
+    for (const i of indices) {
+      const p = i * 3;
+      const lx = positions[p] - min[0];
+      const ly = positions[p + 1] - min[1];
+      const lz = positions[p + 2] - min[2];
+      const cx = Math.min(gridSize - 1, Math.floor(lx * cellScale));
+      const cy = Math.min(gridSize - 1, Math.floor(ly * cellScale));
+      const cz = Math.min(gridSize - 1, Math.floor(lz * cellScale));
+      const cell = cx + cy * gridSize + cz * gridSize * gridSize;
+      if (!occupied[cell]) {
+        occupied[cell] = 1;
+        order[cursor++] = i;
+      } else {
+        octants[(lx >= half ? 1 : 0) | (ly >= half ? 2 : 0) | (lz >= half ? 4 : 0)].push(i);
+      }
+    }
+    node.count = cursor - node.offset;
+
+    for (let o = 0; o < 8; o++) {
+      if (octants[o].length === 0) continue;
+      const childMin = [
+        min[0] + (o & 1 ? half : 0),
+        min[1] + (o & 2 ? half : 0),
+        min[2] + (o & 4 ? half : 0),
+      ];
+      queue.push({ indices: octants[o], min: childMin, size: half, level: level + 1, parent: nodeIndex });
+    }
+  }
+
+  const fireflies = { offset: cursor, count: flies.length };
+  for (const i of flies) order[cursor++] = i;
+
+  return { order, nodes, fireflies };
+}
+
+/**
+ * Gather an attribute into octree order.
+ * @param {Float32Array} array
+ * @param {number} itemSize
+ * @param {Uint32Array} order
+ * @returns {Float32Array}
+ */
+export function reorderAttribute(array, itemSize, order) {
+  const out = new Float32Array(order.length * itemSize);
+  for (let i = 0; i < order.length; i++) {
+    const src = order[i] * itemSize;
+    const dst = i * itemSize;
+    for (let k = 0; k < itemSize; k++) out[dst + k] = array[src + k];
+  }
+  return out;
+}
@@ -0,0 +1,108 @@
+// offline-cache.js — Service Worker registration, dev cache-bust switch, build label
+// HIDDEN Exhibition · AR Point Cloud Experience
+//
+// sw.js precaches everything listed in precache-manifest.js (generated on
+// deploy; run `npm run precache` before serving locally), so the experience
+// keeps running if the Hangar network drops.
+//
+// Development: open with `?dev=1` to unregister the Service Worker, delete its
+// caches and fetch shaders with a cache-busting query. The switch sticks (in
+// localStorage) until `?dev=0`.
+
+const DEV_STORAGE_KEY = 'hidden:dev';
+const CACHE_PREFIX = 'hidden-';
+
+/**
+ * @returns {boolean} whether the development cache-bust switch is on
+ */
+export function isDevMode() {
+  const param = new URLSearchParams(window.location.search).get('dev');
+  try {
+    if (param === '1') localStorage.setItem(DEV_STORAGE_KEY, '1');
+    if (param === '0') localStorage.removeItem(DEV_STORAGE_KEY);
+    return localStorage.getItem(DEV_STORAGE_KEY) === '1';
+  } catch {
+    // Storage blocked (private mode) — fall back to the query parameter alone
+    return param === '1';
+  }
+}
+
+/**
+ * Append a cache-busting query in dev mode; otherwise return the URL as-is so
+ * the HTTP cache and the Service Worker can serve it.
+ * @param {string} url
+ * @returns {string}
+ */
+export function cacheBust(url) {
+  if (!isDevMode()) return url;
+  return url + (url.includes('?') ? '&' : '?') + 't=' + Date.now();
+}
+
+function setBuildLabel(text) {
+  const el = document.getElementById('build-info');
+  if (el) el.textContent = text;
+}
+
+/** Ask the active Service Worker which precached build it serves. */
+function queryBuild(worker) {
+  return new Promise((resolve) => {
+    const channel = new MessageChannel();
+    const timer = setTimeout(() => resolve(null), 2000);
+    channel.port1.onmessage = (event) => {
+      clearTimeout(timer);
+      resolve(event.data);
+    };
+    worker.postMessage({ type: 'GET_BUILD' }, [channel.port2]);
+  });
+}
+
+async function disableOfflineCache() {
+  const registrations = await navigator.serviceWorker.getRegistrations();
+  await Promise.all(registrations.map((r) => r.unregister()));
+  const keys = await caches.keys();
+  await Promise.all(keys.filter((k) => k.startsWith(CACHE_PREFIX)).map((k) => caches.delete(k)));
+  console.log(`[Offline] Dev mode — unregistered ${registrations.length} Service Worker(s), cleared caches`);
+}
+
+/**
+ * Register sw.js (or tear it down in dev mode) and show the running build.
+ * Call before loading any assets. A build that finished installing in the
+ * background is activated here, before the experience starts, with one reload.
+ * Never throws — the experience runs without offline support if registration fails.
+ */
+export async function registerOfflineCache() {
+  if (!('serviceWorker' in navigator)) {
+    setBuildLabel('no offline cache');
+    return;
+  }
+
+  try {
+    if (isDevMode()) {
+      await disableOfflineCache();
+      setBuildLabel('dev · cache disabled');
+      return;
+    }
+
+    const registration = await navigator.serviceWorker.register('sw.js');
+
+    if (registration.waiting && navigator.serviceWorker.controller) {
+      console.log('[Offline] New build waiting — activating before start');
+      navigator.serviceWorker.addEventListener('controllerchange', () => window.location.reload(), { once: true });
+      registration.waiting.postMessage({ type: 'SKIP_WAITING' });
+      return;
+    }
+
+    const active = navigator.serviceWorker.controller ?? (await navigator.serviceWorker.ready).active;
+    const build = active ? await queryBuild(active) : null;
+    if (build) {
+      const state = navigator.serviceWorker.controller ? 'offline ready' : 'caching…';
+      setBuildLabel(`build ${build.version} · ${state}`);
+      console.log(`[Offline] Running build ${build.version} (${build.built}), ${build.files} files precached`);
+    } else {
+      setBuildLabel('offline cache unavailable');
+    }
+  } catch (err) {
+    console.warn('[Offline] Service Worker registration failed:', err);
+    setBuildLabel('offline cache unavailable');
+  }
+}
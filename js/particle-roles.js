@@ -0,0 +1,149 @@
+// particle-roles.js — particleRole assignment shared by the worker and scripts/
+// HIDDEN Exhibition · AR Point Cloud Experience
+//
+// Pure data module (no Three.js).
+//
+// Every point gets one role. The role id is stored in the particleRole
+// attribute; per-role motion and glow come from the role* uniform arrays
+// (uniformsRegistry.js), indexed by the same id.
+//
+// Roles are assigned by an ordered rule list — the first rule whose
+// conditions all match wins, otherwise the config's fallback applies:
+//
+//   {
+//     seed: 0xdeadbeef,          // seeded xorshift for `ratio` rules
+//     axis: [0, 0],              // trunk axis (x, z) in the scan's Y-up units
+//     rules: [
+//       { role: 'firefly', ratio: 0.3 },                        // seeded random fraction
+//       { role: 'litter',  height: [null, -0.35] },             // y band, null = open
+//       { role: 'trunk',   axisDistance: [0, 0.25] },           // distance from the axis
+//       { role: 'canopy',  property: 'scalar_Label', equals: 2 },  // PLY scalar property
+//       { role: 'trunk',   property: 'intensity', range: [0.8, 1] },
+//     ],
+//     fallback: 'canopy',
+//   }
+//
+// `property` may name intensity (0–1), classification, or any other PLY vertex
+// property. A `ratio` condition draws the next number from the seeded sequence
+// each time it is evaluated, so it is checked after the rule's other conditions.
+
+export const PARTICLE_ROLES = {
+  trunk:   0,
+  firefly: 1,
+  canopy:  2,
+  litter:  3,
+};
+
+export const ROLE_COUNT = Object.keys(PARTICLE_ROLES).length;
+export const FIREFLY_ROLE = PARTICLE_ROLES.firefly;
+
+// Tuned for assets/stjohn_originbase.ply (trunk base at the origin, ~2.5 units tall)
+export const DEFAULT_ROLE_CONFIG = {
+  seed: 0xdeadbeef,
+  axis: [0, 0],
+  rules: [
+    { role: 'firefly', ratio: 0.30 },
+    { role: 'litter', height: [null, 0.0], axisDistance: [0.35, null] },
+    { role: 'trunk', height: [null, 0.55], axisDistance: [0, 0.25] },
+  ],
+  fallback: 'canopy',
+};
+
+const BUILTIN_PROPERTIES = ['intensity', 'classification'];
+
+function roleId(name) {
+  const id = PARTICLE_ROLES[name];
+  if (id === undefined) throw new Error(`Unknown particle role "${name}" (expected ${Object.keys(PARTICLE_ROLES).join(', ')})`);
+  return id;
+}
+
+const inRange = (v, [lo, hi]) => (lo === null || lo === undefined || v >= lo) && (hi === null || hi === undefined || v <= hi);
+
+/**
+ * PLY property names a role config reads beyond the built-in attributes.
+ * Decoders pass these through as `chunk.scalars[name]`.
+ * @param {object} [config]
+ * @returns {string[]}
+ */
+export function roleScalarProperties(config = DEFAULT_ROLE_CONFIG) {
+  const names = new Set();
+  for (const rule of config.rules ?? []) {
+    if (rule.property && !BUILTIN_PROPERTIES.includes(rule.property.toLowerCase())) names.add(rule.property);
+  }
+  return [...names];
+}
+
+/**
+ * Deterministic particleRole assignment from a role config.
+ * The random generator is sequential, so its state is carried across chunks.
+ * @param {object} [config] — see the top of this file; defaults to DEFAULT_ROLE_CONFIG
+ */
+export function createRoleAssigner(config = DEFAULT_ROLE_CONFIG) {
+  let seed = (config.seed ?? DEFAULT_ROLE_CONFIG.seed) >>> 0 || 1;
+  const [axisX, axisZ] = config.axis ?? [0, 0];
+  const fallback = roleId(config.fallback ?? 'trunk');
+  const rules = (config.rules ?? []).map((rule) => ({ ...rule, id: roleId(rule.role) }));
+
+  const random = () => {
+    seed = (seed ^ (seed << 13)) >>> 0;
+    seed = (seed ^ (seed >> 17)) >>> 0;
+    seed = (seed ^ (seed << 5))  >>> 0;
+    return seed / 0xffffffff;
+  };
+
+  const propertyArray = (chunk, name) => {
+    const key = name.toLowerCase();
+    if (key === 'intensity') return chunk.intensity;
+    if (key === 'classification') return chunk.classification;
+    return chunk.scalars?.[name];
+  };
+
+  return {
+    /**
+     * @param {{ count: number, positions: Float32Array, intensity?: Float32Array,
+     *           classification?: Float32Array, scalars?: Object<string, Float32Array> }} chunk
+     * @returns {Float32Array} role id per point
+     */
+    assign(chunk) {
+      const { count, positions } = chunk;
+      const roles = new Float32Array(count);
+      const columns = rules.map((rule) => (rule.property ? propertyArray(chunk, rule.property) : null));
+
+      for (let i = 0; i < count; i++) {
+        const x = positions[i * 3];
+        const y = positions[i * 3 + 1];
+        const z = positions[i * 3 + 2];
+        let role = fallback;
+
+        for (let r = 0; r < rules.length; r++) {
+          const rule = rules[r];
+          if (rule.height && !inRange(y, rule.height)) continue;
+          if (rule.axisDistance && !inRange(Math.hypot(x - axisX, z - axisZ), rule.axisDistance)) continue;
+          if (rule.property) {
+            // A rule on a property the scan doesn't have never matches
+            const column = columns[r];
+            if (!column) continue;
+            const v = column[i];
+            if (rule.equals !== undefined && ![].concat(rule.equals).includes(v)) continue;
+            if (rule.range && !inRange(v, rule.range)) continue;
+          }
+          if (rule.ratio !== undefined && random() >= rule.ratio) continue;
+          role = rule.id;
+          break;
+        }
+        roles[i] = role;
+      }
+      return roles;
+    },
+  };
+}
+
+/**
+ * @param {Float32Array|Uint8Array} roles
+ * @returns {number} how many entries are fireflies
+ */
+export function countFireflies(roles) {
+  let n = 0;
+  for (let i = 0; i < roles.length; i++) if (Math.round(roles[i]) === FIREFLY_ROLE) n++;
+  return n;
+}
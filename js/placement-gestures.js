@@ -0,0 +1,207 @@
+// placement-gestures.js — Adjust the placed tree: twist, drag, pinch, long-press
+// HIDDEN Exhibition · AR Point Cloud Experience
+//
+// After tap-to-place in immersive-ar, the visitor's fingers (transient XR input
+// sources, one per finger) can correct the placement:
+//   two fingers  — twist rotates the tree about its base, pinch rescales it
+//                  within PLACEMENT_SETTINGS.minScale / maxScale. This enters
+//                  placement-edit mode.
+//   one finger   — in edit mode, dragging nudges the tree along the floor
+//   long-press   — one finger held still brings the reticle back; the next
+//                  tap re-places the tree
+// Edit mode ends with a short tap or after a few idle seconds. While it lasts,
+// touch displacement is paused so the fingers only move the tree. It is also
+// paused while a single finger rests still, since that may become a long-press.
+//
+// Finger rays are intersected with the floor plane through the tree's base.
+// Twist follows the angle between the two floor points; pinch follows the
+// angle between the two rays, which tracks the fingers' screen distance however
+// far away the floor is. Edits go through transformAnchoredObject(), so the
+// placement anchor holds the adjusted pose.
+
+import * as THREE from 'three';
+import { transformAnchoredObject, restartPlacement } from './webxr-session.js';
+import { setTouchInteractionEnabled } from './touch-interaction.js';
+
+export const PLACEMENT_SETTINGS = {
+  longPressSeconds: 0.8,  // one still finger held this long → re-place
+  tapSeconds: 0.3,        // shorter, still touch in edit mode → finish editing
+  stillAngle: 0.03,       // rad — a finger whose ray turns more than this has moved
+  editIdleSeconds: 4,     // edit mode ends after this long without fingers
+  minScale: 0.5,          // × scale at placement
+  maxScale: 2.0,
+};
+
+const _fingers = new Map(); // XRInputSource → { start, startDir, dir, floor, lastFloor, moved }
+const _floor = new THREE.Plane();
+const _ray = new THREE.Ray();
+const _quat = new THREE.Quaternion();
+const _transform = new THREE.Matrix4();
+const _step = new THREE.Matrix4();
+
+let _renderer = null;
+let _object = null;
+let _callbacks = {};
+let _baseScale = 1;
+let _editing = false;
+let _replacing = false;
+let _holding = false;       // one still finger down — a long-press candidate
+let _lastEdit = 0;
+let _twoFinger = null;      // { angle, spread } of the previous two-finger frame
+
+function setEditing(editing) {
+  if (editing === _editing) return;
+  _editing = editing;
+  _twoFinger = null;
+  syncTouchPause();
+  console.log(`[Placement] Edit mode ${editing ? 'on' : 'off'}`);
+  if (_callbacks.onEditModeChange) _callbacks.onEditModeChange(editing);
+}
+
+function setHolding(holding) {
+  if (holding === _holding) return;
+  _holding = holding;
+  syncTouchPause();
+}
+
+/** Touch displacement pauses while the fingers edit the tree or may be long-pressing. */
+function syncTouchPause() {
+  setTouchInteractionEnabled(!_editing && !_holding);
+}
+
+/** World transform about the tree's base: translate, then rotate about +Y and scale. */
+function applyEdit({ translate = null, rotate = 0, scale = 1 }) {
+  const base = _object.position;
+  _transform.makeTranslation(-base.x, -base.y, -base.z);
+  _transform.premultiply(_step.makeScale(scale, scale, scale));
+  _transform.premultiply(_step.makeRotationY(rotate));
+  _transform.premultiply(_step.makeTranslation(base.x + (translate?.x ?? 0), base.y, base.z + (translate?.z ?? 0)));
+  transformAnchoredObject(_object, _transform);
+}
+
+/** Pose, ray direction and floor point of each finger for this frame. */
+function sampleFingers(now) {
+  const frame = _renderer.xr.getFrame();
+  const refSpace = _renderer.xr.getReferenceSpace();
+  _floor.set(new THREE.Vector3(0, 1, 0), -_object.position.y);
+  for (const [source, finger] of _fingers) {
+    const pose = frame?.getPose(source.targetRaySpace, refSpace);
+    if (!pose) continue;
+    finger.start ??= now;
+    const { position: p, orientation: o } = pose.transform;
+    _quat.set(o.x, o.y, o.z, o.w);
+    _ray.origin.set(p.x, p.y, p.z);
+    _ray.direction.set(0, 0, -1).applyQuaternion(_quat);
+    if (!finger.startDir) finger.startDir = _ray.direction.clone();
+    finger.dir = _ray.direction.clone();
+    finger.lastFloor = finger.floor;
+    finger.floor = _ray.intersectPlane(_floor, new THREE.Vector3());
+    if (finger.dir.angleTo(finger.startDir) > PLACEMENT_SETTINGS.stillAngle) finger.moved = true;
+    finger.age = (now - finger.start) / 1000;
+  }
+}
+
+function twoFingerGesture(a, b) {
+  if (!a.floor || !b.floor || !a.dir || !b.dir) return;
+  const angle = Math.atan2(b.floor.x - a.floor.x, b.floor.z - a.floor.z);
+  const spread = a.dir.angleTo(b.dir);
+  if (_twoFinger && _twoFinger.spread > 1e-3) {
+    const rotate = Math.atan2(Math.sin(angle - _twoFinger.angle), Math.cos(angle - _twoFinger.angle));
+    const current = _object.scale.x;
+    const target = THREE.MathUtils.clamp(
+      current * (spread / _twoFinger.spread),
+      _baseScale * PLACEMENT_SETTINGS.minScale,
+      _baseScale * PLACEMENT_SETTINGS.maxScale,
+    );
+    applyEdit({ rotate, scale: target / current });
+  }
+  _twoFinger = { angle, spread };
+}
+
+function watchSession(session) {
+  if (!session) return;
+  session.addEventListener('selectstart', (event) => {
+    _fingers.set(event.inputSource, { start: null, startDir: null, dir: null, floor: null, lastFloor: null, moved: false, age: 0 });
+    if (!_replacing) setHolding(_fingers.size === 1);
+  });
+  session.addEventListener('selectend', (event) => {
+    const finger = _fingers.get(event.inputSource);
+    _fingers.delete(event.inputSource);
+    _twoFinger = null;
+    setHolding(false); // a finger left still is picked up again next frame
+    if (!finger || _replacing) return;
+    const tap = !finger.moved && finger.age < PLACEMENT_SETTINGS.tapSeconds;
+    if (_editing && tap && _fingers.size === 0) setEditing(false);
+  });
+  session.addEventListener('end', () => {
+    _fingers.clear();
+    _replacing = false;
+    setHolding(false);
+    setEditing(false);
+  });
+}
+
+/**
+ * Enable placement gestures for the placed object. Call once after the first
+ * placement in immersive-ar.
+ * @param {THREE.WebGLRenderer} renderer
+ * @param {THREE.Object3D} object — the tree group, a direct child of the scene
+ * @param {object} [callbacks]
+ * @param {function} [callbacks.onEditModeChange] — (editing: boolean)
+ * @param {function} [callbacks.onReplace] — the reticle is back for re-placement
+ */
+export function initPlacementGestures(renderer, object, callbacks = {}) {
+  if (_renderer) return;
+  _renderer = renderer;
+  _object = object;
+  _callbacks = callbacks;
+  _baseScale = object.scale.x;
+  watchSession(renderer.xr.getSession());
+  renderer.xr.addEventListener('sessionstart', () => watchSession(renderer.xr.getSession()));
+  console.log('[Placement] Gestures ready: twist / pinch / drag to adjust, long-press to re-place');
+}
+
+/** The tree has been placed again after a long-press — gestures resume. */
+export function finishReplacement() {
+  _replacing = false;
+}
+
+/**
+ * Turn the fingers into placement edits. Call once per frame before render.
+ * @param {number} [now] — ms, performance.now() timebase
+ */
+export function updatePlacementGestures(now = performance.now()) {
+  if (!_renderer || !_renderer.xr.isPresenting || _replacing) return;
+
+  if (_fingers.size > 0) {
+    sampleFingers(now);
+    _lastEdit = now;
+  } else if (_editing && now - _lastEdit > PLACEMENT_SETTINGS.editIdleSeconds * 1000) {
+    setEditing(false);
+  }
+
+  const [first] = _fingers.values();
+  setHolding(_fingers.size === 1 && !first.moved);
+
+  if (_fingers.size >= 2) {
+    setEditing(true);
+    const [a, b] = _fingers.values();
+    a.moved = b.moved = true; // neither is a tap or a long-press any more
+    twoFingerGesture(a, b);
+    return;
+  }
+  if (_fingers.size !== 1) return;
+
+  const [[source, finger]] = _fingers;
+  if (_editing && finger.moved && finger.floor && finger.lastFloor) {
+    applyEdit({ translate: finger.floor.clone().sub(finger.lastFloor) });
+  } else if (!finger.moved && finger.age >= PLACEMENT_SETTINGS.longPressSeconds) {
+    _replacing = true;
+    _fingers.clear();
+    setHolding(false);
+    setEditing(false);
+    restartPlacement(source);
+    console.log('[Placement] Long-press — re-placing');
+    if (_callbacks.onReplace) _callbacks.onReplace();
+  }
+}
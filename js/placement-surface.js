@@ -0,0 +1,247 @@
+// placement-surface.js — Floor hit filtering, reticle stability, plane outlines
+// HIDDEN Exhibition · AR Point Cloud Experience
+//
+// Hit-test results are filtered before the reticle may use them:
+//   upward-facing  — the hit pose's Y axis (the surface normal) within
+//                    SURFACE_SETTINGS.maxTiltDegrees of straight up
+//   floor height   — at least minDrop below the viewer, and within
+//                    floorTolerance of the floor estimate: a low percentile
+//                    of the lowest such hit of each recent frame. Tables seen
+//                    first are dropped once the floor below them turns up,
+//                    and a stray hit below the floor cannot drag it down.
+// The first result along the ray that passes is eased into the reticle pose.
+// Confidence builds while the raw hits stay close to it and is lost when they
+// jump; the reticle fills in as it rises, and tap-to-place is only accepted at
+// full confidence.
+//
+// Where the runtime offers plane detection, the outlines of detected planes are
+// drawn until the tree is placed — floor-height planes brighter than the rest.
+
+import * as THREE from 'three';
+
+export const SURFACE_SETTINGS = {
+  maxTiltDegrees: 15,     // normal within this of +Y counts as horizontal
+  minDrop: 0.5,           // m — a floor is at least this far below the viewer
+  floorTolerance: 0.15,   // m — from the floor estimate that still counts as floor
+  floorSamples: 90,       // frames of hits the floor estimate is taken from
+  floorPercentile: 0.1,   // of those — low enough for the floor to win over tables
+  smoothing: 0.12,        // s — reticle pose smoothing
+  stableDistance: 0.03,   // m — raw hits within this of the reticle build confidence
+  jumpDistance: 0.3,      // m — further than this, the reticle jumps and starts over
+  stableSeconds: 0.8,     // of steady hits to reach full confidence
+};
+
+const MAX_STEP = 1 / 10;
+const PLANE_OPACITY = { floor: 0.55, other: 0.15 };
+const UP = new THREE.Vector3(0, 1, 0);
+
+let _floorY = null;           // floor estimate, null before any low horizontal hit
+const _floorSamples = new Float32Array(SURFACE_SETTINGS.floorSamples); // ring of per-frame lowest hits
+let _floorSampleCount = 0;
+let _floorSampleNext = 0;
+const _planes = new Map();    // XRPlane → { line, changed }
+const _normal = new THREE.Vector3();
+const _hitQuat = new THREE.Quaternion();
+const _hitPosition = new THREE.Vector3();
+const _euler = new THREE.Euler();
+
+/**
+ * Create the reticle — a white square outline, flat on the floor, with a fill
+ * that grows from its centre as the placement confidence rises.
+ * @param {number} size — side length in metres
+ * @returns {THREE.Group}
+ */
+export function createReticle(size = 0.35) {
+  const reticle = new THREE.Group();
+  reticle.name = 'placement-reticle';
+
+  const plane = new THREE.PlaneGeometry(size, size);
+  const outline = new THREE.LineSegments(
+    new THREE.EdgesGeometry(plane),
+    new THREE.LineBasicMaterial({ color: 0xffffff, transparent: true, opacity: 0.5 }),
+  );
+  const fill = new THREE.Mesh(
+    plane,
+    new THREE.MeshBasicMaterial({ color: 0xffffff, transparent: true, opacity: 0.25, depthWrite: false, side: THREE.DoubleSide }),
+  );
+  for (const part of [outline, fill]) {
+    part.rotateX(-Math.PI / 2); // flat on floor
+    part.frustumCulled = false;
+    reticle.add(part);
+  }
+  fill.scale.setScalar(0);
+
+  reticle.visible = false;
+  reticle.userData = { outline, fill, position: new THREE.Vector3(), yaw: 0, confidence: 0, tracking: false };
+  return reticle;
+}
+
+function disposeObject(object) {
+  object.removeFromParent();
+  object.traverse((part) => {
+    part.geometry?.dispose();
+    part.material?.dispose();
+  });
+}
+
+/** Remove the reticle from the scene and free its GPU resources. */
+export function disposeReticle(reticle) {
+  disposeObject(reticle);
+}
+
+/** Whether a hit pose is an upward-facing surface well below the viewer. */
+function isLowHorizontal(transform, viewerY) {
+  const { position: p, orientation: o } = transform;
+  _normal.copy(UP).applyQuaternion(_hitQuat.set(o.x, o.y, o.z, o.w));
+  if (_normal.dot(UP) < Math.cos(THREE.MathUtils.degToRad(SURFACE_SETTINGS.maxTiltDegrees))) return false;
+  return viewerY - p.y >= SURFACE_SETTINGS.minDrop;
+}
+
+/** Add this frame's lowest floor-like hit and re-estimate the floor height. */
+function sampleFloor(y) {
+  _floorSamples[_floorSampleNext] = y;
+  _floorSampleNext = (_floorSampleNext + 1) % _floorSamples.length;
+  _floorSampleCount = Math.min(_floorSampleCount + 1, _floorSamples.length);
+  const sorted = _floorSamples.slice(0, _floorSampleCount).sort();
+  _floorY = sorted[Math.floor((sorted.length - 1) * SURFACE_SETTINGS.floorPercentile)];
+}
+
+/**
+ * Filter this frame's hit-test results, ease the reticle toward the first floor
+ * hit and update its confidence.
+ * @param {THREE.Group} reticle — from createReticle()
+ * @param {XRHitTestResult[]} results
+ * @param {XRFrame} frame
+ * @param {XRReferenceSpace} referenceSpace
+ * @param {number} dt — s since the last frame
+ * @returns {{ hit: XRHitTestResult, hitPose: object, stable: boolean } | null} null without a floor hit
+ */
+export function updateReticle(reticle, results, frame, referenceSpace, dt) {
+  const state = reticle.userData;
+  const viewerPose = frame.getViewerPose(referenceSpace);
+  let hit = null;
+  let pose = null;
+  if (viewerPose) {
+    const viewerY = viewerPose.transform.position.y;
+    const candidates = results
+      .map((result) => ({ result, pose: result.getPose(referenceSpace) }))
+      .filter(({ pose }) => pose && isLowHorizontal(pose.transform, viewerY));
+    // Update the floor estimate first, so a table in front of the floor loses to it
+    if (candidates.length > 0) sampleFloor(Math.min(...candidates.map(({ pose }) => pose.transform.position.y)));
+    const first = candidates.find(({ pose }) => Math.abs(pose.transform.position.y - _floorY) <= SURFACE_SETTINGS.floorTolerance);
+    if (first) ({ result: hit, pose } = first);
+  }
+  if (!hit) {
+    reticle.visible = false;
+    state.tracking = false;
+    state.confidence = 0;
+    state.fill.scale.setScalar(0);
+    return null;
+  }
+
+  const { position: p, orientation: o } = pose.transform;
+  _hitPosition.set(p.x, p.y, p.z);
+  const yaw = _euler.setFromQuaternion(_hitQuat.set(o.x, o.y, o.z, o.w), 'YXZ').y;
+  const step = Math.min(dt, MAX_STEP);
+  const distance = _hitPosition.distanceTo(state.position);
+
+  if (!state.tracking || distance > SURFACE_SETTINGS.jumpDistance) {
+    // First floor hit, or a jump to another spot: start over there
+    state.position.copy(_hitPosition);
+    state.yaw = yaw;
+    state.confidence = 0;
+    state.tracking = true;
+  } else {
+    const follow = 1 - Math.exp(-step / SURFACE_SETTINGS.smoothing);
+    state.position.lerp(_hitPosition, follow);
+    state.yaw += Math.atan2(Math.sin(yaw - state.yaw), Math.cos(yaw - state.yaw)) * follow;
+    state.confidence = distance <= SURFACE_SETTINGS.stableDistance
+      ? Math.min(state.confidence + step / SURFACE_SETTINGS.stableSeconds, 1)
+      : Math.max(state.confidence - (2 * step) / SURFACE_SETTINGS.stableSeconds, 0);
+  }
+
+  const stable = state.confidence >= 1;
+  reticle.visible = true;
+  reticle.position.copy(state.position);
+  reticle.rotation.set(0, state.yaw, 0);
+  reticle.updateMatrix();
+  state.fill.scale.setScalar(state.confidence);
+  state.fill.material.opacity = stable ? 0.45 : 0.25;
+  state.outline.material.opacity = stable ? 1 : 0.5;
+
+  const { x, y, z, w } = reticle.quaternion;
+  return {
+    hit,
+    hitPose: {
+      position: { x: state.position.x, y: state.position.y, z: state.position.z },
+      orientation: { x, y, z, w },
+      matrix: reticle.matrix.toArray(),
+    },
+    stable,
+  };
+}
+
+/** Outline geometry for a plane polygon, in plane space. */
+function planeGeometry(polygon) {
+  return new THREE.BufferGeometry().setFromPoints(polygon.map(({ x, y, z }) => new THREE.Vector3(x, y, z)));
+}
+
+/**
+ * Draw the outlines of the planes the runtime has detected ('plane-detection'
+ * feature). Call once per frame; does nothing without detectedPlanes.
+ * @param {THREE.Scene} scene
+ * @param {XRFrame} frame
+ * @param {XRReferenceSpace} referenceSpace
+ * @param {boolean} visible — false once the tree is placed
+ */
+export function updatePlaneOutlines(scene, frame, referenceSpace, visible) {
+  const detected = frame.detectedPlanes;
+  if (!detected) return;
+
+  for (const [plane, entry] of _planes) {
+    if (!detected.has(plane)) {
+      disposeObject(entry.line);
+      _planes.delete(plane);
+    }
+  }
+
+  for (const plane of detected) {
+    let entry = _planes.get(plane);
+    if (!entry) {
+      const line = new THREE.LineLoop(
+        planeGeometry(plane.polygon),
+        new THREE.LineBasicMaterial({ color: 0xffffff, transparent: true, opacity: PLANE_OPACITY.other }),
+      );
+      line.name = 'detected-plane';
+      line.matrixAutoUpdate = false;
+      line.frustumCulled = false;
+      scene.add(line);
+      entry = { line, changed: plane.lastChangedTime };
+      _planes.set(plane, entry);
+    } else if (plane.lastChangedTime !== entry.changed) {
+      entry.line.geometry.dispose();
+      entry.line.geometry = planeGeometry(plane.polygon);
+      entry.changed = plane.lastChangedTime;
+    }
+
+    const pose = visible && frame.getPose(plane.planeSpace, referenceSpace);
+    entry.line.visible = !!pose;
+    if (!pose) continue;
+    entry.line.matrix.fromArray(pose.transform.matrix);
+    const floor = plane.orientation === 'horizontal' && _floorY !== null &&
+      Math.abs(pose.transform.position.y - _floorY) <= SURFACE_SETTINGS.floorTolerance;
+    entry.line.material.opacity = floor ? PLANE_OPACITY.floor : PLANE_OPACITY.other;
+  }
+}
+
+/**
+ * Forget the floor estimate and remove the plane outlines. Call when a session
+ * ends — the next one has a new reference space.
+ */
+export function resetSurfaces() {
+  _floorY = null;
+  _floorSampleCount = 0;
+  _floorSampleNext = 0;
+  for (const { line } of _planes.values()) disposeObject(line);
+  _planes.clear();
+}
@@ -1,155 +1,312 @@
-// point-cloud-loader.js — PLY / splat loading + BufferGeometry
+// point-cloud-loader.js — HPC / PLY / LAS / LAZ / XYZ loading + BufferGeometry
 // HIDDEN Exhibition · AR Point Cloud Experience
 
 import * as THREE from 'three';
-import { PLYLoader } from 'three/addons/loaders/PLYLoader.js';
-import { uniforms } from '../uniformsRegistry.js';
+import { uniforms, validateUniformValue } from '../uniformsRegistry.js';
+import { createPointCloudOctree } from './point-cloud-octree.js';
+import {
+  loadShaderProgram,
+  resolveDefines,
+  createShaderVariant,
+  registerShaderMaterial,
+  FALLBACK_SHADERS,
+} from './shader-library.js';
+
+// Per-vertex attributes filled chunk by chunk from the worker: [name, itemSize]
+const STREAMED_ATTRIBUTES = [
+  ['position', 3],
+  ['color', 3],
+  ['aIntensity', 1],
+  ['aClassification', 1],
+  ['particleRole', 1],
+];
 
 /**
- * Load shaders via fetch with cache-busting and error checking
+ * Re-apply the mesh-level centring/scale as the bounding box grows.
+ * Applied as a delta so any offset added by placement is preserved.
+ *
+ * anchor 'centre' keeps the original offset (minus the unscaled bbox centre);
+ * anchor 'base' puts the scaled bbox's bottom-centre at the object origin, so
+ * the cloud stands on whatever it is attached to.
  */
-async function loadShaders() {
-  try {
-    console.log('[ShaderLoader] Starting shader load...');
-    
-    const [vert, frag] = await Promise.all([
-      fetch('shaders/pointCloud.vert?t=' + Date.now()).then(r => {
-        if (!r.ok) throw new Error('Failed to load vertex shader');
-        return r.text();
-      }),
-      fetch('shaders/pointCloud.frag?t=' + Date.now()).then(r => {
-        if (!r.ok) throw new Error('Failed to load fragment shader');
-        return r.text();
-      }),
-    ]);
-    
-    console.log('[ShaderLoader] Vertex shader loaded:', vert.length, 'bytes');
-    console.log('[ShaderLoader] Fragment shader loaded:', frag.length, 'bytes');
-    console.log('[ShaderLoader] Vertex shader preview:', vert.substring(0, 50) + '...');
-    console.log('[ShaderLoader] Fragment shader preview:', frag.substring(0, 50) + '...');
-    
-    if (vert.length < 100 || frag.length < 50) {
-      console.warn('[ShaderLoader] Suspiciously small shader files - may be empty or cached incorrectly');
-    }
-    
-    return { vertexShader: vert, fragmentShader: frag };
-  } catch (error) {
-    console.error('[ShaderLoader] Failed to load shaders:', error);
-    throw error;
-  }
+function updateMeshTransform(points, bbox, anchor = 'centre') {
+  const size = new THREE.Vector3();
+  const centre = new THREE.Vector3();
+  bbox.getSize(size);
+  bbox.getCenter(centre);
+
+  // Normalise scale: largest axis maps to 13 world units
+  const uniformScale = 13 / Math.max(size.x, size.y, size.z, 1e-6);
+  points.scale.setScalar(uniformScale);
+
+  const offset = anchor === 'base'
+    ? new THREE.Vector3(centre.x, bbox.min.y, centre.z).multiplyScalar(uniformScale)
+    : centre.clone();
+  const previous = points.userData.meshOffset;
+  if (previous) points.position.add(previous);
+  points.position.sub(offset);
+  points.userData.meshOffset = offset;
+
+  return { size, centre, offset, uniformScale };
 }
 
 /**
- * Load a PLY point cloud and prepare it for GPU-driven shader rendering.
+ * Load a point cloud and prepare it for GPU-driven shader rendering.
+ *
+ * The format is chosen by magic bytes or extension: the project's quantised
+ * .hpc (see formats/hpc-format.js and scripts/convert-point-cloud.mjs), PLY,
+ * LAS/LAZ, and ASCII XYZ/PTS (including E57 scans exported as text). Every format yields the same
+ * attributes — linear `color`, `aIntensity` (0–1), `aClassification` (raw class
+ * code), `particleRole` and `posOffset`.
+ *
+ * Fetching, parsing and all per-vertex attribute generation run in
+ * point-cloud-worker.js; this thread only copies the transferred chunks into
+ * the BufferGeometry and builds the material. Binary PLY and LAS bodies stream: the
+ * geometry is allocated from the header's vertex count and the draw range grows
+ * chunk by chunk, so the tree fills in while it downloads. By default the promise
+ * resolves as soon as the first chunk arrives; `options.onComplete` fires once
+ * the whole file has been decoded, or `options.onError` if the stream fails
+ * after that.
  *
  * CRITICAL: Vertex positions are NOT modified. Centering and scaling are applied
  * via mesh-level transforms (points.position, points.scale) so the vertex shader
  * receives raw PLY coordinates — matching the playground's coordinate space exactly.
+ * LAS and text scans are the exception: they are re-based to a local origin for
+ * float32 precision (kept in `geometry.userData.origin`) and converted from
+ * Z-up to Y-up unless `options.upAxis` is 'y'.
+ *
+ * With `options.lod` (the default) the worker also builds an octree once the
+ * download completes and exposes it as `result.octree` (null until then): one
+ * THREE.Points per octree node plus an unculled firefly block (see
+ * point-cloud-octree.js — call updatePointCloudLOD() each frame). Its object is
+ * added as a child of `points`, which stays the streaming THREE.Points and
+ * stops drawing itself from then on. `geometry` always holds the full attribute
+ * buffers the nodes share.
  *
- * @param {string} url — path to the .ply file
+ * @param {string} url — path to the point cloud file
  * @param {object} [options]
- * @param {function} [options.onProgress] — XHR progress callback
- * @returns {Promise<{ points: THREE.Points, geometry: THREE.BufferGeometry, material: THREE.ShaderMaterial }>}
+ * @param {function} [options.onProgress] — progress callback ({ loaded, total, lengthComputable })
+ * @param {function} [options.onComplete] — called with the result once every vertex is loaded
+ * @param {function} [options.onError] — called with the error if streaming fails after the promise has resolved
+ * @param {boolean} [options.progressive=true] — resolve after the first chunk instead of at the end
+ * @param {'y'|'z'} [options.upAxis] — up axis of LAS / text scans (default 'z'; PLY is always read as-is)
+ * @param {boolean} [options.lod=true] — build an octree with per-node frustum culling and LOD
+ * @param {object} [options.octree] — octree build overrides (see OCTREE_DEFAULTS in octree-builder.js)
+ * @param {object} [options.roles] — particle role rules (see particle-roles.js; ignored for .hpc, whose roles are baked in)
+ * @param {'centre'|'base'} [options.anchor='centre'] — which point of the bounding box sits at the object origin
+ * @param {object} [options.uniforms] — per-cloud uniform values; every other uniform stays shared
+ * @param {object} [options.defines] — shader variant flags, e.g. { DISABLE_FIREFLIES: true } (see shader-library.js)
+ * @returns {Promise<{ points: THREE.Points, geometry: THREE.BufferGeometry, material: THREE.ShaderMaterial, octree: object|null }>}
  */
 export async function loadPointCloud(url, options = {}) {
   const onProgress = options.onProgress ?? null;
+  const onComplete = options.onComplete ?? null;
+  const onError = options.onError ?? null;
+  const progressive = options.progressive ?? true;
+  const lod = options.lod ?? true;
+  const anchor = options.anchor ?? 'centre';
 
-  const loader = new PLYLoader();
-
-  const geometry = await new Promise((resolve, reject) => {
-    loader.load(
-      url,
-      (geo) => resolve(geo),
-      (event) => { if (onProgress) onProgress(event); },
-      (err) => reject(err)
-    );
+  // A broken or missing shader file must not stop the cloud from showing
+  const shadersPromise = loadShaderProgram('pointCloud').catch((err) => {
+    console.error('[PointCloud] Shader load failed, using fallback shader:', err);
+    return FALLBACK_SHADERS;
   });
 
-  const vertexCount = geometry.attributes.position.count;
-  console.log(`[PointCloud] Loaded ${vertexCount} vertices from ${url}`);
+  // Worker URLs resolve against the worker script, so hand it an absolute URL
+  const worker = new Worker(new URL('./point-cloud-worker.js', import.meta.url), { type: 'module' });
+  const absoluteUrl = new URL(url, document.baseURI).href;
+
+  let result = null;
+  let geometry = null;
+  let points = null;
+  let resolveFirst, rejectFirst, resolveDone, rejectDone;
+  const firstChunk = new Promise((res, rej) => { resolveFirst = res; rejectFirst = rej; });
+  const finished = new Promise((res, rej) => { resolveDone = res; rejectDone = rej; });
+
+  function fail(err) {
+    worker.terminate();
+    rejectFirst(err);
+    rejectDone(err);
+  }
+
+  /** Allocate full-size attributes up front; the draw range grows as data arrives. */
+  async function onHeader({ vertexCount, format, hasColor, hasIntensity, hasClassification, posOffset }) {
+    console.log(`[PointCloud] Streaming ${vertexCount} vertices (${format}) from ${url}`);
+    if (!hasColor) {
+      console.log(`[PointCloud] No vertex colors — using ${hasIntensity ? 'intensity greyscale' : 'default grey'}`);
+    }
+    if (hasIntensity || hasClassification) {
+      console.log(`[PointCloud] Scalar fields: ${[hasIntensity && 'intensity', hasClassification && 'classification'].filter(Boolean).join(', ')}`);
+    }
+
+    geometry = new THREE.BufferGeometry();
+    for (const [name, itemSize] of STREAMED_ATTRIBUTES) {
+      const attr = new THREE.BufferAttribute(new Float32Array(vertexCount * itemSize), itemSize);
+      attr.setUsage(THREE.DynamicDrawUsage);
+      geometry.setAttribute(name, attr);
+    }
+
+    // ── posOffset attribute (zero-filled by the worker, written by touch-interaction.js) ──
+    const posOffsetAttr = new THREE.BufferAttribute(posOffset, 3);
+    posOffsetAttr.setUsage(THREE.DynamicDrawUsage);
+    geometry.setAttribute('posOffset', posOffsetAttr);
+
+    geometry.setDrawRange(0, 0);
+    geometry.boundingBox = new THREE.Box3();
 
-  // Ensure colour attribute exists and is normalised to 0–1
-  if (geometry.attributes.color) {
-    const colorArr = geometry.attributes.color.array;
-    let needsNormalise = false;
-    for (let i = 0; i < Math.min(colorArr.length, 30); i++) {
-      if (colorArr[i] > 1.0) { needsNormalise = true; break; }
+    const material = createPointCloudMaterial(await shadersPromise, options.uniforms, options.defines);
+    // With LOD the streaming object draws through its own view of the buffers,
+    // so it can step aside for the octree nodes without touching `geometry`
+    points = new THREE.Points(lod ? shareAttributes(geometry) : geometry, material);
+    points.name = 'point-cloud';
+    points.frustumCulled = false;
+    result = { points, geometry, material, octree: null };
+  }
+
+  /** Copy one transferred chunk into the geometry and expose it to the GPU. */
+  function onChunk({ start, count, positions, colors, intensity, classification, roles, bounds }) {
+    const chunk = { position: positions, color: colors, aIntensity: intensity, aClassification: classification, particleRole: roles };
+    for (const [name, array] of Object.entries(chunk)) {
+      const attr = geometry.getAttribute(name);
+      attr.array.set(array, start * attr.itemSize);
+      attr.addUpdateRange(start * attr.itemSize, count * attr.itemSize);
+      attr.needsUpdate = true;
     }
-    if (needsNormalise) {
-      for (let i = 0; i < colorArr.length; i++) {
-        colorArr[i] /= 255;
+    geometry.setDrawRange(0, start + count);
+    if (!result.octree) points.geometry.setDrawRange(0, start + count);
+    geometry.boundingBox.min.fromArray(bounds.min);
+    geometry.boundingBox.max.fromArray(bounds.max);
+    updateMeshTransform(points, geometry.boundingBox, anchor);
+    resolveFirst(result);
+  }
+
+  /**
+   * Swap in the octree node objects. Reordered attributes are absent when the
+   * file was already stored in octree order (.hpc).
+   */
+  function onOctree({ nodes, fireflies, positions, colors, intensity, classification, roles }) {
+    if (positions) {
+      const reordered = { position: positions, color: colors, aIntensity: intensity, aClassification: classification, particleRole: roles };
+      for (const [name, array] of Object.entries(reordered)) {
+        const attr = geometry.getAttribute(name);
+        attr.array.set(array);
+        attr.clearUpdateRanges();
+        attr.needsUpdate = true;
       }
-      geometry.attributes.color.needsUpdate = true;
-      console.log('[PointCloud] Normalised colour values from 0-255 to 0-1');
+      geometry.getAttribute('posOffset').array.fill(0);
+      geometry.getAttribute('posOffset').needsUpdate = true;
     }
-  } else {
-    // Default grey if PLY has no vertex colors
-    const c = new Float32Array(vertexCount * 3).fill(0.8);
-    geometry.setAttribute('color', new THREE.BufferAttribute(c, 3));
-    console.log('[PointCloud] No vertex colors in PLY — using default grey');
+
+    result.octree = createPointCloudOctree(geometry, result.material, nodes, fireflies);
+    points.geometry.setDrawRange(0, 0); // the nodes draw from here on
+    points.add(result.octree.object);
   }
 
-  // ── Assign particleRole attribute (30% fireflies, deterministic xorshift hash) ──
-  const roles = new Float32Array(vertexCount);
-  let seed = 0xdeadbeef;
-  for (let i = 0; i < vertexCount; i++) {
-    seed = (seed ^ (seed << 13)) >>> 0;
-    seed = (seed ^ (seed >> 17)) >>> 0;
-    seed = (seed ^ (seed << 5))  >>> 0;
-    roles[i] = (seed / 0xffffffff) < 0.30 ? 1.0 : 0.0;
+  function onDone({ vertexCount, fireflies, bounds, sphere, origin }) {
+    worker.terminate();
+    if (!result) { fail(new Error(`[PointCloud] No vertices decoded from ${url}`)); return; }
+
+    if (geometry.drawRange.count < geometry.getAttribute('position').count) {
+      console.warn(`[PointCloud] Stream ended early: ${vertexCount} / ${geometry.getAttribute('position').count} vertices`);
+    }
+
+    geometry.boundingBox.min.fromArray(bounds.min);
+    geometry.boundingBox.max.fromArray(bounds.max);
+    geometry.boundingSphere = new THREE.Sphere(new THREE.Vector3().fromArray(sphere.centre), sphere.radius);
+    geometry.userData.origin = origin;
+    const { size, offset, uniformScale } = updateMeshTransform(points, geometry.boundingBox, anchor);
+
+    console.log(`[PointCloud] Loaded ${vertexCount} vertices from ${url}`);
+    console.log(`[PointCloud] Assigned particleRole: ${fireflies} fireflies / ${vertexCount} total`);
+    console.log(`[PointCloud] Raw bounding box: ${size.x.toFixed(2)} × ${size.y.toFixed(2)} × ${size.z.toFixed(2)}`);
+    console.log(`[PointCloud] Mesh offset: (${(-offset.x).toFixed(2)}, ${(-offset.y).toFixed(2)}, ${(-offset.z).toFixed(2)})`);
+    console.log(`[PointCloud] Mesh scale: ${uniformScale.toFixed(4)}`);
+
+    if (onComplete) onComplete(result);
+    resolveFirst(result);
+    resolveDone(result);
   }
-  geometry.setAttribute('particleRole', new THREE.BufferAttribute(roles, 1));
-  console.log(`[PointCloud] Assigned particleRole: ${roles.filter(v => v > 0.5).length} fireflies / ${vertexCount} total`);
-
-  // ── posOffset attribute (zero-filled, for future touch physics) ──
-  const offBuf = new Float32Array(vertexCount * 3);
-  const posOffsetAttr = new THREE.BufferAttribute(offBuf, 3);
-  posOffsetAttr.setUsage(THREE.DynamicDrawUsage);
-  geometry.setAttribute('posOffset', posOffsetAttr);
-
-  // ── Compute bounding box for mesh-level transforms ──
-  geometry.computeBoundingBox();
-  const bbox = geometry.boundingBox;
-  const size = new THREE.Vector3();
-  bbox.getSize(size);
-  const centre = new THREE.Vector3();
-  bbox.getCenter(centre);
 
-  console.log(`[PointCloud] Raw bounding box: ${size.x.toFixed(2)} × ${size.y.toFixed(2)} × ${size.z.toFixed(2)}`);
+  // Messages are handled strictly in order — the header must finish (it awaits
+  // the shaders) before any chunk is copied into the geometry
+  let queue = Promise.resolve();
+  worker.onmessage = (event) => {
+    const msg = event.data;
+    queue = queue.then(async () => {
+      switch (msg.type) {
+        case 'header': await onHeader(msg); break;
+        case 'chunk': onChunk(msg); break;
+        case 'octree': onOctree(msg); break;
+        case 'progress': if (onProgress) onProgress(msg); break;
+        case 'done': onDone(msg); break;
+        case 'error': fail(new Error(`[PointCloud] ${msg.message}`)); break;
+        default: break;
+      }
+    }).catch(fail);
+  };
+  worker.onerror = (event) => fail(new Error(`[PointCloud] Worker failed: ${event.message}`));
+  worker.postMessage({ type: 'load', url: absoluteUrl, options: { upAxis: options.upAxis, lod, octree: options.octree, roles: options.roles } });
 
-  // Load shaders
-  const shaders = await loadShaders();
+  if (!progressive) return finished;
+  let streaming = false; // before the first chunk, the returned promise rejects instead
+  firstChunk.then(() => { streaming = true; }, () => {});
+  finished.catch((err) => {
+    console.error('[PointCloud] Streaming failed:', err);
+    if (streaming && onError) onError(err);
+  });
+  return firstChunk;
+}
 
+/**
+ * A geometry sharing every attribute buffer of `geometry`, with its own draw range.
+ * @param {THREE.BufferGeometry} geometry
+ */
+function shareAttributes(geometry) {
+  const view = new THREE.BufferGeometry();
+  for (const [name, attr] of Object.entries(geometry.attributes)) view.setAttribute(name, attr);
+  view.boundingBox = geometry.boundingBox; // grown in place as chunks arrive
+  return view;
+}
+
+/**
+ * Create the GPU-driven point cloud material from loaded shader sources.
+ * Overridden uniforms get their own { value } objects; the rest stay the
+ * shared registry objects, so global updates (time, opacity…) still apply.
+ * @param {object} program — from loadShaderProgram() (or FALLBACK_SHADERS)
+ * @param {Object<string, *>} [overrides] — uniform name → value (colours as [r, g, b])
+ * @param {Object<string, *>} [defineFlags] — shader variant flags
+ */
+function createPointCloudMaterial(program, overrides = {}, defineFlags = {}) {
   // Start hidden for fade-in
   uniforms.uOpacity.value = 0.0;
 
+  const materialUniforms = { ...uniforms };
+  for (const [name, value] of Object.entries(overrides)) {
+    try {
+      materialUniforms[name] = { value: validateUniformValue(name, value) };
+    } catch (err) {
+      console.warn(`[PointCloud] Uniform override ignored: ${err.message}`);
+    }
+  }
+
   console.log('[ShaderLoader] Creating ShaderMaterial with loaded shaders...');
 
+  const defines = resolveDefines(defineFlags);
+  const { vertexShader, fragmentShader } = createShaderVariant(program, defines);
+
   // GPU-driven point cloud material
   // Additive blending restores color pop/glow accumulation in AR
   const material = new THREE.ShaderMaterial({
-    vertexShader: shaders.vertexShader,
-    fragmentShader: shaders.fragmentShader,
-    uniforms: uniforms,
+    name: 'point-cloud',
+    vertexShader,
+    fragmentShader,
+    defines,
+    uniforms: materialUniforms,
     vertexColors: true,
     transparent: true,
     depthWrite: false,
     blending: THREE.AdditiveBlending,
   });
-
-  const points = new THREE.Points(geometry, material);
-  points.name = 'point-cloud';
-  points.frustumCulled = false;
-
-  // ── Mesh-level transforms (DO NOT modify vertex positions) ──
-  // Centre the mesh so its bounding box centre is at origin
-  points.position.set(-centre.x, -centre.y, -centre.z);
-  // Normalise scale: largest axis maps to 6 world units
-  const uniformScale = 13 / Math.max(size.x, size.y, size.z);
-  points.scale.setScalar(uniformScale);
-
-  console.log(`[PointCloud] Mesh offset: (${(-centre.x).toFixed(2)}, ${(-centre.y).toFixed(2)}, ${(-centre.z).toFixed(2)})`);
-  console.log(`[PointCloud] Mesh scale: ${uniformScale.toFixed(4)}`);
-
-  return { points, geometry, material };
+  registerShaderMaterial(material);
+  return material;
 }
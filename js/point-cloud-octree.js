@@ -0,0 +1,159 @@
+// point-cloud-octree.js — Octree node objects + per-frame LOD selection
+// HIDDEN Exhibition · AR Point Cloud Experience
+//
+// Turns the node table from octree-builder.js into one THREE.Points per node.
+// Node geometries share the full geometry's BufferAttributes (one GPU buffer per
+// attribute) and differ only in draw range and bounding sphere, so the same
+// ShaderMaterial, its uniforms and posOffset writes drive every node.
+//
+// Each frame, updatePointCloudLOD() walks every registered octree: nodes outside
+// the camera frustum (the WebXR camera while presenting) are hidden with their
+// subtree, and visible nodes are refined in order of screen-space error — the
+// node's point spacing projected to pixels — until the error drops below
+// `maxScreenSpaceError` or `pointBudget` points are shown.
+
+import * as THREE from 'three';
+
+export const LOD_SETTINGS = {
+  maxScreenSpaceError: 4,  // px — refine nodes whose point spacing projects larger than this
+  pointBudget: 1_000_000,  // max octree points drawn per frame (fireflies not included)
+};
+
+const _octrees = new Set();
+const _frustum = new THREE.Frustum();
+const _projScreen = new THREE.Matrix4();
+const _sphere = new THREE.Sphere();
+const _cameraPos = new THREE.Vector3();
+const _bufferSize = new THREE.Vector2();
+
+/**
+ * Build node objects for a loaded cloud.
+ *
+ * @param {THREE.BufferGeometry} geometry — full geometry, already in octree order
+ * @param {THREE.Material} material
+ * @param {Array<object>} nodes — node table from buildOctree()
+ * @param {{ offset: number, count: number }} fireflies — trailing firefly block
+ * @returns {{ object: THREE.Group, nodes: THREE.Points[], fireflies: THREE.Points|null, visiblePoints: number, dispose: function }}
+ */
+export function createPointCloudOctree(geometry, material, nodes, fireflies) {
+  const object = new THREE.Group();
+  object.name = 'point-cloud-octree';
+
+  const makePoints = (offset, count, name) => {
+    const nodeGeometry = new THREE.BufferGeometry();
+    for (const [attrName, attr] of Object.entries(geometry.attributes)) {
+      nodeGeometry.setAttribute(attrName, attr);
+    }
+    nodeGeometry.setDrawRange(offset, count);
+    const points = new THREE.Points(nodeGeometry, material);
+    points.name = name;
+    return points;
+  };
+
+  const nodeObjects = nodes.map((node, i) => {
+    const points = makePoints(node.offset, node.count, `octree-node-${i}`);
+    points.geometry.boundingSphere = new THREE.Sphere(new THREE.Vector3().fromArray(node.center), node.radius);
+    points.userData.node = node;
+    points.visible = i === 0;
+    object.add(points);
+    return points;
+  });
+
+  let fireflyObject = null;
+  if (fireflies.count > 0) {
+    // Fireflies roam far from their source points — never culled
+    fireflyObject = makePoints(fireflies.offset, fireflies.count, 'octree-fireflies');
+    fireflyObject.frustumCulled = false;
+    object.add(fireflyObject);
+  }
+
+  const octree = {
+    object,
+    material,
+    nodes: nodeObjects,
+    fireflies: fireflyObject,
+    visiblePoints: 0,
+    dispose() {
+      _octrees.delete(octree);
+      // Only the per-node geometry wrappers — attributes belong to the full geometry
+      for (const child of object.children) child.geometry.dispose();
+    },
+  };
+  _octrees.add(octree);
+
+  console.log(`[Octree] ${nodes.length} nodes, depth ${Math.max(0, ...nodes.map((n) => n.level))}, ${fireflies.count} fireflies outside the tree`);
+  return octree;
+}
+
+/**
+ * Vertex-shader displacement can push points out of their node's sphere;
+ * pad culling spheres by the largest body-point displacement in model units.
+ * @param {Object<string, { value: * }>} uniforms — the cloud's material uniforms
+ * @param {THREE.Sphere} bounds — root node sphere (bass breathing scales with distance from the axis)
+ */
+function cullingMargin(uniforms, bounds) {
+  const noise = Math.max(...uniforms.roleNoise.value);
+  const sway = Math.max(...uniforms.roleSway.value);
+  const scatter = uniforms.dissolve.value * (uniforms.dissolveSpread.value * 2.2 + uniforms.dissolveGravity.value + 0.3);
+  const breathing = uniforms.audioLow.value * 0.03 * (bounds.center.length() + bounds.radius);
+  const audio = 1.0 + uniforms.audioAmp.value * 3.0 + uniforms.audioMid.value * 1.5;
+  return uniforms.noiseAmp.value * noise * 3.0 * audio + sway + scatter + breathing;
+}
+
+/**
+ * Select visible octree nodes for this frame. Call once per frame before render.
+ * @param {THREE.WebGLRenderer} renderer
+ * @param {THREE.Camera} camera — the scene camera; the XR camera is used while presenting
+ */
+export function updatePointCloudLOD(renderer, camera) {
+  if (_octrees.size === 0) return;
+
+  const viewCamera = renderer.xr.isPresenting ? renderer.xr.getCamera() : camera;
+  _projScreen.multiplyMatrices(viewCamera.projectionMatrix, viewCamera.matrixWorldInverse);
+  _frustum.setFromProjectionMatrix(_projScreen);
+  _cameraPos.setFromMatrixPosition(viewCamera.matrixWorld);
+
+  // Pixels per unit of (size / distance) — the projection's focal length in pixels
+  renderer.getDrawingBufferSize(_bufferSize);
+  const pixelScale = (viewCamera.projectionMatrix.elements[5] * _bufferSize.y) / 2;
+
+  for (const octree of _octrees) {
+    const { nodes } = octree;
+    for (const points of nodes) points.visible = false;
+    octree.visiblePoints = 0;
+    if (nodes.length === 0 || !octree.object.parent) continue;
+
+    const margin = cullingMargin(octree.material.uniforms, nodes[0].geometry.boundingSphere);
+    octree.object.updateWorldMatrix(true, false);
+    const matrixWorld = octree.object.matrixWorld;
+    const worldScale = octree.object.matrixWorld.getMaxScaleOnAxis();
+
+    // Priority queue (largest error first) — the array stays small, a sorted insert is enough
+    const queue = [{ index: 0, error: Infinity }];
+    while (queue.length > 0) {
+      const { index } = queue.shift();
+      const points = nodes[index];
+      const node = points.userData.node;
+
+      _sphere.copy(points.geometry.boundingSphere).applyMatrix4(matrixWorld);
+      _sphere.radius += margin * worldScale;
+      if (!_frustum.intersectsSphere(_sphere)) continue;
+
+      if (octree.visiblePoints + node.count > LOD_SETTINGS.pointBudget && octree.visiblePoints > 0) break;
+      points.visible = true;
+      octree.visiblePoints += node.count;
+
+      for (const child of node.children) {
+        const childPoints = nodes[child];
+        const childNode = childPoints.userData.node;
+        _sphere.copy(childPoints.geometry.boundingSphere).applyMatrix4(matrixWorld);
+        const distance = Math.max(_sphere.distanceToPoint(_cameraPos), 0.01);
+        const error = (childNode.spacing * 2 * worldScale * pixelScale) / distance;
+        if (error < LOD_SETTINGS.maxScreenSpaceError) continue;
+        let at = queue.findIndex((entry) => entry.error < error);
+        if (at === -1) at = queue.length;
+        queue.splice(at, 0, { index: child, error });
+      }
+    }
+  }
+}
@@ -0,0 +1,227 @@
+// point-cloud-worker.js — Off-main-thread point cloud parsing + attribute generation
+// HIDDEN Exhibition · AR Point Cloud Experience
+//
+// Runs as a module worker. Streams the file with fetch, picks a decoder from
+// formats/ by magic bytes or extension (HPC, PLY, LAS/LAZ, XYZ/PTS/E57-exported
+// ASCII), then generates every per-vertex attribute (linear colour, intensity,
+// classification, particleRole, posOffset) plus bounds the same way for every
+// format, and hands the Float32Arrays to the main thread as transferables.
+// No Three.js here — the main thread only builds the BufferGeometry and material.
+//
+// Protocol (worker → main):
+//   { type: 'header',   vertexCount, format, hasColor, hasIntensity, hasClassification, posOffset }
+//   { type: 'chunk',    start, count, positions, colors, intensity, classification, roles, bounds }
+//   { type: 'progress', loaded, total, lengthComputable }
+//   { type: 'octree',   nodes, fireflies, positions, colors, intensity, classification, roles }
+//   { type: 'done',     vertexCount, fireflies, bounds, sphere, origin }
+//   { type: 'error',    message }
+//
+// With `options.lod`, the full attribute set is rebuilt in octree order once
+// every chunk has arrived (see octree-builder.js) and sent before 'done'.
+// .hpc files are already in octree order with precomputed roles, so their
+// 'octree' message carries only the node table.
+
+import { sniffHpc, decodeHpc } from './formats/hpc-format.js';
+import { sniffPly, decodePly } from './formats/ply-format.js';
+import { sniffLas, decodeLas } from './formats/las-format.js';
+import { sniffXyz, decodeXyz } from './formats/xyz-format.js';
+import { buildOctree, reorderAttribute } from './octree-builder.js';
+import { createRoleAssigner, countFireflies, roleScalarProperties } from './particle-roles.js';
+
+// Checked in order; extension hints only matter for formats without magic bytes
+const FORMATS = [
+  { name: 'hpc', sniff: (bytes, ext) => sniffHpc(bytes) || ext === 'hpc', decode: decodeHpc },
+  { name: 'ply', sniff: (bytes, ext) => sniffPly(bytes) || ext === 'ply', decode: decodePly },
+  { name: 'las', sniff: (bytes, ext) => sniffLas(bytes) || ext === 'las' || ext === 'laz', decode: decodeLas },
+  { name: 'xyz', sniff: sniffXyz, decode: decodeXyz },
+];
+
+// Bytes needed to recognise any supported format
+const SNIFF_BYTES = 512;
+
+/**
+ * Running axis-aligned bounds over every decoded vertex.
+ */
+function createBounds() {
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  return {
+    min, max,
+    expand(positions) {
+      for (let i = 0; i < positions.length; i += 3) {
+        for (let a = 0; a < 3; a++) {
+          const v = positions[i + a];
+          if (v < min[a]) min[a] = v;
+          if (v > max[a]) max[a] = v;
+        }
+      }
+    },
+    toJSON() { return { min: [...min], max: [...max] }; },
+  };
+}
+
+/**
+ * Pick a decoder for the file from its first bytes and extension.
+ */
+function detectFormat(bytes, url) {
+  const text = new TextDecoder('ascii').decode(bytes.subarray(0, 8));
+  if (text === 'ASTM-E57') {
+    throw new Error('Binary E57 is not supported — export the scan as ASCII (XYZ/PTS) or LAS');
+  }
+  const ext = new URL(url).pathname.split('.').pop().toLowerCase();
+  const format = FORMATS.find((f) => f.sniff(bytes, ext));
+  if (!format) throw new Error(`Unrecognised point cloud format: ${url}`);
+  return format;
+}
+
+async function load(url, options) {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`Failed to fetch ${url}: ${response.status}`);
+  const contentLength = parseInt(response.headers.get('Content-Length') || '0', 10);
+
+  const reader = response.body.getReader();
+  const bounds = createBounds();
+  const roleAssigner = createRoleAssigner(options.roles);
+  const retained = [];
+  let loadedBytes = 0;
+  let totalBytes = contentLength;
+  let info = null;
+  let emitted = 0;
+  let fireflies = 0;
+
+  const progress = () => {
+    self.postMessage({ type: 'progress', loaded: loadedBytes, total: totalBytes, lengthComputable: totalBytes > 0 });
+  };
+
+  const readChunk = async () => {
+    const { done, value } = await reader.read();
+    if (done) return null;
+    loadedBytes += value.length;
+    progress();
+    return value;
+  };
+
+  // ── Sniff: gather enough leading bytes to recognise the format ──
+  let prefix = new Uint8Array(0);
+  while (prefix.length < SNIFF_BYTES) {
+    const value = await readChunk();
+    if (!value) break;
+    const merged = new Uint8Array(prefix.length + value.length);
+    merged.set(prefix, 0);
+    merged.set(value, prefix.length);
+    prefix = merged;
+  }
+  const format = detectFormat(prefix, url);
+
+  const sink = {
+    begin(header) {
+      info = header;
+      if (header.totalBytes) totalBytes = header.totalBytes;
+      // ── posOffset attribute (zero-filled, for touch physics on the main thread) ──
+      const posOffset = new Float32Array(header.vertexCount * 3);
+      self.postMessage({
+        type: 'header',
+        vertexCount: header.vertexCount,
+        format: header.format,
+        hasColor: header.hasColor,
+        hasIntensity: header.hasIntensity,
+        hasClassification: header.hasClassification,
+        posOffset,
+      }, [posOffset.buffer]);
+    },
+    emit(chunk) {
+      const { start, count, positions, colors, intensity, classification } = chunk;
+      if (count === 0) return;
+      bounds.expand(positions);
+      // .hpc files carry the roles baked in at conversion time
+      const roles = chunk.roles ?? roleAssigner.assign(chunk);
+      fireflies += countFireflies(roles);
+      // Keep copies for the bounding sphere (and the octree rebuild) — the originals are transferred
+      retained.push(options.lod && !info.octree
+        ? { start, positions: positions.slice(), colors: colors.slice(), intensity: intensity.slice(), classification: classification.slice(), roles: roles.slice() }
+        : { start, positions: positions.slice() });
+      emitted = start + count;
+      self.postMessage(
+        { type: 'chunk', start, count, positions, colors, intensity, classification, roles, bounds: bounds.toJSON() },
+        [positions.buffer, colors.buffer, intensity.buffer, classification.buffer, roles.buffer]
+      );
+    },
+  };
+
+  await format.decode({ prefix, read: readChunk }, sink, { ...options, scalars: roleScalarProperties(options.roles) });
+  reader.cancel().catch(() => {});
+  if (!info) throw new Error(`No point data in ${url}`);
+
+  if (options.lod && info.octree) {
+    self.postMessage({ type: 'octree', ...info.octree });
+  } else if (options.lod) {
+    postOctree(retained, emitted, bounds.toJSON(), options.octree);
+  }
+
+  self.postMessage({
+    type: 'done',
+    vertexCount: emitted,
+    fireflies,
+    bounds: bounds.toJSON(),
+    sphere: computeBoundingSphere(bounds, retained),
+    origin: info.origin ?? [0, 0, 0],
+  });
+}
+
+/**
+ * Bounding sphere centred on the box centre, radius to the farthest vertex
+ * (same construction as BufferGeometry.computeBoundingSphere).
+ */
+function computeBoundingSphere(bounds, chunks) {
+  const centre = [0, 1, 2].map((a) => (bounds.min[a] + bounds.max[a]) / 2);
+  let maxSq = 0;
+  for (const { positions } of chunks) {
+    for (let i = 0; i < positions.length; i += 3) {
+      const dx = positions[i] - centre[0];
+      const dy = positions[i + 1] - centre[1];
+      const dz = positions[i + 2] - centre[2];
+      maxSq = Math.max(maxSq, dx * dx + dy * dy + dz * dz);
+    }
+  }
+  return { centre, radius: Math.sqrt(maxSq) };
+}
+
+/**
+ * Join the retained chunks, build the octree and send every attribute in node order.
+ */
+function postOctree(chunks, count, bounds, octreeOptions) {
+  const join = (key, itemSize) => {
+    const out = new Float32Array(count * itemSize);
+    for (const chunk of chunks) out.set(chunk[key], chunk.start * itemSize);
+    return out;
+  };
+  const positions = join('positions', 3);
+  const roles = join('roles', 1);
+
+  const t0 = performance.now();
+  const { order, nodes, fireflies } = buildOctree(positions, roles, bounds, octreeOptions);
+
+  const message = {
+    type: 'octree',
+    nodes,
+    fireflies,
+    positions: reorderAttribute(positions, 3, order),
+    colors: reorderAttribute(join('colors', 3), 3, order),
+    intensity: reorderAttribute(join('intensity', 1), 1, order),
+    classification: reorderAttribute(join('classification', 1), 1, order),
+    roles: reorderAttribute(roles, 1, order),
+  };
+  console.log(`[PointCloud] Octree built in ${(performance.now() - t0).toFixed(0)}ms: ${nodes.length} nodes`);
+  self.postMessage(message, [
+    message.positions.buffer, message.colors.buffer, message.intensity.buffer,
+    message.classification.buffer, message.roles.buffer,
+  ]);
+}
+
+self.onmessage = (event) => {
+  const { type, url, options } = event.data;
+  if (type !== 'load') return;
+  load(url, options ?? {}).catch((err) => {
+    self.postMessage({ type: 'error', message: err.message || String(err) });
+  });
+};
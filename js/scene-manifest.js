@@ -0,0 +1,162 @@
+// scene-manifest.js — Multi-asset scene loading from a JSON manifest
+// HIDDEN Exhibition · AR Point Cloud Experience
+//
+// The manifest (assets/scene.json) lists every point cloud in the piece and
+// where it stands relative to the placement anchor — the floor point chosen by
+// hit-test, the image-tracked marker or the AR.js marker. Local frame: origin on
+// the floor, +Y up, metres.
+//
+//   {
+//     "name": "…",
+//     "clouds": [
+//       {
+//         "id": "st-john-tree",
+//         "url": "stjohn_originbase.ply",   // relative to the manifest
+//         "position": [0, 0, 0],            // base of the cloud, relative to the anchor
+//         "rotation": [0, 0, 0],            // Euler XYZ, degrees
+//         "scale": 1,                       // × the loader's normalised size (number or [x, y, z])
+//         "upAxis": "z",                    // LAS / text scans only
+//         "roles": { … },                   // particle role rules (js/particle-roles.js)
+//         "uniforms": { "glowIntensity": 0.6 },  // per-cloud uniform values
+//         "defines": { "DISABLE_FIREFLIES": true } // shader variant flags
+//       }
+//     ]
+//   }
+//
+// Clouds load in parallel and are returned under one group, ready to be
+// attached to the anchor as a single placed object.
+
+import * as THREE from 'three';
+import { loadPointCloud } from './point-cloud-loader.js';
+
+const DEG2RAD = Math.PI / 180;
+
+/**
+ * Fetch and validate a scene manifest.
+ * @param {string} url
+ * @returns {Promise<object>}
+ */
+async function fetchManifest(url) {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`Failed to fetch scene manifest ${url}: ${response.status}`);
+  const manifest = await response.json();
+  if (!Array.isArray(manifest.clouds) || manifest.clouds.length === 0) {
+    throw new Error(`Scene manifest ${url} lists no clouds`);
+  }
+  manifest.clouds.forEach((cloud, i) => {
+    if (!cloud.url) throw new Error(`Scene manifest ${url}: cloud ${i} has no url`);
+    cloud.id = cloud.id ?? `cloud-${i}`;
+  });
+  return manifest;
+}
+
+/**
+ * Wrapper group carrying the manifest transform. The loader keeps rewriting the
+ * cloud's own position/scale while it streams, so the placement lives one level up.
+ */
+function createCloudWrapper(cloud) {
+  const wrapper = new THREE.Group();
+  wrapper.name = cloud.id;
+  wrapper.position.fromArray(cloud.position ?? [0, 0, 0]);
+  const [rx, ry, rz] = cloud.rotation ?? [0, 0, 0];
+  wrapper.rotation.set(rx * DEG2RAD, ry * DEG2RAD, rz * DEG2RAD);
+  if (Array.isArray(cloud.scale)) wrapper.scale.fromArray(cloud.scale);
+  else wrapper.scale.setScalar(cloud.scale ?? 1);
+  return wrapper;
+}
+
+/**
+ * Load every cloud in a scene manifest.
+ *
+ * Resolves once every cloud has streamed its first chunk or failed (the rest
+ * keeps streaming, as with loadPointCloud); `options.onComplete` fires when all
+ * clouds have finished or failed. A cloud that fails to start is logged and
+ * left out of `clouds`; only when none loads does the promise reject.
+ *
+ * Each cloud's `loaded` promise resolves when that cloud has finished — after
+ * the octree pass has reordered its attributes, so anything indexing into them
+ * (touch grids, flock homes) waits for it. The cloud's `octree` (see
+ * loadPointCloud) is set by then. If the stream fails part-way, `loaded`
+ * rejects and the cloud stays as far as it got; whoever awaits it must
+ * handle that.
+ *
+ * @param {string} url — manifest URL
+ * @param {object} [options]
+ * @param {function} [options.onProgress] — combined progress ({ loaded, total, lengthComputable })
+ * @param {function} [options.onComplete] — called with the result once every cloud is loaded
+ * @returns {Promise<{ group: THREE.Group, clouds: Array<{ id: string, wrapper: THREE.Group, points: THREE.Points, geometry: THREE.BufferGeometry, material: THREE.ShaderMaterial, octree: object|null, loaded: Promise<void> }>, manifest: object }>}
+ */
+export async function loadSceneManifest(url, options = {}) {
+  const manifestUrl = new URL(url, document.baseURI);
+  const manifest = await fetchManifest(manifestUrl.href);
+  console.log(`[Scene] ${manifest.name ?? url}: ${manifest.clouds.length} point clouds`);
+
+  const group = new THREE.Group();
+  group.name = 'placed-scene';
+
+  const progress = manifest.clouds.map(() => ({ loaded: 0, total: 0, lengthComputable: false }));
+  const reportProgress = () => {
+    if (!options.onProgress) return;
+    options.onProgress({
+      loaded: progress.reduce((sum, p) => sum + p.loaded, 0),
+      total: progress.reduce((sum, p) => sum + p.total, 0),
+      lengthComputable: progress.every((p) => p.lengthComputable),
+    });
+  };
+
+  let result = null;
+  let pending = manifest.clouds.length;
+  const cloudSettled = () => {
+    pending--;
+    if (pending === 0 && result && options.onComplete) options.onComplete(result);
+  };
+
+  const settled = await Promise.allSettled(manifest.clouds.map(async (cloud, i) => {
+    const wrapper = createCloudWrapper(cloud);
+    group.add(wrapper);
+    let resolveLoaded, rejectLoaded;
+    const loaded = new Promise((res, rej) => { resolveLoaded = res; rejectLoaded = rej; });
+    loaded.catch(() => {}); // the loader logs it; not every cloud has a consumer
+    const entry = { id: cloud.id, wrapper, octree: null, loaded };
+
+    const { points, geometry, material } = await loadPointCloud(new URL(cloud.url, manifestUrl).href, {
+      anchor: 'base',
+      upAxis: cloud.upAxis,
+      roles: cloud.roles,
+      uniforms: cloud.uniforms,
+      defines: cloud.defines,
+      onProgress: (event) => {
+        progress[i] = event;
+        reportProgress();
+      },
+      onComplete: ({ octree }) => {
+        entry.octree = octree;
+        console.log(`[Scene] ${cloud.id} fully loaded`);
+        resolveLoaded();
+        cloudSettled();
+      },
+      onError: (err) => {
+        rejectLoaded(err);
+        cloudSettled();
+      },
+    }).catch((err) => {
+      group.remove(wrapper);
+      cloudSettled();
+      throw err;
+    });
+    wrapper.add(points);
+    return Object.assign(entry, { points, geometry, material });
+  }));
+
+  const clouds = [];
+  settled.forEach((outcome, i) => {
+    if (outcome.status === 'fulfilled') clouds.push(outcome.value);
+    else console.error(`[Scene] Skipping ${manifest.clouds[i].id}:`, outcome.reason);
+  });
+  if (clouds.length === 0) throw new Error(`[Scene] None of the ${manifest.clouds.length} point clouds in ${url} loaded`);
+
+  result = { group, clouds, manifest };
+  // Small clouds can finish streaming before every first chunk is in
+  if (pending === 0 && options.onComplete) options.onComplete(result);
+  return result;
+}
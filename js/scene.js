@@ -3,6 +3,10 @@
 
 import * as THREE from 'three';
 import { uniforms } from '../uniformsRegistry.js';
+import { installShaderDiagnostics } from './shader-library.js';
+import { update as updateTimeline } from '../systems/timelineSystem.js';
+import { update as updateDissolve } from '../systems/dissolveSystem.js';
+import { update as updateAudio } from '../systems/audioSystem.js';
 
 /**
  * Create and return the core Three.js objects.
@@ -29,6 +33,9 @@ export function createScene() {
   renderer.setClearColor(0x000000, 0.0);
   document.body.appendChild(renderer.domElement);
 
+  // Compile errors → file:line reports + safe fallback shader
+  installShaderDiagnostics(renderer);
+
   // Resize handler (only applies outside XR session)
   window.addEventListener('resize', () => {
     if (!renderer.xr.isPresenting) {
@@ -44,9 +51,13 @@ export function createScene() {
 /**
  * Animation loop - updates uniforms before render
  * Call this each frame before renderer.render()
+ * @param {number} [now] — the frame's timestamp (ms), as the rAF / XR frame callback received it
  */
-export function updateUniforms() {
-  uniforms.time.value = performance.now() * 0.001;
+export function updateUniforms(now = performance.now()) {
+  uniforms.time.value = now * 0.001;
+  updateAudio(now);
+  updateDissolve(now);
+  updateTimeline(now);
 }
 
 /**
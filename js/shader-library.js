@@ -0,0 +1,254 @@
+// shader-library.js — Shader loading, #include chunks, define variants, diagnostics
+// HIDDEN Exhibition · AR Point Cloud Experience
+//
+// Shader programs live in shaders/ as <name>.vert + <name>.frag. Any line
+//   #include <chunk>
+// is replaced by shaders/<chunk>.glsl (recursively, each chunk once per stage),
+// unless three.js has a built-in ShaderChunk of that name, which three resolves.
+//
+// Variants are compiled through material.defines (e.g. DISABLE_FIREFLIES,
+// AUDIO_REACTIVE). Every stage starts with a `// @source` marker line, so when
+// the renderer reports a compile error, installShaderDiagnostics() can map the
+// driver's line numbers (which count three's injected prefix) back to the file
+// and line they came from, and swap the failing materials to a built-in safe
+// fallback shader so visitors still see the cloud.
+
+import * as THREE from 'three';
+import { cacheBust } from './offline-cache.js';
+
+const SHADER_DIR = 'shaders/';
+const INCLUDE_PATTERN = /^[ \t]*#include +<([\w./-]+)>/;
+const SOURCE_MARKER = '// @source ';
+
+// Variant flags on by default; per-material defines can add to or switch these off
+export const SHADER_DEFINES = {
+  AUDIO_REACTIVE: true,
+};
+
+// Minimal shaders with no includes or optional uniforms — used when the real
+// program fails to load or compile. Same attributes and `pointSize`/`uOpacity`.
+export const FALLBACK_SHADERS = {
+  name: 'fallback',
+  vertexShader: `
+uniform float pointSize;
+varying vec3 vColor;
+void main() {
+    vColor = color;
+    vec4 mv = modelViewMatrix * vec4(position, 1.0);
+    gl_PointSize = max(pointSize * 300.0 / -mv.z, 1.0);
+    gl_Position = projectionMatrix * mv;
+}`,
+  fragmentShader: `
+uniform float uOpacity;
+varying vec3 vColor;
+void main() {
+    if (length(gl_PointCoord - vec2(0.5)) > 0.5) discard;
+    gl_FragColor = vec4(vColor, uOpacity);
+}`,
+  vertexLines: [],
+  fragmentLines: [],
+};
+
+const _files = new Map();      // path → Promise<string>
+const _sourceMaps = new Map(); // marker id → line map ({ file, line }[])
+const _materials = new Map();  // marker id → Set<ShaderMaterial>
+
+function fetchShaderFile(path) {
+  if (!_files.has(path)) {
+    _files.set(path, fetch(cacheBust(SHADER_DIR + path)).then((r) => {
+      if (!r.ok) throw new Error(`Failed to load shader ${SHADER_DIR}${path}: ${r.status}`);
+      return r.text();
+    }));
+  }
+  return _files.get(path);
+}
+
+/**
+ * Expand #include lines, recording where every output line came from.
+ * @returns {Promise<{ code: string[], lines: Array<{ file: string, line: number }> }>}
+ */
+async function resolveIncludes(file, included = new Set(), stack = []) {
+  if (stack.includes(file)) throw new Error(`Circular #include: ${[...stack, file].join(' → ')}`);
+  const source = await fetchShaderFile(file);
+  const code = [];
+  const lines = [];
+
+  const sourceLines = source.split(/\r?\n/);
+  for (let i = 0; i < sourceLines.length; i++) {
+    const match = sourceLines[i].match(INCLUDE_PATTERN);
+    const chunk = match?.[1];
+    if (!chunk || THREE.ShaderChunk[chunk] !== undefined) {
+      code.push(sourceLines[i]);
+      lines.push({ file, line: i + 1 });
+      continue;
+    }
+    const chunkFile = `${chunk}.glsl`;
+    if (included.has(chunkFile)) continue;
+    included.add(chunkFile);
+    try {
+      const resolved = await resolveIncludes(chunkFile, included, [...stack, file]);
+      code.push(...resolved.code);
+      lines.push(...resolved.lines);
+    } catch (err) {
+      throw new Error(`${err.message}\n  included from ${file}:${i + 1}`);
+    }
+  }
+  return { code, lines };
+}
+
+/**
+ * Load shaders/<name>.vert and .frag with their includes resolved.
+ * @param {string} name — e.g. 'pointCloud'
+ * @returns {Promise<{ name: string, vertexShader: string, fragmentShader: string, vertexLines: object[], fragmentLines: object[] }>}
+ */
+export async function loadShaderProgram(name) {
+  const [vertex, fragment] = await Promise.all([
+    resolveIncludes(`${name}.vert`),
+    resolveIncludes(`${name}.frag`),
+  ]);
+  console.log(`[ShaderLibrary] ${name}: vertex ${vertex.code.length} lines, fragment ${fragment.code.length} lines`);
+  return {
+    name,
+    vertexShader: vertex.code.join('\n'),
+    fragmentShader: fragment.code.join('\n'),
+    vertexLines: vertex.lines,
+    fragmentLines: fragment.lines,
+  };
+}
+
+/**
+ * Load a single stage (e.g. a GPGPU compute pass) with includes resolved,
+ * tagged like program stages so compile errors map back to file and line.
+ * @param {string} file — e.g. 'boidVelocity.frag'
+ * @returns {Promise<string>}
+ */
+export async function loadShaderSource(file) {
+  const { code, lines } = await resolveIncludes(file);
+  _sourceMaps.set(file, lines);
+  return `${SOURCE_MARKER}${file}\n${code.join('\n')}`;
+}
+
+/**
+ * Merge SHADER_DEFINES with per-material flags. `false` / null switch a flag off.
+ * @param {Object<string, *>} [overrides]
+ * @returns {Object<string, string|number>}
+ */
+export function resolveDefines(overrides = {}) {
+  const defines = {};
+  for (const [key, value] of Object.entries({ ...SHADER_DEFINES, ...overrides })) {
+    if (value === false || value === null || value === undefined) continue;
+    defines[key] = value === true ? '' : value;
+  }
+  return defines;
+}
+
+/**
+ * Stage sources for one variant, tagged with a marker line so compile errors
+ * can be traced back. Materials with identical defines share the program.
+ * @param {object} program — from loadShaderProgram() (or FALLBACK_SHADERS)
+ * @param {Object<string, string|number>} defines — resolved defines
+ * @returns {{ vertexShader: string, fragmentShader: string }}
+ */
+export function createShaderVariant(program, defines) {
+  const variant = Object.keys(defines).sort().map((k) => (defines[k] === '' ? k : `${k}=${defines[k]}`)).join(',');
+  const tag = (stage, code, lines) => {
+    const id = `${program.name}.${stage}[${variant}]`;
+    _sourceMaps.set(id, lines);
+    return `${SOURCE_MARKER}${id}\n${code}`;
+  };
+  return {
+    vertexShader: tag('vert', program.vertexShader, program.vertexLines),
+    fragmentShader: tag('frag', program.fragmentShader, program.fragmentLines),
+  };
+}
+
+function markerId(source) {
+  const start = source.indexOf(SOURCE_MARKER);
+  if (start === -1) return null;
+  const end = source.indexOf('\n', start);
+  return source.slice(start + SOURCE_MARKER.length, end === -1 ? undefined : end).trim();
+}
+
+/**
+ * Track a material so it can be switched to the fallback if its program fails.
+ * @param {THREE.ShaderMaterial} material
+ */
+export function registerShaderMaterial(material) {
+  for (const source of [material.vertexShader, material.fragmentShader]) {
+    const id = markerId(source);
+    if (!id) continue;
+    if (!_materials.has(id)) _materials.set(id, new Set());
+    _materials.get(id).add(material);
+  }
+}
+
+/**
+ * Swap a material to the built-in safe shaders in place (every object using it follows).
+ * @param {THREE.ShaderMaterial} material
+ */
+export function applyFallbackShaders(material) {
+  if (material.userData.shaderFallback) return;
+  material.userData.shaderFallback = true;
+  const variant = createShaderVariant(FALLBACK_SHADERS, {});
+  material.vertexShader = variant.vertexShader;
+  material.fragmentShader = variant.fragmentShader;
+  material.defines = {};
+  material.needsUpdate = true;
+  console.warn(`[ShaderLibrary] ${material.name || 'ShaderMaterial'} switched to the fallback shader`);
+}
+
+/**
+ * Turn a driver info log into "file:line: message" entries with the source line.
+ */
+function describeErrors(gl, shader) {
+  const source = gl.getShaderSource(shader) ?? '';
+  const log = gl.getShaderInfoLog(shader) ?? '';
+  const id = markerId(source);
+  const fullLines = source.split('\n');
+  const markerLine = fullLines.findIndex((l) => l.startsWith(SOURCE_MARKER));
+  const lineMap = id ? _sourceMaps.get(id) : null;
+
+  const messages = log.split('\n').filter(Boolean).map((entry) => {
+    const match = entry.match(/^(?:ERROR|WARNING):\s*\d+:(\d+):\s*(.*)$/);
+    if (!match) return entry;
+    const driverLine = parseInt(match[1], 10);
+    const code = (fullLines[driverLine - 1] ?? '').trim();
+    // Lines after the marker map onto the resolved program, 1:1
+    const origin = lineMap && markerLine !== -1 ? lineMap[driverLine - markerLine - 2] : null;
+    const where = origin ? `${origin.file}:${origin.line}` : `<three.js prefix>:${driverLine}`;
+    return `${where}: ${match[2]}\n    ${code}`;
+  });
+  return { id, messages };
+}
+
+/**
+ * Report shader compile/link errors by source file and line, and fall back to
+ * the safe shader for every material using the failing program.
+ * Call once after creating the renderer.
+ * @param {THREE.WebGLRenderer} renderer
+ */
+export function installShaderDiagnostics(renderer) {
+  renderer.debug.checkShaderErrors = true;
+  renderer.debug.onShaderError = (gl, program, glVertexShader, glFragmentShader) => {
+    const failed = new Set();
+    for (const shader of [glVertexShader, glFragmentShader]) {
+      const stage = shader === glVertexShader ? 'vertex' : 'fragment';
+      if (gl.getShaderParameter(shader, gl.COMPILE_STATUS)) continue;
+      const { id, messages } = describeErrors(gl, shader);
+      console.error(`[ShaderLibrary] ${stage} shader ${id ?? '(unknown)'} failed to compile:\n  ${messages.join('\n  ')}`);
+      if (id) failed.add(id);
+    }
+    if (failed.size === 0) {
+      console.error(`[ShaderLibrary] Shader program failed to link: ${gl.getProgramInfoLog(program)}`);
+      // Linking involves both stages — attribute it to whichever markers they carry
+      for (const shader of [glVertexShader, glFragmentShader]) {
+        const id = markerId(gl.getShaderSource(shader) ?? '');
+        if (id) failed.add(id);
+      }
+    }
+
+    for (const id of failed) {
+      for (const material of _materials.get(id) ?? []) applyFallbackShaders(material);
+    }
+  };
+}
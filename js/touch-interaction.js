@@ -0,0 +1,322 @@
+// touch-interaction.js — Touch displacement physics on the posOffset attribute
+// HIDDEN Exhibition · AR Point Cloud Experience
+//
+// Every active touch is cast into each cloud. In the marker view touches are
+// pointer events; in immersive-ar they are the transient XR input sources, one
+// per finger. The ray steps through a uniform grid of the cloud's body points
+// and stops at the first cell dense enough to count as the tree. Points within
+// TOUCH_SETTINGS.radius of that spot are pushed radially with a smooth falloff,
+// and a damped spring pulls them back to the scanned position.
+//
+// Only displaced points are integrated, and only the index range they span is
+// re-uploaded. A 131k-point cloud therefore costs a few hundred points of work
+// per touch per frame.
+
+import * as THREE from 'three';
+import { FIREFLY_ROLE } from './particle-roles.js';
+
+export const TOUCH_SETTINGS = {
+  radius: 0.3,        // m — reach of one touch
+  force: 6.0,         // m/s² push at the centre of a touch
+  stiffness: 14.0,    // spring back toward the scanned position (1/s²)
+  damping: 5.0,       // velocity decay (1/s)
+  hitDensity: 4,      // body points in a grid cell for the ray to stop there
+  maxCells: 1 << 21,  // grid size cap — cells grow past `radius` if the cloud is huge
+};
+
+const REST_EPSILON = 1e-4; // m — offsets and speeds below this snap to rest
+const MAX_STEP = 1 / 20;   // s — clamp dt so a stalled frame cannot explode the springs
+
+const _bodies = [];
+const _pointers = new Map();   // pointerId → NDC (marker view / non-XR)
+const _xrSources = new Set();  // XRInputSources with an active select
+const _raycaster = new THREE.Raycaster();
+const _ray = new THREE.Ray();
+const _hit = new THREE.Vector3();
+const _inverse = new THREE.Matrix4();
+const _quat = new THREE.Quaternion();
+
+let _renderer = null;
+let _camera = null;
+let _enabled = true;
+let _lastUpdate = null;
+
+/**
+ * Bucket body points (fireflies roam away from their positions) into a uniform
+ * grid: the points of cell c are cellPoints[cellStart[c] … cellStart[c + 1]).
+ */
+function buildGrid(positions, roles, count, box, cellSize) {
+  const size = box.getSize(new THREE.Vector3());
+  const dimsFor = (cell) => [size.x, size.y, size.z].map((s) => Math.max(1, Math.ceil(s / cell)));
+  let cell = cellSize;
+  let dims = dimsFor(cell);
+  while (dims[0] * dims[1] * dims[2] > TOUCH_SETTINGS.maxCells) {
+    cell *= 1.5;
+    dims = dimsFor(cell);
+  }
+
+  const grid = { min: box.min.clone(), cell, dims, cellStart: null, cellPoints: null };
+  const cellCount = dims[0] * dims[1] * dims[2];
+  const cellOf = new Int32Array(count);
+  const cellStart = new Uint32Array(cellCount + 1);
+  for (let i = 0; i < count; i++) {
+    const c = roles[i] === FIREFLY_ROLE ? -1 : cellIndex(grid, positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2]);
+    cellOf[i] = c;
+    if (c !== -1) cellStart[c + 1]++;
+  }
+  for (let c = 0; c < cellCount; c++) cellStart[c + 1] += cellStart[c];
+
+  const cursor = cellStart.slice(0, cellCount);
+  const cellPoints = new Uint32Array(cellStart[cellCount]);
+  for (let i = 0; i < count; i++) {
+    if (cellOf[i] !== -1) cellPoints[cursor[cellOf[i]]++] = i;
+  }
+  grid.cellStart = cellStart;
+  grid.cellPoints = cellPoints;
+  return grid;
+}
+
+function cellCoord(grid, v, axis) {
+  return Math.floor((v - grid.min.getComponent(axis)) / grid.cell);
+}
+
+function cellIndex(grid, x, y, z) {
+  const [nx, ny, nz] = grid.dims;
+  const ix = Math.min(cellCoord(grid, x, 0), nx - 1);
+  const iy = Math.min(cellCoord(grid, y, 1), ny - 1);
+  const iz = Math.min(cellCoord(grid, z, 2), nz - 1);
+  if (ix < 0 || iy < 0 || iz < 0) return -1;
+  return (iz * ny + iy) * nx + ix;
+}
+
+function createBody({ points, geometry }) {
+  points.updateWorldMatrix(true, false);
+  const scale = points.matrixWorld.getMaxScaleOnAxis();
+  const positions = geometry.getAttribute('position').array;
+  const roles = geometry.getAttribute('particleRole').array;
+  const count = geometry.getAttribute('position').count;
+  const attr = geometry.getAttribute('posOffset');
+  const radius = TOUCH_SETTINGS.radius / scale;
+
+  const started = performance.now();
+  const grid = buildGrid(positions, roles, count, geometry.boundingBox, radius);
+  console.log(`[Touch] ${points.parent?.name ?? 'cloud'}: grid ${grid.dims.join('×')} in ${(performance.now() - started).toFixed(0)} ms`);
+
+  return {
+    points,
+    box: geometry.boundingBox,
+    positions,
+    offsets: attr.array,
+    attr,
+    grid,
+    scale,
+    velocity: new Float32Array(count * 3),
+    active: new Uint8Array(count),
+    activeList: new Uint32Array(count),
+    activeCount: 0,
+  };
+}
+
+/**
+ * March a local-space ray through the grid; the first dense cell is the hit.
+ * @returns {THREE.Vector3|null} `_hit`, in the cloud's local space
+ */
+function raycastBody(body, ray) {
+  const { grid, box } = body;
+  const entry = box.containsPoint(ray.origin) ? _hit.copy(ray.origin) : ray.intersectBox(box, _hit);
+  if (!entry) return null;
+
+  const step = grid.cell * 0.5;
+  const maxSteps = Math.ceil(box.getSize(new THREE.Vector3()).length() / step) + 1;
+  for (let s = 0; s < maxSteps; s++) {
+    if (!box.containsPoint(_hit)) return null;
+    const c = cellIndex(grid, _hit.x, _hit.y, _hit.z);
+    if (c !== -1 && grid.cellStart[c + 1] - grid.cellStart[c] >= TOUCH_SETTINGS.hitDensity) return _hit;
+    _hit.addScaledVector(ray.direction, step);
+  }
+  return null;
+}
+
+/** Push body points around a local-space touch point. */
+function applyTouch(body, centre, dt) {
+  const { grid, positions, offsets, velocity, active, activeList } = body;
+  const radius = TOUCH_SETTINGS.radius / body.scale;
+  const push = (TOUCH_SETTINGS.force / body.scale) * dt;
+  const span = Math.ceil(radius / grid.cell);
+  const [nx, ny, nz] = grid.dims;
+  const cx = cellCoord(grid, centre.x, 0);
+  const cy = cellCoord(grid, centre.y, 1);
+  const cz = cellCoord(grid, centre.z, 2);
+
+  for (let iz = Math.max(cz - span, 0); iz <= Math.min(cz + span, nz - 1); iz++) {
+    for (let iy = Math.max(cy - span, 0); iy <= Math.min(cy + span, ny - 1); iy++) {
+      for (let ix = Math.max(cx - span, 0); ix <= Math.min(cx + span, nx - 1); ix++) {
+        const c = (iz * ny + iy) * nx + ix;
+        for (let k = grid.cellStart[c]; k < grid.cellStart[c + 1]; k++) {
+          const i = grid.cellPoints[k];
+          const j = i * 3;
+          // Measure from where the point is now, so the push fades as it moves away
+          const dx = positions[j] + offsets[j] - centre.x;
+          const dy = positions[j + 1] + offsets[j + 1] - centre.y;
+          const dz = positions[j + 2] + offsets[j + 2] - centre.z;
+          const d = Math.sqrt(dx * dx + dy * dy + dz * dz);
+          if (d >= radius) continue;
+          const falloff = (1 - d / radius) ** 2;
+          const inv = d > 1e-6 ? (push * falloff) / d : 0;
+          velocity[j] += dx * inv;
+          velocity[j + 1] += d > 1e-6 ? dy * inv : push * falloff;
+          velocity[j + 2] += dz * inv;
+          if (!active[i]) {
+            active[i] = 1;
+            activeList[body.activeCount++] = i;
+          }
+        }
+      }
+    }
+  }
+}
+
+/** Damped spring back to rest for displaced points; upload the touched range. */
+function integrate(body, dt) {
+  const { offsets, velocity, active, activeList, attr } = body;
+  const spring = TOUCH_SETTINGS.stiffness * dt;
+  const decay = Math.exp(-TOUCH_SETTINGS.damping * dt);
+  const epsilon = REST_EPSILON / body.scale;
+  let kept = 0;
+  let lo = Infinity;
+  let hi = -1;
+
+  for (let a = 0; a < body.activeCount; a++) {
+    const i = activeList[a];
+    const j = i * 3;
+    let moving = false;
+    for (let axis = j; axis < j + 3; axis++) {
+      velocity[axis] = (velocity[axis] - offsets[axis] * spring) * decay;
+      offsets[axis] += velocity[axis] * dt;
+      if (Math.abs(offsets[axis]) > epsilon || Math.abs(velocity[axis]) > epsilon) moving = true;
+    }
+    if (moving) {
+      activeList[kept++] = i;
+    } else {
+      offsets.fill(0, j, j + 3);
+      velocity.fill(0, j, j + 3);
+      active[i] = 0;
+    }
+    if (i < lo) lo = i;
+    if (i > hi) hi = i;
+  }
+  body.activeCount = kept;
+
+  if (hi >= 0) {
+    attr.addUpdateRange(lo * 3, (hi - lo + 1) * 3);
+    attr.needsUpdate = true;
+  }
+}
+
+/** World-space rays for every active touch this frame. */
+function collectRays() {
+  const rays = [];
+  if (_renderer.xr.isPresenting) {
+    const frame = _renderer.xr.getFrame();
+    const refSpace = _renderer.xr.getReferenceSpace();
+    for (const source of _xrSources) {
+      const pose = frame?.getPose(source.targetRaySpace, refSpace);
+      if (!pose) continue;
+      const { position: p, orientation: o } = pose.transform;
+      _quat.set(o.x, o.y, o.z, o.w);
+      rays.push(new THREE.Ray(new THREE.Vector3(p.x, p.y, p.z), new THREE.Vector3(0, 0, -1).applyQuaternion(_quat)));
+    }
+  } else {
+    for (const ndc of _pointers.values()) {
+      _raycaster.setFromCamera(ndc, _camera);
+      rays.push(_raycaster.ray.clone());
+    }
+  }
+  return rays;
+}
+
+function toNdc(event) {
+  const rect = _renderer.domElement.getBoundingClientRect();
+  return new THREE.Vector2(
+    ((event.clientX - rect.left) / rect.width) * 2 - 1,
+    -((event.clientY - rect.top) / rect.height) * 2 + 1,
+  );
+}
+
+function installInputListeners() {
+  // Pointer touches (marker view) — each pointerId is an independent touch
+  const isUi = (event) => event.target?.closest?.('button, input, select, .tuning-panel, .tuning-hotspot');
+  window.addEventListener('pointerdown', (event) => {
+    if (_renderer.xr.isPresenting || isUi(event)) return;
+    _pointers.set(event.pointerId, toNdc(event));
+  });
+  window.addEventListener('pointermove', (event) => {
+    if (_pointers.has(event.pointerId)) _pointers.set(event.pointerId, toNdc(event));
+  });
+  for (const type of ['pointerup', 'pointercancel']) {
+    window.addEventListener(type, (event) => _pointers.delete(event.pointerId));
+  }
+
+  // XR screen touches — one transient input source per finger
+  const watchSession = (session) => {
+    if (!session) return;
+    session.addEventListener('selectstart', (event) => _xrSources.add(event.inputSource));
+    session.addEventListener('selectend', (event) => _xrSources.delete(event.inputSource));
+    session.addEventListener('end', () => _xrSources.clear());
+  };
+  watchSession(_renderer.xr.getSession());
+  _renderer.xr.addEventListener('sessionstart', () => watchSession(_renderer.xr.getSession()));
+}
+
+/**
+ * Enable touch displacement for the clouds. Call once they are placed. A
+ * cloud's grid is built when it has finished loading — while it streams, the
+ * octree pass still reorders its positions and resets posOffset.
+ * @param {THREE.WebGLRenderer} renderer
+ * @param {THREE.Camera} camera — used for pointer rays outside WebXR
+ * @param {Array<{ points: THREE.Points, geometry: THREE.BufferGeometry, loaded: Promise<void> }>} clouds
+ */
+export function initTouchInteraction(renderer, camera, clouds) {
+  if (_renderer) return;
+  _renderer = renderer;
+  _camera = camera;
+  for (const cloud of clouds) {
+    // A cloud whose stream failed stays untouchable (the loader logs it)
+    cloud.loaded.then(() => _bodies.push(createBody(cloud)), () => {});
+  }
+  installInputListeners();
+  console.log(`[Touch] Initialized for ${clouds.length} cloud(s), radius ${TOUCH_SETTINGS.radius} m`);
+}
+
+/**
+ * Pause or resume touch displacement — e.g. while placement gestures own the
+ * fingers. Displaced points keep springing back while paused.
+ * @param {boolean} enabled
+ */
+export function setTouchInteractionEnabled(enabled) {
+  _enabled = enabled;
+}
+
+/**
+ * Apply touches and step the springs. Call once per frame before render.
+ * @param {number} [now] — ms, performance.now() timebase
+ */
+export function updateTouchInteraction(now = performance.now()) {
+  if (!_renderer) return;
+  const dt = _lastUpdate === null ? 0 : Math.min((now - _lastUpdate) / 1000, MAX_STEP);
+  _lastUpdate = now;
+  if (dt === 0) return;
+
+  const rays = _enabled && (_pointers.size > 0 || _xrSources.size > 0) ? collectRays() : [];
+  for (const body of _bodies) {
+    if (rays.length > 0) {
+      body.points.updateWorldMatrix(true, false);
+      _inverse.copy(body.points.matrixWorld).invert();
+      for (const ray of rays) {
+        const centre = raycastBody(body, _ray.copy(ray).applyMatrix4(_inverse));
+        if (centre) applyTouch(body, centre, dt);
+      }
+    }
+    if (body.activeCount > 0) integrate(body, dt);
+  }
+}
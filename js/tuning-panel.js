@@ -0,0 +1,227 @@
+// tuning-panel.js — Hidden on-device tuning panel for the uniform registry
+// HIDDEN Exhibition · AR Point Cloud Experience
+//
+// Sliders are generated from uniformSchema (every non-runtime uniform, grouped),
+// so new uniforms show up without touching this file. The panel lives inside
+// #ar-overlay — the WebXR DOM overlay root — so it also works in immersive-ar.
+//
+// Open with `?tune=1`, or tap the top-left corner five times within three
+// seconds. Tuned values are saved to localStorage and restored on the next
+// load; "Export" downloads them as a preset file (see uniform-presets.js).
+
+import { uniforms, uniformSchema } from '../uniformsRegistry.js';
+import {
+  UNIFORM_PRESETS,
+  applyPreset,
+  captureUniformValues,
+  exportPreset,
+} from './uniform-presets.js';
+
+const STORAGE_KEY = 'hidden:tuning';
+const SECRET_TAPS = 5;
+const SECRET_WINDOW_MS = 3000;
+const SLIDER_STEPS = 200;
+const PRESET_BLEND_SECONDS = 2;
+
+let _panel = null;
+let _controls = [];   // { name, index, input, output }
+let _saveTimer = null;
+
+function loadSaved() {
+  try {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    return saved ? JSON.parse(saved) : null;
+  } catch {
+    return null;
+  }
+}
+
+function scheduleSave() {
+  clearTimeout(_saveTimer);
+  _saveTimer = setTimeout(() => {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(captureUniformValues()));
+    } catch (err) {
+      console.warn('[Tuning] Could not save values:', err);
+    }
+  }, 300);
+}
+
+function formatValue(v) {
+  return Math.abs(v) >= 10 ? v.toFixed(1) : Math.abs(v) >= 0.1 ? v.toFixed(3) : v.toPrecision(2);
+}
+
+/** Move every slider to the live uniform value. */
+function refreshControls() {
+  for (const control of _controls) {
+    const value = uniforms[control.name].value;
+    const v = control.index === null ? value : value[control.index];
+    control.input.value = v;
+    control.output.textContent = formatValue(v);
+  }
+}
+
+function createSlider(name, spec, index) {
+  const row = document.createElement('label');
+  row.className = 'tuning-row';
+
+  const label = document.createElement('span');
+  label.textContent = index === null ? name : `${name} · ${spec.labels?.[index] ?? index}`;
+
+  const input = document.createElement('input');
+  input.type = 'range';
+  input.min = spec.min ?? 0;
+  input.max = spec.max ?? 1;
+  input.step = ((spec.max ?? 1) - (spec.min ?? 0)) / SLIDER_STEPS;
+
+  const output = document.createElement('output');
+
+  input.addEventListener('input', () => {
+    const v = parseFloat(input.value);
+    if (index === null) {
+      uniforms[name].value = v;
+    } else {
+      const next = [...uniforms[name].value];
+      next[index] = v;
+      uniforms[name].value = next;
+    }
+    output.textContent = formatValue(v);
+    scheduleSave();
+  });
+
+  row.append(label, input, output);
+  _controls.push({ name, index, input, output });
+  return row;
+}
+
+function createButton(text, onClick) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.textContent = text;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+function downloadPreset() {
+  const name = `tuned-${new Date().toISOString().slice(0, 16).replace(/[:T]/g, '-')}`;
+  const json = exportPreset(name);
+  try {
+    const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${name}.json`;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  } catch (err) {
+    console.warn('[Tuning] Download failed:', err);
+  }
+  // Downloads are often blocked inside an immersive session — keep a copy on the clipboard too
+  navigator.clipboard?.writeText(json).catch(() => {});
+  console.log(`[Tuning] Exported preset "${name}":\n${json}`);
+}
+
+function buildPanel() {
+  const panel = document.createElement('div');
+  panel.id = 'tuning-panel';
+  panel.className = 'tuning-panel hidden';
+
+  // ── Presets + actions ──
+  const toolbar = document.createElement('div');
+  toolbar.className = 'tuning-toolbar';
+  const select = document.createElement('select');
+  for (const name of Object.keys(UNIFORM_PRESETS)) select.add(new Option(name, name));
+  toolbar.append(
+    select,
+    createButton('Apply', async () => {
+      await applyPreset(select.value, { duration: PRESET_BLEND_SECONDS });
+      refreshControls();
+      scheduleSave();
+    }),
+    createButton('Reset', () => {
+      applyPreset('rehearsal');
+      try { localStorage.removeItem(STORAGE_KEY); } catch { /* storage blocked */ }
+      refreshControls();
+    }),
+    createButton('Export', downloadPreset),
+    createButton('Close', () => toggleTuningPanel(false)),
+  );
+  panel.append(toolbar);
+
+  // ── One section per group ──
+  const groups = new Map();
+  for (const [name, spec] of Object.entries(uniformSchema)) {
+    if (spec.runtime || spec.type === 'color') continue;
+    if (!groups.has(spec.group)) {
+      const section = document.createElement('fieldset');
+      const legend = document.createElement('legend');
+      legend.textContent = spec.group;
+      section.append(legend);
+      groups.set(spec.group, section);
+      panel.append(section);
+    }
+    const section = groups.get(spec.group);
+    if (spec.type === 'float[]') {
+      spec.default.forEach((_, i) => section.append(createSlider(name, spec, i)));
+    } else {
+      section.append(createSlider(name, spec, null));
+    }
+  }
+
+  // Touches on the panel must not also place the tree or fire XR select
+  panel.addEventListener('beforexrselect', (e) => e.preventDefault());
+  return panel;
+}
+
+/**
+ * Show or hide the panel.
+ * @param {boolean} [open] — toggles when omitted
+ */
+export function toggleTuningPanel(open) {
+  if (!_panel) return;
+  const show = open ?? _panel.classList.contains('hidden');
+  _panel.classList.toggle('hidden', !show);
+  if (show) refreshControls();
+  console.log(`[Tuning] Panel ${show ? 'opened' : 'closed'}`);
+}
+
+/** Invisible top-left hot corner: SECRET_TAPS quick taps toggle the panel. */
+function createHotspot(root) {
+  const hotspot = document.createElement('div');
+  hotspot.className = 'tuning-hotspot';
+  hotspot.addEventListener('beforexrselect', (e) => e.preventDefault());
+
+  let taps = [];
+  hotspot.addEventListener('pointerdown', () => {
+    const now = performance.now();
+    taps = taps.filter((t) => now - t < SECRET_WINDOW_MS);
+    taps.push(now);
+    if (taps.length >= SECRET_TAPS) {
+      taps = [];
+      toggleTuningPanel();
+    }
+  });
+  root.append(hotspot);
+}
+
+/**
+ * Restore saved tuning and install the hidden panel. Call once at startup.
+ */
+export function initTuningPanel() {
+  const saved = loadSaved();
+  if (saved) {
+    try {
+      applyPreset(saved);
+      console.log('[Tuning] Restored saved values');
+    } catch (err) {
+      console.warn('[Tuning] Saved values rejected:', err.message);
+    }
+  }
+
+  const root = document.getElementById('ar-overlay');
+  if (!root) return;
+  _panel = buildPanel();
+  root.append(_panel);
+  createHotspot(root);
+
+  if (new URLSearchParams(window.location.search).get('tune') === '1') toggleTuningPanel(true);
+}
@@ -0,0 +1,149 @@
+// uniform-presets.js — Named uniform presets, transitions, JSON import/export
+// HIDDEN Exhibition · AR Point Cloud Experience
+//
+// A preset is a set of values for the tunable (non-runtime) uniforms in
+// uniformsRegistry.js; anything it leaves out falls back to the schema default.
+// Presets are written straight into the shared `uniforms` object, optionally
+// blended over a few seconds on the timeline (systems/timelineSystem.js).
+//
+// JSON form (exportPreset / importPreset):
+//   { "name": "calm", "uniforms": { "noiseAmp": 0.015, "xrLightColor": [1, 1, 1], … } }
+
+import { uniforms, uniformSchema, validateUniformValue, defaultUniformValue } from '../uniformsRegistry.js';
+import { tween, parallel, play, stop, isTicking } from '../systems/timelineSystem.js';
+
+export const UNIFORM_PRESETS = {
+  // Quiet gallery hours — slow, soft, little movement
+  calm: {
+    noiseAmp: 0.015,
+    swaySpeed: 0.35,
+    roleSway: [0.0, 0.0, 0.02, 0.0],
+    glowIntensity: 0.8,
+    flockSpeed: 0.0006,
+    driftSpeed: 0.015,
+  },
+  // Busy, lively opening — brighter glow, more fireflies in motion
+  'opening night': {
+    pointSize: 0.035,
+    noiseAmp: 0.04,
+    swaySpeed: 0.8,
+    roleSway: [0.0, 0.0, 0.05, 0.0],
+    glowIntensity: 1.4,
+    glowRadius: 0.65,
+    flockSpread: 9.0,
+    driftSpeed: 0.045,
+  },
+  // Install and rehearsal — the registry defaults
+  rehearsal: {},
+};
+
+// Imported presets may not replace these
+const BUILT_IN_PRESETS = new Set(Object.keys(UNIFORM_PRESETS));
+
+const tunableNames = () => Object.keys(uniformSchema).filter((name) => !uniformSchema[name].runtime);
+
+/**
+ * Whether `name` is a registered preset — its own key, not something inherited
+ * like "toString".
+ * @param {string} name
+ * @returns {boolean}
+ */
+export function hasPreset(name) {
+  return Object.hasOwn(UNIFORM_PRESETS, name);
+}
+
+/**
+ * Full set of tunable values for a preset (defaults filled in, all validated).
+ * @param {string|Object<string, *>} preset — a UNIFORM_PRESETS name or a values object
+ * @returns {Object<string, *>}
+ */
+export function resolvePreset(preset) {
+  const values = typeof preset === 'string' ? (hasPreset(preset) ? UNIFORM_PRESETS[preset] : null) : preset;
+  if (!values) throw new Error(`Unknown uniform preset "${preset}"`);
+
+  const resolved = {};
+  for (const name of tunableNames()) {
+    resolved[name] = Object.hasOwn(values, name) ? validateUniformValue(name, values[name]) : defaultUniformValue(name);
+  }
+  for (const name of Object.keys(values)) {
+    if (!Object.hasOwn(resolved, name)) console.warn(`[Presets] "${name}" is not a tunable uniform — ignored`);
+  }
+  return resolved;
+}
+
+/**
+ * Apply a preset to the shared uniforms.
+ * @param {string|Object<string, *>} preset — a UNIFORM_PRESETS name or a values object
+ * @param {object} [options]
+ * @param {number} [options.duration=0] — blend time in seconds (0 = immediate;
+ *   also immediate while no frame loop is running, since the blend would never advance)
+ * @returns {Promise<void>} resolves when the transition finishes (or is replaced)
+ */
+export function applyPreset(preset, { duration = 0 } = {}) {
+  const target = resolvePreset(preset);
+  const label = typeof preset === 'string' ? preset : 'custom';
+
+  if (duration <= 0 || !isTicking()) {
+    stop('preset');
+    for (const [name, value] of Object.entries(target)) uniforms[name].value = value;
+    console.log(`[Presets] Applied "${label}"`);
+    return Promise.resolve();
+  }
+
+  console.log(`[Presets] Blending to "${label}" over ${duration}s`);
+  const blend = parallel(...Object.entries(target).map(([name, to]) =>
+    tween(name, { to, duration, easing: 'smoothstep' })));
+  return play(blend, { id: 'preset' }).finished.then(() => {});
+}
+
+/**
+ * Current tunable values, JSON-ready (colours as [r, g, b]).
+ * @returns {Object<string, number|number[]>}
+ */
+export function captureUniformValues() {
+  const values = {};
+  for (const name of tunableNames()) {
+    const v = uniforms[name].value;
+    values[name] = v?.isColor ? v.toArray() : Array.isArray(v) ? [...v] : v;
+  }
+  return values;
+}
+
+/**
+ * Serialise the current tunable values (or a named preset) as a preset file.
+ * @param {string} [name='custom']
+ * @param {Object<string, *>} [values] — defaults to the live uniform values
+ * @returns {string} JSON
+ */
+export function exportPreset(name = 'custom', values = captureUniformValues()) {
+  return JSON.stringify({ name, uniforms: values }, null, 2);
+}
+
+/**
+ * Parse and validate a preset file, and register it under its name so it can
+ * be applied by name afterwards.
+ * @param {string|object} json
+ * @returns {{ name: string, uniforms: Object<string, *> }}
+ * @throws {Error} if the JSON is malformed, a value has the wrong type or the
+ *   name is a built-in preset's (or an Object property such as "__proto__")
+ */
+export function importPreset(json) {
+  const data = typeof json === 'string' ? JSON.parse(json) : json;
+  if (!data || typeof data.uniforms !== 'object') throw new Error('Preset JSON needs a "uniforms" object');
+  const name = typeof data.name === 'string' && data.name ? data.name : 'imported';
+  if (BUILT_IN_PRESETS.has(name) || name in Object.prototype) {
+    throw new Error(`Preset name "${name}" is reserved — rename the preset`);
+  }
+
+  const values = {};
+  for (const [key, value] of Object.entries(data.uniforms)) {
+    if (!Object.hasOwn(uniformSchema, key) || uniformSchema[key].runtime) {
+      console.warn(`[Presets] "${key}" is not a tunable uniform — ignored`);
+      continue;
+    }
+    values[key] = validateUniformValue(key, value);
+    if (values[key]?.isColor) values[key] = values[key].toArray();
+  }
+  UNIFORM_PRESETS[name] = values;
+  return { name, uniforms: values };
+}
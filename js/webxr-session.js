@@ -1,17 +1,62 @@
 // webxr-session.js — WebXR immersive-ar session with hit-test + reticle
 // HIDDEN Exhibition · AR Point Cloud Experience
+//
+// The reticle only follows hits on the floor, smoothed, and a tap places the
+// tree only once it has settled (see placement-surface.js). Detected planes
+// are outlined until then, where the runtime offers plane detection.
+//
+// Placement creates an XRAnchor from the hit result (anchors feature, where
+// offered). Every frame the anchored object — the tree group — follows the
+// anchor pose, so it stays put when ARCore corrects its map. When the anchor
+// or the viewer pose stops being tracked, callbacks.onTrackingChange(false)
+// fires after a short grace period, and (true) once tracking has held again.
+// restartPlacement() brings the reticle back for another tap-to-place, and
+// transformAnchoredObject() adjusts the placed object without losing the anchor.
+//
+// Where the browser offers image tracking, the printed floor marker
+// (MARKER_IMAGE) is registered with the session and the tree is placed on it
+// automatically, facing the way the marker does — no tap needed. While the
+// marker stays in view its pose keeps refining the placement, until the
+// visitor adjusts the tree by hand or re-places it. The reticle and
+// tap-to-place stay available throughout and are the only path elsewhere.
 
 import * as THREE from 'three';
 import { uniforms } from '../uniformsRegistry.js';
+import { createReticle, disposeReticle, updateReticle, updatePlaneOutlines, resetSurfaces } from './placement-surface.js';
 
 let xrSession = null;
 let hitTestSource = null;
 let referenceSpace = null;
 let _onFrame = null;
+let _restartPlacement = null;
 let _reticle = null;
-let _currentHitPose = null;
+let _currentHitPose = null;  // smoothed floor pose under the reticle
+let _currentHitStable = false;
 let wakeLockSentinel = null; // Store wake lock for cleanup
 let xrLightProbe = null;
+let _anchor = null;          // XRAnchor at the placement hit (null without the anchors feature)
+let _anchored = null;        // { object, offset: Matrix4 | null } — object follows _anchor
+let _tracking = { tracked: true, changeSince: null };
+
+// The printed floor marker. Its width is the real printed size: image tracking
+// takes scale, and so the marker's distance, from it. The reticle the visitor
+// would otherwise line up with it is the same size.
+export const MARKER_IMAGE = {
+  url: 'assets/position_marker.png',
+  widthInMeters: 0.35,
+};
+
+let _markerBitmap = null;    // ImageBitmap of MARKER_IMAGE, once prepareMarkerImage() has run
+let _marker = null;          // { trackable, autoPlace, refining, position, yaw, lastTime } for this session
+
+const MARKER_SMOOTHING = 0.3;   // s — time constant of the refinement (tracked poses jitter by millimetres)
+const MAX_STEP = 1 / 10;
+const TRACKING_LOST_MS = 400;   // flicker shorter than this is ignored
+const TRACKING_REGAIN_MS = 700; // tracking must hold this long before the tree returns
+const _anchorMatrix = new THREE.Matrix4();
+const _markerPosition = new THREE.Vector3();
+const _markerQuat = new THREE.Quaternion();
+const _markerEuler = new THREE.Euler();
 
 function updateXRLightUniforms(frame) {
   if (!xrLightProbe || !frame) return;
@@ -63,26 +108,23 @@ export async function isWebXRSupported() {
 }
 
 /**
- * Create the reticle mesh — white wireframe square, flat on floor.
- * @param {number} size — side length in metres
- * @returns {THREE.LineSegments}
+ * Decode the marker image for image tracking. Call before the Enter AR tap:
+ * the session request must follow the tap directly, with nothing to wait for.
+ * Without it (or if decoding fails) sessions start without image tracking.
+ * @returns {Promise<boolean>} whether the marker can be registered
  */
-function createReticle(size = 0.35) {
-  // Create a square wireframe reticle
-  const geometry = new THREE.PlaneGeometry(size, size);
-  const edges = new THREE.EdgesGeometry(geometry);
-  const material = new THREE.LineBasicMaterial({ 
-    color: 0xffffff, 
-    linewidth: 3
-  });
-  const reticle = new THREE.LineSegments(edges, material);
-  reticle.name = 'placement-reticle';
-  reticle.rotateX(-Math.PI / 2); // flat on floor
-  reticle.frustumCulled = false;
-  reticle.visible = false;
-  console.log('[WebXR] Created square wireframe reticle, size:', size);
-  geometry.dispose(); // edges cloned it
-  return reticle;
+export async function prepareMarkerImage() {
+  if (_markerBitmap) return true;
+  try {
+    const response = await fetch(MARKER_IMAGE.url);
+    if (!response.ok) throw new Error(`${response.status}`);
+    _markerBitmap = await createImageBitmap(await response.blob());
+    console.log(`[WebXR] Marker image ready for image tracking (${_markerBitmap.width}×${_markerBitmap.height}, ${MARKER_IMAGE.widthInMeters} m)`);
+    return true;
+  } catch (err) {
+    console.warn(`[WebXR] Marker image unavailable (${err.message}) — tap-to-place only`);
+    return false;
+  }
 }
 
 /**
@@ -92,9 +134,10 @@ function createReticle(size = 0.35) {
  * @param {THREE.Scene} scene
  * @param {THREE.PerspectiveCamera} camera
  * @param {object} callbacks
- * @param {function} callbacks.onPlace — called once when user taps to place (hitPose)
+ * @param {function} callbacks.onPlace — called when the user taps to place, or the marker is found (hitPose)
+ * @param {function} [callbacks.onTrackingChange] — (tracked: boolean) after placement, when tracking is lost or regained
  * @param {function} [callbacks.onSessionEnd] — called when session ends
- * @returns {Promise<{ session: XRSession, referenceSpace: XRReferenceSpace }>}
+ * @returns {Promise<{ session: XRSession, referenceSpace: XRReferenceSpace, markerTracking: boolean }>}
  */
 export async function startWebXRSession(renderer, scene, camera, callbacks = {}) {
   const arOverlay = document.getElementById('ar-overlay');
@@ -102,7 +145,7 @@ export async function startWebXRSession(renderer, scene, camera, callbacks = {})
 
   // Build feature lists with reference space negotiation
   const requiredFeatures = ['hit-test'];
-  const optionalFeatures = ['dom-overlay', 'local-floor', 'local', 'viewer', 'light-estimation'];
+  const optionalFeatures = ['dom-overlay', 'local-floor', 'local', 'viewer', 'light-estimation', 'hand-tracking', 'anchors', 'plane-detection', 'depth-sensing'];
   const sessionInit = {
     requiredFeatures,
     optionalFeatures,
@@ -113,6 +156,19 @@ export async function startWebXRSession(renderer, scene, camera, callbacks = {})
     sessionInit.domOverlay = { root: arOverlay };
   }
 
+  // Depth sensing for real-world occlusion (systems/depthOcclusion.js); the
+  // CPU path is the one phones offer, and either format can be decoded
+  sessionInit.depthSensing = {
+    usagePreference: ['cpu-optimized', 'gpu-optimized'],
+    dataFormatPreference: ['luminance-alpha', 'float32'],
+  };
+
+  // Register the floor marker for image tracking (prepared before the tap)
+  if (_markerBitmap) {
+    optionalFeatures.push('image-tracking');
+    sessionInit.trackedImages = [{ image: _markerBitmap, widthInMeters: MARKER_IMAGE.widthInMeters }];
+  }
+
   // Request session
   console.log('[WebXR] Requesting immersive-ar session…');
   console.log('[WebXR] Session init:', sessionInit);
@@ -203,45 +259,181 @@ export async function startWebXRSession(renderer, scene, camera, callbacks = {})
     uniforms.xrLightColor.value.set(1, 1, 1);
   }
 
+  // Image tracking (optional): the browser rates the marker once it has analysed it
+  _marker = { trackable: false, autoPlace: true, refining: false, position: new THREE.Vector3(), yaw: 0, lastTime: null };
+  if (sessionInit.trackedImages && xrSession.getTrackedImageScores) {
+    try {
+      const [score] = await xrSession.getTrackedImageScores();
+      _marker.trackable = score === 'trackable';
+      console.log(`[WebXR] Marker image tracking: ${score}`);
+    } catch (err) {
+      console.warn('[WebXR] Image tracking unavailable:', err?.name || err);
+    }
+  }
+
   // Create reticle and add to scene
-  _reticle = createReticle(0.35);
+  _reticle = createReticle(MARKER_IMAGE.widthInMeters);
   _currentHitPose = null;
+  _currentHitStable = false;
   scene.add(_reticle);
   console.log('[WebXR] Reticle created and added to scene, visible:', _reticle.visible);
 
-  // Tap-to-place via XR 'select' event (fires on screen tap in immersive-ar)
+  // Tap-to-place via XR 'select' event (fires on screen tap in immersive-ar).
+  // The placement itself happens in the next frame, where the hit result is
+  // live and can create the anchor.
   let placed = false;
-  xrSession.addEventListener('select', () => {
+  let placeRequested = false;
+  let placements = 0;       // bumped per place(), so an anchor for an older placement is dropped
+  let ignoredSource = null; // the finger whose long-press asked for re-placement
+  xrSession.addEventListener('select', (event) => {
+    if (event.inputSource === ignoredSource) {
+      ignoredSource = null;
+      return;
+    }
     if (placed || !_currentHitPose) return;
-    placed = true;
+    if (!_currentHitStable) {
+      console.log('[WebXR] Tap ignored — the floor under the reticle has not settled yet');
+      return;
+    }
+    placeRequested = true;
     console.log('[WebXR] Tap-to-place triggered');
+  });
+
+  /**
+   * @param {object} hitPose — the pose the tree is placed at
+   * @param {function} createAnchor — returns a Promise<XRAnchor>, or null without the anchors feature
+   */
+  function place(hitPose, createAnchor) {
+    placed = true;
+    placeRequested = false;
+    ignoredSource = null;
 
     // Remove reticle
-    scene.remove(_reticle);
-    _reticle.geometry.dispose();
-    _reticle.material.dispose();
+    disposeReticle(_reticle);
     _reticle = null;
 
+    // Re-placement: the old anchor goes, the new one replaces it
+    _anchor?.delete();
+    _anchor = null;
+    const placement = ++placements;
+    if (createAnchor) {
+      const session = xrSession;
+      createAnchor().then((anchor) => {
+        if (xrSession !== session || placement !== placements) { anchor.delete(); return; }
+        _anchor = anchor;
+        console.log('[WebXR] Placement anchor created');
+      }).catch((err) => {
+        console.warn('[WebXR] Anchor creation failed — tree stays fixed in the reference space:', err?.name || err);
+      });
+    } else {
+      console.warn('[WebXR] Anchors unavailable — tree stays fixed in the reference space');
+    }
+
     // Notify caller
     if (callbacks.onPlace) {
-      callbacks.onPlace(_currentHitPose);
+      callbacks.onPlace(hitPose);
     }
-  });
+  }
+
+  /** The marker's pose this frame, if it is in view and tracked (not just remembered). */
+  function getMarkerPose(frame) {
+    if (!_marker.trackable || !frame.getImageTrackingResults) return null;
+    const result = frame.getImageTrackingResults().find((r) => r.index === 0);
+    if (!result || result.trackingState !== 'tracked') return null;
+    return frame.getPose(result.imageSpace, referenceSpace);
+  }
+
+  /**
+   * Place the tree on the marker the first time it is seen, then ease the
+   * placement toward each new marker pose while it stays in view. The image
+   * space's Y axis is the marker's normal, like a hit pose's, so the tree
+   * takes its yaw the same way.
+   */
+  function updateMarkerPlacement(frame, timestamp) {
+    const pose = getMarkerPose(frame);
+    const dt = _marker.lastTime === null ? 0 : Math.min((timestamp - _marker.lastTime) / 1000, MAX_STEP);
+    _marker.lastTime = timestamp;
+    if (!pose) return;
+
+    const { position: p, orientation: o } = pose.transform;
+    const yaw = _markerEuler.setFromQuaternion(_markerQuat.set(o.x, o.y, o.z, o.w), 'YXZ').y;
+
+    if (!placed && _marker.autoPlace) {
+      console.log('[WebXR] Marker found — placing the tree on it');
+      _marker.position.set(p.x, p.y, p.z);
+      _marker.yaw = yaw;
+      _marker.refining = true;
+      const transform = new XRRigidTransform(p, o);
+      const createAnchor = frame.createAnchor ? () => frame.createAnchor(transform, referenceSpace) : null;
+      place({ position: { x: p.x, y: p.y, z: p.z }, orientation: o, matrix: pose.transform.matrix }, createAnchor);
+      return;
+    }
+    if (!placed || !_marker.refining || !_anchored || dt === 0) return;
+
+    const follow = 1 - Math.exp(-dt / MARKER_SMOOTHING);
+    _marker.position.lerp(_markerPosition.set(p.x, p.y, p.z), follow);
+    _marker.yaw += Math.atan2(Math.sin(yaw - _marker.yaw), Math.cos(yaw - _marker.yaw)) * follow;
+
+    const { object } = _anchored;
+    object.position.copy(_marker.position);
+    object.rotation.set(0, _marker.yaw, 0);
+    object.updateMatrix();
+    syncAnchorOffset(object);
+  }
+
+  _restartPlacement = async (source) => {
+    if (!placed || !xrSession) return;
+    placed = false;
+    // The visitor chose to place it themselves: the marker no longer places or refines it
+    _marker.autoPlace = false;
+    _marker.refining = false;
+    placeRequested = false;
+    ignoredSource = source;
+    _currentHitPose = null;
+    _currentHitStable = false;
+    _reticle = createReticle(MARKER_IMAGE.widthInMeters);
+    scene.add(_reticle);
+    try {
+      hitTestSource = await xrSession.requestHitTestSource({ space: viewerSpace });
+      console.log('[WebXR] Re-placement: hit-test restarted');
+    } catch (err) {
+      console.warn('[WebXR] Hit-test not available:', err);
+    }
+  };
+
+  /** Debounced tracking state → callbacks.onTrackingChange. */
+  function updateTrackingState(tracked, timestamp) {
+    if (tracked === _tracking.tracked) {
+      _tracking.changeSince = null;
+      return;
+    }
+    _tracking.changeSince ??= timestamp;
+    if (timestamp - _tracking.changeSince < (tracked ? TRACKING_REGAIN_MS : TRACKING_LOST_MS)) return;
+    _tracking = { tracked, changeSince: null };
+    console.log(`[WebXR] Tracking ${tracked ? 'regained' : 'lost'}`);
+    if (callbacks.onTrackingChange) callbacks.onTrackingChange(tracked);
+  }
 
   // Session end handler
   xrSession.addEventListener('end', () => {
     console.log('[WebXR] Session ended');
     if (_reticle) {
-      scene.remove(_reticle);
-      _reticle.geometry.dispose();
-      _reticle.material.dispose();
+      disposeReticle(_reticle);
       _reticle = null;
     }
+    resetSurfaces();
     xrSession = null;
     hitTestSource = null;
     referenceSpace = null;
     xrLightProbe = null;
     _currentHitPose = null;
+    _currentHitStable = false;
+    _anchor?.delete();
+    _anchor = null;
+    _anchored = null;
+    _tracking = { tracked: true, changeSince: null };
+    _restartPlacement = null;
+    _marker = null;
     uniforms.xrLightIntensity.value = 1.0;
     uniforms.xrLightColor.value.set(1, 1, 1);
     
@@ -264,76 +456,51 @@ export async function startWebXRSession(renderer, scene, camera, callbacks = {})
   });
 
   // XR render loop via Three.js
+  let lastFrameTime = null;
   _onFrame = (timestamp, frame) => {
     if (!frame) {
       renderer.render(scene, camera);
       return;
     }
 
-    // Process hit-test → move reticle
+    const dt = lastFrameTime === null ? 0 : (timestamp - lastFrameTime) / 1000;
+    lastFrameTime = timestamp;
+
+    // Process hit-test → move reticle (floor hits only, smoothed)
     if (hitTestSource && _reticle) {
-      const results = frame.getHitTestResults(hitTestSource);
-      if (results.length > 0) {
-        const hit = results[0];
-        const pose = hit.getPose(referenceSpace);
-        if (pose) {
-          if (!_reticle.visible) {
-            console.log('[WebXR] First hit-test result, showing reticle');
-          }
-          _reticle.visible = true;
-          
-          // Position reticle on detected surface
-          const adjustedY = pose.transform.position.y; // No adjustment - use original floor level
-          _reticle.position.set(
-            pose.transform.position.x,
-            adjustedY,
-            pose.transform.position.z
-          );
-          
-          // Align reticle with surface normal and lay flat on floor
-          // The hit pose orientation represents the detected surface orientation
-          const hitQuaternion = new THREE.Quaternion(
-            pose.transform.orientation.x,
-            pose.transform.orientation.y,
-            pose.transform.orientation.z,
-            pose.transform.orientation.w
-          );
-          
-          // Apply the surface orientation to the reticle
-          _reticle.quaternion.copy(hitQuaternion);
-          
-          // Ensure the reticle lies flat by applying an additional -90° rotation on X axis
-          // This makes the square face-up on the detected surface
-          const flatRotation = new THREE.Quaternion().setFromAxisAngle(
-            new THREE.Vector3(1, 0, 0), 
-            -Math.PI / 2
-          );
-          _reticle.quaternion.multiplyQuaternions(flatRotation, _reticle.quaternion);
-
-          _currentHitPose = {
-            position: {
-              x: pose.transform.position.x,
-              y: pose.transform.position.y, // Use original Y for tree placement
-              z: pose.transform.position.z
-            },
-            orientation: pose.transform.orientation,
-            matrix: pose.transform.matrix,
-          };
-        }
-      } else {
-        if (_reticle.visible) {
-          console.log('[WebXR] No hit-test results, hiding reticle');
-        }
-        _reticle.visible = false;
-        _currentHitPose = null;
+      const wasVisible = _reticle.visible;
+      const floor = updateReticle(_reticle, frame.getHitTestResults(hitTestSource), frame, referenceSpace, dt);
+      if (floor && !wasVisible) console.log('[WebXR] Floor found, showing reticle');
+      if (!floor && wasVisible) console.log('[WebXR] No floor hit, hiding reticle');
+      _currentHitPose = floor?.hitPose ?? null;
+      _currentHitStable = !!floor?.stable;
+      if (placeRequested && !floor?.stable) {
+        // The hit jumped or was lost since the tap — this is not the spot the visitor chose
+        placeRequested = false;
+        console.log('[WebXR] Tap dropped — the floor under the reticle moved before placement');
+      } else if (placeRequested) {
+        // The anchor goes on the raw hit; the tree keeps the smoothed pose relative to it
+        const { hit } = floor;
+        place(_currentHitPose, hit.createAnchor ? () => hit.createAnchor() : null);
       }
     } else {
       // After tree placement, both are null — this is expected, no logging needed
     }
 
+    // Plane outlines while the visitor is choosing a spot
+    updatePlaneOutlines(scene, frame, referenceSpace, !placed);
+
+    // Keep the placed tree on its anchor; report tracking loss
+    if (_anchored) {
+      updateTrackingState(updateAnchoredObject(frame), timestamp);
+    }
+
+    // Marker in view: place the tree on it, or refine the placement
+    updateMarkerPlacement(frame, timestamp);
+
     // Update animation uniforms from app loop
     if (window.updateAnimations) {
-      window.updateAnimations();
+      window.updateAnimations(timestamp);
     }
 
     // Update shader light response from WebXR light estimation
@@ -344,7 +511,71 @@ export async function startWebXRSession(renderer, scene, camera, callbacks = {})
 
   renderer.setAnimationLoop(_onFrame);
 
-  return { session: xrSession, referenceSpace };
+  return { session: xrSession, referenceSpace, markerTracking: _marker.trackable };
+}
+
+/**
+ * Move the anchored object to the anchor's pose for this frame. The object's
+ * offset from the anchor is captured at the first tracked pose.
+ * @returns {boolean} whether the viewer and the anchor are tracked
+ */
+function updateAnchoredObject(frame) {
+  const viewerPose = frame.getViewerPose(referenceSpace);
+  if (!viewerPose || viewerPose.emulatedPosition) return false;
+  if (!_anchor) return true; // no anchor (yet): the object stays where it was placed
+
+  const pose = frame.getPose(_anchor.anchorSpace, referenceSpace);
+  if (!pose || pose.emulatedPosition) return false;
+
+  const { object } = _anchored;
+  _anchorMatrix.fromArray(pose.transform.matrix);
+  if (!_anchored.offset) {
+    object.updateMatrix();
+    _anchored.offset = _anchorMatrix.clone().invert().multiply(object.matrix);
+  }
+  object.matrix.multiplyMatrices(_anchorMatrix, _anchored.offset);
+  object.matrix.decompose(object.position, object.quaternion, object.scale);
+  return true;
+}
+
+/**
+ * Keep a placed object (a direct child of the scene) on the placement anchor
+ * every frame. Call from onPlace, after positioning it at the hit pose.
+ * @param {THREE.Object3D} object
+ */
+export function anchorObject(object) {
+  _anchored = { object, offset: null };
+}
+
+/**
+ * Apply a world-space transform to a placed object. If it is anchored, its
+ * offset from the anchor is updated too, so the anchor keeps the new pose.
+ * @param {THREE.Object3D} object — a direct child of the scene
+ * @param {THREE.Matrix4} transform — premultiplied onto the object's matrix
+ */
+export function transformAnchoredObject(object, transform) {
+  object.updateMatrix();
+  object.matrix.premultiply(transform);
+  object.matrix.decompose(object.position, object.quaternion, object.scale);
+  syncAnchorOffset(object);
+  // Adjusted by hand: the marker no longer overrides the placement
+  if (_marker) _marker.refining = false;
+}
+
+/** After moving an anchored object, keep its new pose relative to the anchor. */
+function syncAnchorOffset(object) {
+  if (_anchored?.object === object && _anchored.offset) {
+    _anchored.offset.copy(_anchorMatrix).invert().multiply(object.matrix);
+  }
+}
+
+/**
+ * Bring the reticle and hit-testing back so the next tap re-places the tree
+ * (onPlace fires again).
+ * @param {XRInputSource} [source] — its pending select is not taken as the placing tap
+ */
+export function restartPlacement(source = null) {
+  if (_restartPlacement) _restartPlacement(source);
 }
 
 /**
@@ -0,0 +1,101 @@
+#!/usr/bin/env node
+// build-precache-manifest.mjs — Regenerate precache-manifest.js for sw.js
+// HIDDEN Exhibition · AR Point Cloud Experience
+//
+// Lists every file the experience needs offline and derives the cache version
+// from their contents, so any shipped change produces a new versioned cache.
+// The Pages deploy workflow runs it; the output is not kept in git. Locally,
+// run it after editing anything under js/, shaders/, css/, assets/ etc.:
+//
+//   npm run precache
+
+import { createHash } from 'node:crypto';
+import { readFile, readdir, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const OUTPUT = path.join(ROOT, 'precache-manifest.js');
+
+// Shipped files and directories (recursive), relative to the site root
+const LOCAL = ['index.html', 'uniformsRegistry.js', 'css', 'js', 'systems', 'shaders', 'assets', 'lib'];
+
+// Point clouds ship only when assets/scene.json lists them — source scans and
+// alternates lying in assets/ would otherwise multiply the first-load payload
+const SCENE_MANIFEST = 'assets/scene.json';
+const POINT_CLOUD = /\.(ply|las|laz|xyz|pts|hpc)$/i;
+
+// CDN modules and data — keep in sync with the importmap in index.html and
+// AR_JS_URL / CAMERA_PARAM_URL in js/marker-tracking.js
+const REMOTE = [
+  'https://cdn.jsdelivr.net/npm/three@0.160.0/build/three.module.js',
+  'https://cdn.jsdelivr.net/npm/three@0.160.0/examples/jsm/misc/GPUComputationRenderer.js',
+  'https://raw.githack.com/AR-js-org/AR.js/master/three.js/build/ar-threex.js',
+  'https://raw.githack.com/AR-js-org/AR.js/master/data/data/camera_para.dat',
+];
+
+async function listFiles(entry) {
+  const full = path.join(ROOT, entry);
+  let children;
+  try {
+    children = await readdir(full, { withFileTypes: true });
+  } catch (err) {
+    if (err.code === 'ENOTDIR') return [entry];
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+  const nested = await Promise.all(children
+    .filter((child) => !child.name.startsWith('.') && !child.name.endsWith('.md')) // dotfiles, vendor notes
+    .map((child) => listFiles(path.posix.join(entry, child.name))));
+  return nested.flat();
+}
+
+/** Point cloud files referenced by the scene manifest, relative to the site root. */
+async function sceneClouds() {
+  const manifest = JSON.parse(await readFile(path.join(ROOT, SCENE_MANIFEST), 'utf8'));
+  return new Set(manifest.clouds.map(({ url }) => path.posix.join(path.posix.dirname(SCENE_MANIFEST), url)));
+}
+
+async function previousManifest() {
+  try {
+    const source = await readFile(OUTPUT, 'utf8');
+    return JSON.parse(source.slice(source.indexOf('{'), source.lastIndexOf('}') + 1));
+  } catch {
+    return null;
+  }
+}
+
+async function main() {
+  const clouds = await sceneClouds();
+  const local = (await Promise.all(LOCAL.map(listFiles))).flat()
+    .filter((file) => !POINT_CLOUD.test(file) || clouds.has(file))
+    .sort();
+  const hash = createHash('sha256');
+  for (const file of local) {
+    hash.update(file);
+    hash.update(await readFile(path.join(ROOT, file)));
+  }
+  for (const url of REMOTE) hash.update(url);
+  const version = hash.digest('hex').slice(0, 10);
+
+  const previous = await previousManifest();
+  if (previous?.version === version) {
+    console.log(`precache-manifest.js is up to date (build ${version})`);
+    return;
+  }
+
+  const manifest = {
+    version,
+    built: new Date().toISOString(),
+    files: ['./', ...local, ...REMOTE],
+  };
+  await writeFile(OUTPUT,
+    '// precache-manifest.js — GENERATED by scripts/build-precache-manifest.mjs, do not edit\n' +
+    `self.PRECACHE_MANIFEST = ${JSON.stringify(manifest, null, 2)};\n`);
+  console.log(`precache-manifest.js: build ${version}, ${manifest.files.length} files`);
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exitCode = 1;
+});
@@ -0,0 +1,161 @@
+#!/usr/bin/env node
+// convert-point-cloud.mjs — Convert scans to the compact .hpc format
+// HIDDEN Exhibition · AR Point Cloud Experience
+//
+// Runs the same decoders, role assignment and octree ordering as
+// js/point-cloud-worker.js, then writes formats/hpc-format.js output next to
+// each input. loadPointCloud() accepts the result like any other format.
+//
+// Usage:
+//   node scripts/convert-point-cloud.mjs                 every .ply in assets/
+//   node scripts/convert-point-cloud.mjs scan.las a.xyz  specific files
+//   node scripts/convert-point-cloud.mjs --up y scan.las LAS/XYZ already Y-up (default Z-up)
+//   node scripts/convert-point-cloud.mjs --roles roles.json  particle role rules (see js/particle-roles.js)
+
+import { open, readdir, readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { sniffPly, decodePly } from '../js/formats/ply-format.js';
+import { sniffLas, decodeLas } from '../js/formats/las-format.js';
+import { decodeXyz } from '../js/formats/xyz-format.js';
+import { encodeHpc } from '../js/formats/hpc-format.js';
+import { buildOctree, reorderAttribute } from '../js/octree-builder.js';
+import { createRoleAssigner, countFireflies, roleScalarProperties } from '../js/particle-roles.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const READ_SIZE = 1 << 20;
+
+function parseArgs(argv) {
+  const args = { up: undefined, roles: undefined, files: [] };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--up') args.up = argv[++i];
+    else if (argv[i] === '--roles') args.roles = argv[++i];
+    else if (argv[i] === '--help' || argv[i] === '-h') args.help = true;
+    else args.files.push(argv[i]);
+  }
+  return args;
+}
+
+/**
+ * File-backed source matching the worker's { prefix, read } contract.
+ */
+async function openSource(file) {
+  const handle = await open(file, 'r');
+  const read = async () => {
+    const buffer = new Uint8Array(READ_SIZE);
+    const { bytesRead } = await handle.read(buffer, 0, READ_SIZE, null);
+    return bytesRead > 0 ? buffer.subarray(0, bytesRead) : null;
+  };
+  const prefix = (await read()) ?? new Uint8Array(0);
+  return { handle, source: { prefix, read } };
+}
+
+function pickDecoder(prefix, file) {
+  const ext = path.extname(file).slice(1).toLowerCase();
+  if (sniffPly(prefix) || ext === 'ply') return decodePly;
+  if (sniffLas(prefix) || ext === 'las' || ext === 'laz') return decodeLas;
+  return decodeXyz;
+}
+
+async function convert(file, options) {
+  const t0 = performance.now();
+  const { handle, source } = await openSource(file);
+  const chunks = [];
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  const roleAssigner = createRoleAssigner(options.roles);
+  let info = null;
+  let count = 0;
+
+  try {
+    await pickDecoder(source.prefix, file)(source, {
+      begin(header) { info = header; },
+      emit(chunk) {
+        if (chunk.count === 0) return;
+        for (let i = 0; i < chunk.positions.length; i++) {
+          const a = i % 3;
+          if (chunk.positions[i] < min[a]) min[a] = chunk.positions[i];
+          if (chunk.positions[i] > max[a]) max[a] = chunk.positions[i];
+        }
+        chunks.push({ ...chunk, roles: roleAssigner.assign(chunk) });
+        count = chunk.start + chunk.count;
+      },
+    }, { ...options, scalars: roleScalarProperties(options.roles) });
+  } finally {
+    await handle.close();
+  }
+  if (!info || count === 0) throw new Error(`No point data in ${file}`);
+
+  const join = (key, itemSize) => {
+    const out = new Float32Array(count * itemSize);
+    for (const chunk of chunks) out.set(chunk[key], chunk.start * itemSize);
+    return out;
+  };
+  const positions = join('positions', 3);
+  const roles = join('roles', 1);
+  const bounds = { min, max };
+  const { order, nodes, fireflies } = buildOctree(positions, roles, bounds);
+
+  const bytes = encodeHpc({
+    positions: reorderAttribute(positions, 3, order),
+    colors: reorderAttribute(join('colors', 3), 3, order),
+    intensity: reorderAttribute(join('intensity', 1), 1, order),
+    classification: reorderAttribute(join('classification', 1), 1, order),
+    roles: reorderAttribute(roles, 1, order),
+    bounds,
+    nodes,
+    fireflies,
+    meta: {
+      hasColor: info.hasColor,
+      hasIntensity: info.hasIntensity,
+      hasClassification: info.hasClassification,
+      origin: info.origin,
+      source: path.basename(file),
+    },
+  });
+
+  const out = file.replace(/\.[^./\\]+$/, '') + '.hpc';
+  await writeFile(out, bytes);
+  console.log(
+    `${path.relative(process.cwd(), file)} → ${path.relative(process.cwd(), out)}: ` +
+    `${count.toLocaleString()} points, ${countFireflies(roles).toLocaleString()} fireflies, ` +
+    `${nodes.length} nodes, ${(bytes.length / 1048576).toFixed(1)} MB ` +
+    `(${((performance.now() - t0) / 1000).toFixed(1)}s)`
+  );
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help) {
+    console.log('Usage: node scripts/convert-point-cloud.mjs [--up y|z] [--roles roles.json] [files…]\n' +
+      'With no files, converts every .ply in assets/.');
+    return;
+  }
+
+  const roles = args.roles ? JSON.parse(await readFile(args.roles, 'utf8')) : undefined;
+
+  let files = args.files.map((f) => path.resolve(f));
+  if (files.length === 0) {
+    const assets = path.join(ROOT, 'assets');
+    files = (await readdir(assets))
+      .filter((name) => name.toLowerCase().endsWith('.ply'))
+      .map((name) => path.join(assets, name));
+  }
+  if (files.length === 0) {
+    console.error('No point clouds to convert');
+    process.exitCode = 1;
+    return;
+  }
+
+  for (const file of files) {
+    try {
+      await convert(file, { upAxis: args.up, roles });
+    } catch (err) {
+      console.error(`${file}: ${err.message}`);
+      process.exitCode = 1;
+    }
+  }
+}
+
+main();
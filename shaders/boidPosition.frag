@@ -0,0 +1,10 @@
+// boidPosition.frag — Boids position step (GPGPU pass, systems/flockingSystem.js)
+
+uniform float delta;
+
+void main() {
+    vec2 uv  = gl_FragCoord.xy / resolution.xy;
+    vec3 pos = texture2D(texturePosition, uv).xyz;
+    vec3 vel = texture2D(textureVelocity, uv).xyz;
+    gl_FragColor = vec4(pos + vel * delta, 1.0);
+}
@@ -0,0 +1,72 @@
+// boidVelocity.frag — Boids velocity step (GPGPU pass, systems/flockingSystem.js)
+//
+// One texel per proxy boid; `resolution` and the texturePosition /
+// textureVelocity samplers are injected by GPUComputationRenderer. Positions
+// are in the cloud's local units; dividing by `spaceScale` (the firefly
+// region's radius) keeps the registry weights independent of scan size.
+//
+// Each step a boid looks at NEIGHBOUR_SAMPLES of the flock, not all of it: every
+// stride-th boid from an offset that differs per boid and advances with
+// `sampleOffset`, so all neighbours are visited within `stride` steps.
+
+#define NEIGHBOUR_SAMPLES 64.0
+
+uniform float delta;
+uniform float spaceScale;
+uniform float sampleOffset;
+uniform sampler2D textureHome;
+
+uniform float boidSeparation;
+uniform float boidAlignment;
+uniform float boidCohesion;
+uniform float boidHoming;
+uniform float boidRadius;
+uniform float boidMaxSpeed;
+
+void main() {
+    vec2 uv   = gl_FragCoord.xy / resolution.xy;
+    vec3 self = texture2D(texturePosition, uv).xyz / spaceScale;
+    vec3 vel  = texture2D(textureVelocity, uv).xyz / spaceScale;
+    vec3 home = texture2D(textureHome, uv).xyz / spaceScale;
+
+    vec3  separation = vec3(0.0);
+    vec3  alignment  = vec3(0.0);
+    vec3  centre     = vec3(0.0);
+    float neighbours = 0.0;
+
+    float count  = resolution.x * resolution.y;
+    float stride = max(floor(count / NEIGHBOUR_SAMPLES), 1.0);
+    float index  = floor(gl_FragCoord.y) * resolution.x + floor(gl_FragCoord.x);
+    float first  = mod(sampleOffset + index, stride);
+
+    for (float i = 0.0; i < NEIGHBOUR_SAMPLES; i += 1.0) {
+        float n = first + i * stride;
+        if (n >= count) break;
+        vec2 ref   = (vec2(mod(n, resolution.x), floor(n / resolution.x)) + 0.5) / resolution.xy;
+        vec3 other = texture2D(texturePosition, ref).xyz / spaceScale;
+        vec3 away  = self - other;
+        float d    = length(away);
+        if (d < 1e-5 || d > boidRadius) continue;
+
+        float w = 1.0 - d / boidRadius;
+        separation += away / d * w * w;
+        alignment  += texture2D(textureVelocity, ref).xyz / spaceScale;
+        centre     += other;
+        neighbours += 1.0;
+    }
+
+    vec3 accel = (home - self) * boidHoming;
+    if (neighbours > 0.0) {
+        // Separation is a sum: scale the sample up to the whole flock
+        accel += separation * stride * boidSeparation;
+        accel += (alignment / neighbours - vel) * boidAlignment;
+        accel += (centre / neighbours - self) * boidCohesion;
+    }
+    vel += accel * delta;
+
+    // Keep every boid gliding: clamp to [40 %, 100 %] of the top speed
+    float speed = length(vel);
+    if (speed > 1e-6) vel *= clamp(speed, boidMaxSpeed * 0.4, boidMaxSpeed) / speed;
+
+    gl_FragColor = vec4(vel * spaceScale, 1.0);
+}
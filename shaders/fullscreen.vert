@@ -0,0 +1,8 @@
+// fullscreen.vert — One clip-space triangle covering the viewport (screen passes)
+
+varying vec2 vUv;
+
+void main() {
+    vUv = position.xy * 0.5 + 0.5;
+    gl_Position = vec4(position.xy, 0.0, 1.0);
+}
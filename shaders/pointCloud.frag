@@ -1,6 +1,8 @@
 uniform float glowIntensity;
 uniform float glowRadius;
 uniform float uOpacity;
+uniform float audioLow;
+uniform float handGlow;
 uniform vec3 xrLightColor;
 uniform float xrLightIntensity;
 
@@ -8,7 +10,31 @@ varying vec3  vColor;
 varying float vAlpha;
 varying float vGlowDist;
 varying float vIsFirefly;
+varying float vRoleGlow;
 varying vec3  vWorldPos;
+varying float vHandGlow;
+
+#ifdef DEPTH_OCCLUSION
+uniform sampler2D depthMap;       // the room's depth (systems/depthOcclusion.js)
+uniform mat4  depthUvTransform;   // normalised view → depth map coordinates
+uniform float depthRawToMeters;   // 0 while there is no depth this frame
+uniform float depthSoftness;
+varying vec2  vViewUv;
+
+// Distance of the real surface behind the point's centre along the view axis,
+// in metres — 0 where the depth map has no data. A point covers only a texel
+// or two of the coarse depth map, so one lookup per point is enough.
+float roomDepth() {
+    vec2 uv = (depthUvTransform * vec4(vViewUv, 0.0, 1.0)).xy;
+#ifdef DEPTH_FLOAT32
+    float raw = texture2D(depthMap, uv).r;
+#else
+    // 16-bit depth: low byte in luminance, high byte in alpha
+    float raw = dot(texture2D(depthMap, uv).ra, vec2(255.0, 256.0 * 255.0));
+#endif
+    return raw * depthRawToMeters;
+}
+#endif
 
 void main() {
     vec2  uv   = gl_PointCoord - vec2(0.5);
@@ -16,14 +42,33 @@ void main() {
     if (dist > 0.5) discard;
 
     float edge          = 1.0 - smoothstep(0.35, 0.5, dist);
-    float proximityGlow = glowIntensity * (1.0 - smoothstep(1.0, 6.0, vGlowDist));
+    float proximityGlow = glowIntensity * vRoleGlow * (1.0 - smoothstep(1.0, 6.0, vGlowDist));
+#ifdef AUDIO_REACTIVE
+    proximityGlow *= 1.0 + audioLow * 0.15; // a breath of light on the bass
+#endif
     float innerGlow     = 1.0 - smoothstep(0.0, glowRadius, dist);
+#ifdef DISABLE_GLOW
+    vec3  finalColor    = vColor;
+#else
     vec3  glow          = vColor * (innerGlow * proximityGlow);
     vec3  fireflyBoost  = vColor * innerGlow * vIsFirefly * 0.55;
     vec3  finalColor    = vColor + glow + fireflyBoost;
+#endif
     finalColor *= xrLightColor * xrLightIntensity;
+    finalColor += vColor * (0.4 + innerGlow) * vHandGlow * handGlow; // lit by a hand, not the room
     float finalAlpha    = vAlpha * edge * uOpacity;
+#ifdef DEPTH_OCCLUSION
+    // Behind a visitor or a pillar: fade out across depthSoftness around the surface
+    float room = roomDepth();
+    if (room > 0.0) finalAlpha *= 1.0 - smoothstep(-depthSoftness, depthSoftness, vGlowDist - room);
+#endif
 
     if (finalAlpha < 0.01) discard;
+#ifdef TRAIL_PASS
+    // Trail accumulation (systems/trailSystem.js): premultiplied colour, and
+    // nearness in alpha so the decay pass keeps close trails longer
+    gl_FragColor = vec4(finalColor * finalAlpha, 1.0 - smoothstep(1.0, 6.0, vGlowDist));
+#else
     gl_FragColor = vec4(finalColor, finalAlpha);
+#endif
 }
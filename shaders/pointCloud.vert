@@ -1,75 +1,100 @@
+// Variants (material.defines, see js/shader-library.js):
+//   AUDIO_REACTIVE     — audioAmp / audioLow / audioMid / audioHigh / audioFlux
+//                        modulate body noise, breathing and firefly motion
+//   DISABLE_FIREFLIES  — firefly points are clipped away
+//   FIREFLY_BOIDS      — fireflies follow proxy boids from flockTex (set by
+//                        systems/flockingSystem.js once its simulation runs)
+//   TRAIL_PASS         — pointCloud.frag writes trail light + nearness (systems/trailSystem.js)
+//   HAND_TRACKING      — points part and glow around handPoints (set by
+//                        systems/handTracker.js once a hand source is available)
+//   DISABLE_GLOW       — pointCloud.frag skips proximity / firefly glow (lowest
+//                        tier of systems/performanceGovernor.js)
+//   DEPTH_OCCLUSION    — pointCloud.frag fades points behind real surfaces in
+//                        depthMap (set by systems/depthOcclusion.js when the
+//                        session grants depth sensing; DEPTH_FLOAT32 for
+//                        float depth instead of luminance-alpha)
+
 uniform float time;
 uniform float pointSize;
 uniform float noiseScale;
 uniform float noiseAmp;
 uniform float audioAmp;
+uniform float audioLow;
+uniform float audioMid;
+uniform float audioHigh;
+uniform float audioFlux;
 uniform float flockSpeed;
 uniform float flockSpread;
 uniform float driftSpeed;
 uniform float driftHeight;
+uniform float boidClump;
+
+#ifdef FIREFLY_BOIDS
+uniform sampler2D flockTex; // xyz = proxy boid position (model units), one texel per boid
+#endif
+
+// Per-role parameters, indexed by particleRole (ROLE_COUNT in js/particle-roles.js)
+uniform float roleNoise[4];
+uniform float roleSway[4];
+uniform float roleGlow[4];
+uniform float roleSize[4];
+uniform float swaySpeed;
+uniform float dissolve;
+uniform float dissolveSpread;
+uniform float dissolveGravity;
+uniform float dissolveFade;
 
-attribute vec3  posOffset;    // CPU physics integrator writes here (touch — future)
-attribute float particleRole; // 0 = tree body, 1 = firefly
+#ifdef HAND_TRACKING
+uniform vec4  handPoints[12]; // xyz world position (m), w presence 0–1
+uniform float handRadius;
+uniform float handRepel;
+#endif
+
+attribute vec3  posOffset;    // CPU touch physics writes here (js/touch-interaction.js)
+attribute float particleRole; // 0 = trunk, 1 = firefly, 2 = canopy, 3 = ground litter
+attribute float aIntensity;      // 0–1 scanner intensity (1.0 when the scan has none)
+attribute float aClassification; // LAS class code (0 when the scan has none)
 
 varying vec3  vColor;
 varying float vAlpha;
 varying float vGlowDist;
 varying float vIsFirefly;
+varying float vRoleGlow;
 varying vec3  vWorldPos;
+varying float vHandGlow;
+#ifdef DEPTH_OCCLUSION
+varying vec2  vViewUv;        // the point's normalised view coordinates (origin top-left, y down)
+#endif
 
-// ── Simplex 3D noise ──────────────────────────────────────────────────────
-vec3 mod289v3(vec3 x) { return x - floor(x*(1.0/289.0))*289.0; }
-vec4 mod289v4(vec4 x) { return x - floor(x*(1.0/289.0))*289.0; }
-vec4 permute(vec4 x)  { return mod289v4(((x*34.0)+1.0)*x); }
-vec4 taylorInvSqrt(vec4 r) { return 1.79284291400159 - 0.85373472095314*r; }
-float snoise(vec3 v) {
-    const vec2 C = vec2(1.0/6.0, 1.0/3.0);
-    const vec4 D = vec4(0.0, 0.5, 1.0, 2.0);
-    vec3 i  = floor(v + dot(v, C.yyy));
-    vec3 x0 = v - i + dot(i, C.xxx);
-    vec3 g  = step(x0.yzx, x0.xyz);
-    vec3 l  = 1.0 - g;
-    vec3 i1 = min(g.xyz, l.zxy);
-    vec3 i2 = max(g.xyz, l.zxy);
-    vec3 x1 = x0 - i1 + C.xxx;
-    vec3 x2 = x0 - i2 + C.yyy;
-    vec3 x3 = x0 - D.yyy;
-    i = mod289v3(i);
-    vec4 p = permute(permute(permute(
-        i.z + vec4(0.0,i1.z,i2.z,1.0))
-        + i.y + vec4(0.0,i1.y,i2.y,1.0))
-        + i.x + vec4(0.0,i1.x,i2.x,1.0));
-    float n_ = 0.142857142857;
-    vec3  ns  = n_ * D.wyz - D.xzx;
-    vec4 j  = p - 49.0*floor(p*ns.z*ns.z);
-    vec4 x_ = floor(j*ns.z);
-    vec4 y_ = floor(j - 7.0*x_);
-    vec4 x  = x_*ns.x + ns.yyyy;
-    vec4 y  = y_*ns.x + ns.yyyy;
-    vec4 h  = 1.0 - abs(x) - abs(y);
-    vec4 b0 = vec4(x.xy, y.xy);
-    vec4 b1 = vec4(x.zw, y.zw);
-    vec4 s0 = floor(b0)*2.0 + 1.0;
-    vec4 s1 = floor(b1)*2.0 + 1.0;
-    vec4 sh = -step(h, vec4(0.0));
-    vec4 a0 = b0.xzyw + s0.xzyw*sh.xxyy;
-    vec4 a1 = b1.xzyw + s1.xzyw*sh.zzww;
-    vec3 p0 = vec3(a0.xy, h.x);
-    vec3 p1 = vec3(a0.zw, h.y);
-    vec3 p2 = vec3(a1.xy, h.z);
-    vec3 p3 = vec3(a1.zw, h.w);
-    vec4 norm = taylorInvSqrt(vec4(dot(p0,p0),dot(p1,p1),dot(p2,p2),dot(p3,p3)));
-    p0 *= norm.x; p1 *= norm.y; p2 *= norm.z; p3 *= norm.w;
-    vec4 m = max(0.6 - vec4(dot(x0,x0),dot(x1,x1),dot(x2,x2),dot(x3,x3)), 0.0);
-    m = m * m;
-    return 42.0 * dot(m*m, vec4(dot(p0,x0),dot(p1,x1),dot(p2,x2),dot(p3,x3)));
-}
-float rand(vec2 co) { return fract(sin(dot(co, vec2(12.9898,78.233)))*43758.5453); }
+#include <simplex_noise>
+#include <random>
 
 void main() {
+    int  role      = int(particleRole + 0.5);
+    bool isFirefly = role == 1;
+
+#ifdef DISABLE_FIREFLIES
+    if (isFirefly) {
+        gl_Position  = vec4(2.0, 2.0, 2.0, 1.0); // outside the clip volume
+        gl_PointSize = 0.0;
+        return;
+    }
+#endif
+
+#ifdef AUDIO_REACTIVE
+    float audio = audioAmp;
+    vec3  bands = vec3(audioLow, audioMid, audioHigh);
+    float flux  = audioFlux;
+#else
+    float audio = 0.0;
+    vec3  bands = vec3(0.0);
+    float flux  = 0.0;
+#endif
+
     vColor     = color;
     vAlpha     = 1.0;
-    vIsFirefly = particleRole;
+    vIsFirefly = isFirefly ? 1.0 : 0.0;
+    vRoleGlow  = roleGlow[role];
 
     vec3 pos = position + posOffset;
 
@@ -77,39 +102,101 @@ void main() {
     float r2 = rand(position.yz + position.x * 0.1);
     float r3 = rand(position.xz + position.y * 0.1);
 
-    // Tree body: simplex noise displacement
-    if (particleRole < 0.5) {
+    // Tree body (trunk / canopy / litter): simplex noise displacement + wind sway, scaled per role
+    if (!isFirefly) {
+        float amp = noiseAmp * roleNoise[role];
         float n  = snoise(pos * noiseScale + vec3(0.0, 0.0, time * 0.4));
         float n2 = snoise(pos * noiseScale * 1.7 + vec3(time * 0.25, 0.0, 0.0));
         float n3 = snoise(pos * noiseScale * 1.3 + vec3(0.0, time * 0.3, 0.0));
-        pos.x += n  * noiseAmp * (1.0 + audioAmp * 3.0);
-        pos.y += n2 * noiseAmp * (1.0 + audioAmp * 2.0);
-        pos.z += n3 * noiseAmp;
+        pos.x += n  * amp * (1.0 + audio * 3.0);
+        pos.y += n2 * amp * (1.0 + audio * 2.0);
+        pos.z += n3 * amp;
+
+        // Slow gusting sway; the phase lags with height so the crown moves in a wave
+        float gust = 0.6 + 0.4 * snoise(vec3(time * swaySpeed * 0.15, 0.0, 0.0));
+        float wave = time * swaySpeed - position.y * 1.5;
+        pos.x += sin(wave) * roleSway[role] * gust;
+        pos.z += cos(wave * 0.7 + r * 0.5) * roleSway[role] * gust * 0.6;
+
+        // Bass breathes the body outward, mids shimmer it
+        pos.xz += position.xz * bands.x * 0.03;
+        pos    += vec3(n, n2, n3) * amp * bands.y * 1.5;
     }
 
-    // Firefly: upward drift, noise-driven wander, flutter, pulsing alpha
-    if (particleRole > 0.5) {
+    // Firefly: follow a proxy boid, or (without the simulation) upward drift and
+    // noise-driven wander; flutter and pulsing alpha either way
+    if (isFirefly) {
         float phase  = r  * 6.2831;
         float phase2 = r2 * 6.2831;
         float tOff   = r3 * 100.0;
+        float flutter = sin(time * (flockSpeed * 4.0) + phase) * 0.012;
+#ifdef FIREFLY_BOIDS
+        // Fireflies share proxies in turn; each keeps its own offset around its boid
+        ivec2 size  = textureSize(flockTex, 0);
+        int   proxy = gl_VertexID % (size.x * size.y);
+        vec3  boid  = texelFetch(flockTex, ivec2(proxy % size.x, proxy / size.x), 0).xyz;
+        vec3  orbit = vec3(cos(phase + time * 0.7), sin(phase2 + time * 0.5), sin(phase + time * 0.6));
+        pos = boid + ((vec3(r, r2, r3) - 0.5) * 2.0 + orbit * 0.35) * boidClump;
+        pos.x += flutter;
+        pos.z += flutter;
+#else
         float driftFrac = mod((time + tOff) * driftSpeed, driftHeight);
         pos.y += driftFrac;
         float wx = snoise(vec3(position.x * 0.8, position.z * 0.8, time * flockSpeed + tOff));
         float wz = snoise(vec3(position.z * 0.8, position.x * 0.8, time * flockSpeed * 1.3 + tOff));
-        float flutter = sin(time * (flockSpeed * 4.0) + phase) * 0.012;
         pos.x += wx * flockSpread + cos(phase  + time * flockSpeed * 0.7) * flockSpread * 0.4 + flutter;
         pos.z += wz * flockSpread + sin(phase2 + time * flockSpeed * 0.9) * flockSpread * 0.4 + flutter;
-        pos.x += snoise(pos * 3.0 + vec3(time)) * audioAmp * 0.15;
-        pos.y += audioAmp * 0.08;
         float fadeStart = driftHeight * 0.75;
         vAlpha  = 1.0 - smoothstep(fadeStart, driftHeight, driftFrac);
+#endif
+        pos.x += snoise(pos * 3.0 + vec3(time)) * audio * 0.15;
+        pos.y += audio * 0.08;
+        pos.y += sin(time * 18.0 + phase2) * bands.z * 0.015; // highs: sparks flutter
         vAlpha *= 0.55 + 0.45 * sin(time * (2.5 + r * 3.0) + phase);
+        vAlpha *= 1.0 + flux * 0.6;                            // sudden changes flare
+    }
+
+    // Idle dissolution: every point leaves on its own schedule along a random,
+    // slightly outward velocity and falls. Depends only on `dissolve`, so
+    // lowering it retraces the path back to the scanned position.
+    if (dissolve > 0.0) {
+        float r4 = rand(position.zy + position.x * 0.37);
+        // Spatially coherent start times — the tree crumbles in patches
+        float stagger = (0.5 + 0.5 * snoise(position * 0.7)) * 0.6 + r4 * 0.2;
+        float s = clamp((dissolve - stagger) / (1.0 - stagger), 0.0, 1.0);
+        vec3 outward  = normalize(vec3(position.x, 0.0, position.z) + vec3(1e-4, 0.0, 0.0));
+        vec3 velocity = vec3(r - 0.5, r2 * 0.8 - 0.2, r3 - 0.5) * 2.0 + outward * 0.6;
+        pos += velocity * dissolveSpread * (0.4 + 0.6 * r4) * s;
+        pos.y -= dissolveGravity * s * s;
+        pos += vec3(snoise(position * 1.3 + vec3(time * 0.2)), 0.0,
+                    snoise(position.zyx * 1.3 + vec3(time * 0.2))) * 0.15 * s;
+        vAlpha *= 1.0 - dissolveFade * s;
+    }
+
+    vec4 world = modelMatrix * vec4(pos, 1.0);
+    vHandGlow  = 0.0;
+#ifdef HAND_TRACKING
+    // Hands are tracked in metres, so this runs in world space: each landmark
+    // pushes points radially within handRadius; the strongest one sets the glow
+    vec3 part = vec3(0.0);
+    for (int i = 0; i < 12; i++) {
+        vec3  d = world.xyz - handPoints[i].xyz;
+        float dist = length(d);
+        float f = handPoints[i].w * (1.0 - smoothstep(0.0, handRadius, dist));
+        part += d / max(dist, 1e-4) * f * f;
+        vHandGlow = max(vHandGlow, f);
     }
+    world.xyz += part * handRepel;
+#endif
 
-    vWorldPos = (modelMatrix * vec4(pos, 1.0)).xyz;
-    vec4 mv = modelViewMatrix * vec4(pos, 1.0);
-    float sz = pointSize * (particleRole > 0.5 ? 1.6 : 1.0);
+    vWorldPos = world.xyz;
+    vec4 mv = viewMatrix * world;
+    float sz = pointSize * roleSize[role];
     gl_PointSize = max(sz * 300.0 / -mv.z, 1.0);
     vGlowDist   = -mv.z;
     gl_Position = projectionMatrix * mv;
+#ifdef DEPTH_OCCLUSION
+    // From the projection, not gl_FragCoord, so the half-resolution trail pass agrees
+    vViewUv = vec2(gl_Position.x, -gl_Position.y) / gl_Position.w * 0.5 + 0.5;
+#endif
 }
@@ -0,0 +1,3 @@
+// random.glsl — cheap per-point hash, rand(vec2) → [0, 1)
+
+float rand(vec2 co) { return fract(sin(dot(co, vec2(12.9898,78.233)))*43758.5453); }
@@ -0,0 +1,12 @@
+// trailComposite.frag — Add the trail buffer over the view (systems/trailSystem.js)
+
+uniform sampler2D trails;
+uniform float uOpacity;
+
+varying vec2 vUv;
+
+void main() {
+    vec3 light = texture2D(trails, vUv).rgb * uOpacity;
+    // Alpha follows brightness so passthrough AR shows through between trails
+    gl_FragColor = vec4(light, clamp(max(light.r, max(light.g, light.b)), 0.0, 1.0));
+}
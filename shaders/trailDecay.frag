@@ -0,0 +1,24 @@
+// trailDecay.frag — Fade the firefly trail history (systems/trailSystem.js)
+//
+// rgb is premultiplied trail light; alpha is nearness to the camera (1 = close),
+// written by the TRAIL_PASS variant of pointCloud.frag. Close trails fade over
+// trailLength seconds; trailDecay makes distant ones fade up to 4× faster.
+
+uniform sampler2D history;
+uniform float deltaTime;
+uniform float trailLength;
+uniform float trailDecay;
+
+varying vec2 vUv;
+
+void main() {
+    vec4  prev = texture2D(history, vUv);
+    float rate = mix(1.0 + trailDecay * 3.0, 1.0, prev.a);
+    float keep = pow(0.05, deltaTime * rate / trailLength); // 5 % left after trailLength
+
+    // Trails cool as they age — drift toward their own luminance
+    float luma = dot(prev.rgb, vec3(0.2126, 0.7152, 0.0722));
+    vec3  rgb  = mix(prev.rgb, vec3(luma), 1.0 - pow(0.5, deltaTime));
+
+    gl_FragColor = vec4(rgb * keep, prev.a * keep);
+}
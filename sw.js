@@ -0,0 +1,63 @@
+// sw.js — Offline-first Service Worker
+// HIDDEN Exhibition · AR Point Cloud Experience
+//
+// Precaches every file in precache-manifest.js into a cache named after the
+// manifest version, and serves them cache-first. Anything else fetched at
+// runtime (e.g. point clouds not listed in assets/scene.json) is added to the
+// same cache on first use. Registered by js/offline-cache.js.
+
+importScripts('precache-manifest.js');
+
+const { version, built, files } = self.PRECACHE_MANIFEST;
+const CACHE_PREFIX = 'hidden-';
+const CACHE_NAME = `${CACHE_PREFIX}${version}`;
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(CACHE_NAME);
+    // Bypass the HTTP cache so a new build never precaches stale files
+    await cache.addAll(files.map((url) => new Request(url, { cache: 'reload' })));
+    // The first install has no older build to wait for
+    if (!self.registration.active) await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const keys = await caches.keys();
+    await Promise.all(keys
+      .filter((key) => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+      .map((key) => caches.delete(key)));
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('message', (event) => {
+  const { type } = event.data ?? {};
+  if (type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  } else if (type === 'GET_BUILD' && event.ports[0]) {
+    event.ports[0].postMessage({ version, built, files: files.length });
+  }
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET' || request.headers.has('range')) return;
+  const url = new URL(request.url);
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') return;
+
+  event.respondWith((async () => {
+    const cache = await caches.open(CACHE_NAME);
+    // Same-origin files ignore the query (dev cache-bust stamps, ?mode=…)
+    const sameOrigin = url.origin === self.location.origin;
+    const cached = await cache.match(request, { ignoreSearch: sameOrigin });
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok || response.type === 'opaque') {
+      cache.put(request, response.clone()).catch(() => {});
+    }
+    return response;
+  })());
+});
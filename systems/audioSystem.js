@@ -1,10 +1,210 @@
-// systems/audioSystem.js — Web Audio API analysis (Phase 6+)
+// systems/audioSystem.js — Microphone analysis → audio uniforms
 // HIDDEN Exhibition · AR Point Cloud Experience
+//
+// The ambient sound of the room is analysed with an AnalyserNode each frame and
+// written to the audio uniforms. audioAmp is the RMS amplitude; audioLow,
+// audioMid and audioHigh are band energies; audioFlux is spectral variability,
+// i.e. how much the spectrum changed since the last frame.
+//
+// An exhibition hall is loud and its level drifts through the day, so every
+// feature is gain-adapted. A slow background estimate is subtracted and the
+// rest is divided by a slowly released peak, so the visuals follow changes in
+// the room rather than its absolute level. Values are then smoothed with a fast
+// attack and slow release, which makes the spirits breathe rather than jump.
+//
+// Without a microphone (permission denied, no device, insecure context) a
+// gentle synthetic signal drives the same uniforms.
 
+import { uniforms } from '../uniformsRegistry.js';
+
+export const AUDIO_SETTINGS = {
+  fftSize: 1024,
+  bands: { audioLow: [20, 250], audioMid: [250, 2000], audioHigh: [2000, 8000] }, // Hz
+  backgroundSeconds: 8,  // time constant of the room-level estimate
+  peakRelease: 6,        // s — how quickly the gain recovers after a loud moment
+  noiseFloor: 0.002,     // never amplify below this (linear units)
+  attack: 0.06,          // s — smoothing toward louder values
+  release: 0.45,         // s — smoothing toward quieter values
+  ampScale: 0.6,         // audioAmp = smoothed level × ampScale (the shader multiplies it by up to 3)
+};
+
+const FEATURES = ['audioAmp', 'audioLow', 'audioMid', 'audioHigh', 'audioFlux'];
+const MAX_STEP = 1 / 10;
+
+let _mode = null;          // 'mic' | 'synthetic'
+let _context = null;
+let _analyser = null;
+let _timeData = null;
+let _freqData = null;
+let _spectrum = null;      // linear magnitudes, swapped with _prevSpectrum every frame
+let _prevSpectrum = null;
+let _hasPrevSpectrum = false;
+let _levels = null;        // feature name → adaptive level
+let _lastUpdate = null;
+let _micRequest = null;    // startMicrophone() result, so the prompt is shown once
+
+/**
+ * Automatic gain for one feature: subtract the slow background, divide by a
+ * slowly released peak of what is left, then attack/release smoothing.
+ */
+function createLevel() {
+  let background = 0;
+  let peak = AUDIO_SETTINGS.noiseFloor;
+  let smoothed = 0;
+  return {
+    update(value, dt, adaptive = true) {
+      let normalised = value;
+      if (adaptive) {
+        background += (value - background) * (1 - Math.exp(-dt / AUDIO_SETTINGS.backgroundSeconds));
+        const excess = Math.max(value - background, 0);
+        peak = Math.max(excess, peak * Math.exp(-dt / AUDIO_SETTINGS.peakRelease), AUDIO_SETTINGS.noiseFloor);
+        normalised = excess / peak;
+      }
+      const tau = normalised > smoothed ? AUDIO_SETTINGS.attack : AUDIO_SETTINGS.release;
+      smoothed += (normalised - smoothed) * (1 - Math.exp(-dt / tau));
+      return smoothed;
+    },
+  };
+}
+
+/** Mean linear magnitude of the analyser bins covering [lo, hi) Hz. */
+function bandEnergy(spectrum, lo, hi) {
+  const binHz = _context.sampleRate / AUDIO_SETTINGS.fftSize;
+  const start = Math.max(1, Math.floor(lo / binHz));
+  const end = Math.min(spectrum.length, Math.ceil(hi / binHz));
+  let sum = 0;
+  for (let i = start; i < end; i++) sum += spectrum[i];
+  return end > start ? sum / (end - start) : 0;
+}
+
+/** Raw features from the microphone. */
+function analyseMic() {
+  _analyser.getFloatTimeDomainData(_timeData);
+  let square = 0;
+  for (let i = 0; i < _timeData.length; i++) square += _timeData[i] * _timeData[i];
+
+  // dB → linear magnitude; -Infinity (silence) becomes 0
+  _analyser.getFloatFrequencyData(_freqData);
+  const spectrum = _spectrum;
+  for (let i = 0; i < _freqData.length; i++) {
+    spectrum[i] = Number.isFinite(_freqData[i]) ? 10 ** (_freqData[i] / 20) : 0;
+  }
+
+  let flux = 0;
+  if (_hasPrevSpectrum) {
+    for (let i = 0; i < spectrum.length; i++) flux += Math.max(spectrum[i] - _prevSpectrum[i], 0);
+    flux /= spectrum.length;
+  }
+  _spectrum = _prevSpectrum;
+  _prevSpectrum = spectrum;
+  _hasPrevSpectrum = true;
+
+  const raw = { audioAmp: Math.sqrt(square / _timeData.length), audioFlux: flux };
+  for (const [name, [lo, hi]] of Object.entries(AUDIO_SETTINGS.bands)) raw[name] = bandEnergy(spectrum, lo, hi);
+  return raw;
+}
+
+/** Slow, layered sines standing in for a quiet room — already in 0–1. */
+function synthesise(t) {
+  const wave = (speed, phase) => 0.5 + 0.5 * Math.sin(t * speed + phase);
+  const low = 0.25 + 0.35 * wave(0.35, 0) * wave(0.11, 1.3);
+  return {
+    audioAmp: 0.2 + 0.3 * wave(0.27, 0.4) * wave(0.07, 2.1),
+    audioLow: low,
+    audioMid: 0.15 + 0.3 * wave(0.52, 2.0) * wave(0.13, 0.2),
+    audioHigh: 0.1 + 0.2 * wave(0.9, 4.1) * wave(0.19, 3.3),
+    audioFlux: 0.1 * wave(1.3, 0.9) * wave(0.23, 5.0),
+  };
+}
+
+async function openMicrophone() {
+  const stream = await navigator.mediaDevices.getUserMedia({
+    // Raw room sound — the browser's voice processing would flatten it
+    audio: { echoCancellation: false, noiseSuppression: false, autoGainControl: false },
+  });
+  const source = _context.createMediaStreamSource(stream);
+  _analyser = _context.createAnalyser();
+  _analyser.fftSize = AUDIO_SETTINGS.fftSize;
+  _analyser.smoothingTimeConstant = 0.5;
+  source.connect(_analyser); // analysis only — never routed to the speakers
+  _timeData = new Float32Array(_analyser.fftSize);
+  _freqData = new Float32Array(_analyser.frequencyBinCount);
+  _spectrum = new Float32Array(_analyser.frequencyBinCount);
+  _prevSpectrum = new Float32Array(_analyser.frequencyBinCount);
+}
+
+/**
+ * Create the AudioContext and start the synthetic signal. Call from a user
+ * gesture (e.g. the Enter AR tap) so the context may start; otherwise it
+ * resumes on the next tap. The microphone waits for startMicrophone().
+ * @returns {'mic'|'synthetic'}
+ */
 export function init() {
-  console.log('[AudioSystem] Initialized (Phase 6 stub)');
+  if (_mode) return _mode;
+  _levels = Object.fromEntries(FEATURES.map((name) => [name, createLevel()]));
+  _mode = 'synthetic';
+
+  try {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    _context = new AudioContextClass();
+    if (_context.state === 'suspended') {
+      window.addEventListener('pointerdown', () => {
+        _context.resume().catch((err) => console.warn('[AudioSystem] AudioContext did not resume:', err.message));
+      }, { once: true });
+    }
+  } catch (err) {
+    _context = null;
+    console.warn(`[AudioSystem] No AudioContext (${err.name || err.message}) — using a synthetic signal`);
+  }
+  return _mode;
 }
 
-export function update() {
-  // Audio analysis will be implemented in Phase 6
+/**
+ * Ask for the microphone and switch from the synthetic signal to the room.
+ * Call once the experience is running (e.g. when the tree is placed), not
+ * before the AR session starts — a permission prompt there would hold up
+ * requestSession and lose its user activation.
+ * @returns {Promise<'mic'|'synthetic'>}
+ */
+export function startMicrophone() {
+  _micRequest ??= (async () => {
+    if (!_mode) init();
+    try {
+      if (!_context) throw new Error('no AudioContext');
+      if (!navigator.mediaDevices?.getUserMedia) throw new Error('getUserMedia unavailable');
+      await openMicrophone();
+      _mode = 'mic';
+      console.log(`[AudioSystem] Microphone analysis running (${_context.sampleRate} Hz, FFT ${AUDIO_SETTINGS.fftSize})`);
+    } catch (err) {
+      console.warn(`[AudioSystem] No microphone (${err.name || err.message}) — using a synthetic signal`);
+    }
+    return _mode;
+  })();
+  return _micRequest;
+}
+
+/**
+ * The shared AudioContext, once init() has run — the soundscape plays through it.
+ * @returns {AudioContext|null}
+ */
+export function getContext() {
+  return _context;
+}
+
+/**
+ * Analyse and write the audio uniforms. Call once per frame.
+ * @param {number} [now] — ms, performance.now() timebase
+ */
+export function update(now = performance.now()) {
+  if (!_mode) return;
+  const dt = _lastUpdate === null ? 0 : Math.min((now - _lastUpdate) / 1000, MAX_STEP);
+  _lastUpdate = now;
+  if (dt === 0) return;
+
+  const mic = _mode === 'mic' && _context.state === 'running';
+  const raw = mic ? analyseMic() : synthesise(now / 1000);
+  for (const name of FEATURES) {
+    const level = _levels[name].update(raw[name], dt, mic);
+    uniforms[name].value = name === 'audioAmp' ? level * AUDIO_SETTINGS.ampScale : level;
+  }
 }
@@ -0,0 +1,143 @@
+// systems/depthOcclusion.js — Real-world occlusion from WebXR depth sensing
+// HIDDEN Exhibition · AR Point Cloud Experience
+//
+// Where the session grants 'depth-sensing', each frame's depth map of the room
+// becomes the `depthMap` uniform:
+//   cpu-optimized  — XRFrame.getDepthInformation(); the buffer is only valid
+//                    during the frame, so it is copied into a DataTexture
+//   gpu-optimized  — XRWebGLBinding.getDepthInformation(); the runtime's own
+//                    texture is bound in place of a placeholder texture's
+// The DEPTH_OCCLUSION variant of pointCloud.frag compares each point's view
+// depth with the room's and fades the points behind real surfaces — visitors
+// walking in front of the tree, the Hangar pillars — across depthSoftness
+// metres. The variant is switched on only once depth arrives; without depth
+// sensing the tree is drawn over the camera feed as before.
+//
+// Phone AR has a single view, so only the first view's depth is used.
+
+import * as THREE from 'three';
+import { uniforms } from '../uniformsRegistry.js';
+
+let _renderer = null;
+let _clouds = [];
+let _usage = null;          // 'cpu-optimized' | 'gpu-optimized' | null without depth
+let _format = null;         // 'luminance-alpha' | 'float32'
+let _binding = null;        // XRWebGLBinding (gpu-optimized)
+let _texture = null;
+let _variantEnabled = false;
+
+/** Switch the clouds' DEPTH_OCCLUSION variant on or off. */
+function setVariant(enabled) {
+  if (enabled === _variantEnabled) return;
+  _variantEnabled = enabled;
+  for (const { material } of _clouds) {
+    delete material.defines.DEPTH_OCCLUSION;
+    delete material.defines.DEPTH_FLOAT32;
+    if (enabled) {
+      material.defines.DEPTH_OCCLUSION = '';
+      if (_format === 'float32') material.defines.DEPTH_FLOAT32 = '';
+    }
+    material.needsUpdate = true;
+  }
+}
+
+function releaseTexture() {
+  // A placeholder for the runtime's texture must not delete it
+  if (_texture?.isDataTexture) _texture.dispose();
+  _texture = null;
+  uniforms.depthMap.value = null;
+}
+
+/** What the session granted. depthUsage throws when depth sensing is off. */
+function watchSession(session) {
+  _usage = null;
+  _binding = null;
+  releaseTexture();
+  if (!session) return;
+  try {
+    _usage = session.depthUsage ?? null;
+    _format = session.depthDataFormat;
+  } catch {
+    _usage = null;
+  }
+  if (!_usage) {
+    console.log('[DepthOcclusion] Depth sensing not granted — no occlusion');
+    return;
+  }
+  if (_usage === 'gpu-optimized') _binding = new XRWebGLBinding(session, _renderer.getContext());
+  console.log(`[DepthOcclusion] Depth sensing: ${_usage}, ${_format}`);
+}
+
+/** Copy this frame's CPU depth buffer into the depth texture. */
+function uploadCpuDepth(depth) {
+  const float = _format === 'float32';
+  const { width, height } = depth;
+  if (!_texture || _texture.image.width !== width || _texture.image.height !== height) {
+    releaseTexture();
+    _texture = float
+      ? new THREE.DataTexture(new Float32Array(width * height), width, height, THREE.RedFormat, THREE.FloatType)
+      : new THREE.DataTexture(new Uint8Array(width * height * 2), width, height, THREE.LuminanceAlphaFormat, THREE.UnsignedByteType);
+    // Interpolating packed bytes would mix them — and float textures are not filterable
+    _texture.magFilter = _texture.minFilter = THREE.NearestFilter;
+  }
+  _texture.image.data.set(float ? new Float32Array(depth.data) : new Uint8Array(depth.data));
+  _texture.needsUpdate = true;
+}
+
+/** Bind the runtime's depth texture for this frame. */
+function bindGpuDepth(depth) {
+  if (depth.textureType === 'texture-array') throw new Error('texture-array depth is not supported');
+  // Never uploaded (version 0), so three binds whatever WebGLTexture it is given
+  _texture ??= new THREE.Texture();
+  _renderer.properties.get(_texture).__webglTexture = depth.texture;
+}
+
+/**
+ * Start occlusion for the clouds. Call once the tree is placed in immersive-ar;
+ * later sessions are picked up as they start.
+ * @param {THREE.WebGLRenderer} renderer
+ * @param {Array<{ material: THREE.ShaderMaterial }>} clouds
+ */
+export function init(renderer, clouds) {
+  if (_renderer) return;
+  _renderer = renderer;
+  _clouds = clouds;
+  watchSession(renderer.xr.getSession());
+  renderer.xr.addEventListener('sessionstart', () => watchSession(renderer.xr.getSession()));
+  renderer.xr.addEventListener('sessionend', () => {
+    watchSession(null);
+    setVariant(false);
+  });
+}
+
+/**
+ * Hand this frame's depth map to the shaders. Call once per frame before
+ * render, inside the XR frame loop.
+ */
+export function update() {
+  if (!_renderer || !_usage || !_renderer.xr.isPresenting) return;
+  const frame = _renderer.xr.getFrame();
+  const view = frame?.getViewerPose(_renderer.xr.getReferenceSpace())?.views[0];
+  if (!view) return;
+
+  try {
+    const depth = _usage === 'cpu-optimized' ? frame.getDepthInformation(view) : _binding.getDepthInformation(view);
+    if (!depth) {
+      // No depth this frame: a stale map would cut holes in the wrong places
+      uniforms.depthRawToMeters.value = 0;
+      return;
+    }
+    if (_usage === 'cpu-optimized') uploadCpuDepth(depth);
+    else bindGpuDepth(depth);
+    uniforms.depthMap.value = _texture;
+    uniforms.depthUvTransform.value.fromArray(depth.normDepthBufferFromNormView.matrix);
+    uniforms.depthRawToMeters.value = depth.rawValueToMeters;
+    setVariant(true);
+  } catch (err) {
+    // A failing depth source must not take the frame loop with it — occlusion just stops
+    console.warn('[DepthOcclusion] Occlusion stopped:', err.message);
+    _usage = null;
+    releaseTexture();
+    setVariant(false);
+  }
+}
@@ -0,0 +1,74 @@
+// systems/dissolveSystem.js — Idle dissolution and reform-on-interaction
+// HIDDEN Exhibition · AR Point Cloud Experience
+//
+// After IDLE_SECONDS without interaction the tree scatters: the `dissolve`
+// uniform is tweened 0 → 1 and the vertex shader moves every point along its
+// own random velocity with a gravity-like fall (see pointCloud.vert). The
+// scatter is a pure function of `dissolve`, so any touch, tap or XR select
+// tweens it back and the points retrace their path to the scanned positions.
+
+import { uniforms } from '../uniformsRegistry.js';
+import { tween, play, isPlaying } from './timelineSystem.js';
+
+export const DISSOLVE_SETTINGS = {
+  idleSeconds: 30,     // no interaction for this long → start dissolving
+  dissolveSeconds: 14, // slow crumble
+  reformSeconds: 2.5,  // quick, eased return
+};
+
+const INTERACTION_EVENTS = ['pointerdown', 'keydown', 'wheel'];
+
+let _active = false;
+let _lastInteraction = 0;
+let _dissolving = false;
+
+/** Reset the idle timer; reverse the scatter if the tree has started dissolving. */
+export function notifyInteraction() {
+  _lastInteraction = performance.now();
+  if (!_dissolving) return;
+  _dissolving = false;
+  play(
+    tween('dissolve', { to: 0, duration: DISSOLVE_SETTINGS.reformSeconds, easing: 'easeOutCubic' }),
+    { id: 'dissolve' },
+  );
+  console.log('[DissolveSystem] Interaction — reforming');
+}
+
+/**
+ * Start watching for idle time. Call once the tree is visible.
+ * @param {THREE.WebGLRenderer} [renderer] — XR selects on its sessions count as interaction
+ */
+export function init(renderer) {
+  if (_active) return;
+  _active = true;
+  _lastInteraction = performance.now();
+  uniforms.dissolve.value = 0;
+
+  for (const type of INTERACTION_EVENTS) {
+    window.addEventListener(type, notifyInteraction, { passive: true });
+  }
+  const watchSession = (session) => session?.addEventListener('selectstart', notifyInteraction);
+  if (renderer?.xr) {
+    watchSession(renderer.xr.getSession());
+    renderer.xr.addEventListener('sessionstart', () => watchSession(renderer.xr.getSession()));
+  }
+  console.log(`[DissolveSystem] Initialized (idle after ${DISSOLVE_SETTINGS.idleSeconds}s)`);
+}
+
+/**
+ * Start the dissolve once the idle time has passed. Call once per frame.
+ * @param {number} [now] — ms, performance.now() timebase
+ */
+export function update(now = performance.now()) {
+  if (!_active || _dissolving) return;
+  if (now - _lastInteraction < DISSOLVE_SETTINGS.idleSeconds * 1000) return;
+  // Let a running reform finish before scattering again
+  if (isPlaying('dissolve')) return;
+
+  _dissolving = true;
+  play(
+    tween('dissolve', { to: 1, duration: DISSOLVE_SETTINGS.dissolveSeconds, easing: 'easeInOutSine' }),
+    { id: 'dissolve' },
+  );
+  console.log('[DissolveSystem] Idle — dissolving');
+}
@@ -1,10 +1,194 @@
-// systems/flockingSystem.js — Boids proxy system (Phase 3+)
+// systems/flockingSystem.js — GPU boids proxy for the fireflies
 // HIDDEN Exhibition · AR Point Cloud Experience
+//
+// Each cloud with fireflies gets its own GPGPU boids simulation: BOID_TEXTURE_SIZE²
+// proxy boids, with position and velocity in float textures ping-ponged by
+// GPUComputationRenderer (shaders/boidVelocity.frag, shaders/boidPosition.frag).
+// Every boid has a home, sampled from the cloud's firefly points. Separation,
+// alignment, cohesion and homing are weighted by the boid* registry uniforms.
+// Each step a boid only samples a rotating subset of its flock (NEIGHBOUR_SAMPLES
+// in boidVelocity.frag), so the pass stays linear in the boid count.
+//
+// The current position texture is bound as the cloud material's `flockTex`, and
+// the FIREFLY_BOIDS define switches pointCloud.vert from closed-form wander to
+// sampling it. Each firefly vertex picks a proxy by its vertex index. Without
+// float render targets the fireflies simply keep the closed-form wander.
 
-export function init() {
-  console.log('[FlockingSystem] Initialized (Phase 3 stub)');
+import { GPUComputationRenderer } from 'three/addons/misc/GPUComputationRenderer.js';
+import { uniforms } from '../uniformsRegistry.js';
+import { loadShaderSource } from '../js/shader-library.js';
+import { FIREFLY_ROLE } from '../js/particle-roles.js';
+
+export const BOID_TEXTURE_SIZE = 32; // 1024 proxy boids per cloud
+const MAX_STEP = 1 / 20;             // s — clamp dt after a stalled frame
+
+const WEIGHT_UNIFORMS = ['boidSeparation', 'boidAlignment', 'boidCohesion', 'boidHoming', 'boidRadius', 'boidMaxSpeed'];
+
+const _flocks = [];
+let _started = false;
+let _generation = 0;  // bumped by dispose(), so flocks of a disposed init are dropped
+let _lastUpdate = null;
+
+/**
+ * Home positions for the boids: an even sample of the cloud's firefly points.
+ * @returns {Float32Array|null} xyz per boid, or null when the cloud has no fireflies
+ */
+function sampleHomes(geometry, boidCount) {
+  const positions = geometry.getAttribute('position').array;
+  const roles = geometry.getAttribute('particleRole').array;
+  const fireflies = [];
+  for (let i = 0; i < roles.length; i++) if (roles[i] === FIREFLY_ROLE) fireflies.push(i);
+  if (fireflies.length === 0) return null;
+
+  const homes = new Float32Array(boidCount * 3);
+  for (let b = 0; b < boidCount; b++) {
+    const i = fireflies[Math.floor((b / boidCount) * fireflies.length)];
+    homes.set(positions.subarray(i * 3, i * 3 + 3), b * 3);
+  }
+  return homes;
+}
+
+function createFlock(renderer, cloud, sources) {
+  const boidCount = BOID_TEXTURE_SIZE * BOID_TEXTURE_SIZE;
+  const homes = sampleHomes(cloud.geometry, boidCount);
+  if (!homes) return null;
+  const spaceScale = cloud.geometry.boundingSphere?.radius || 1;
+
+  const gpu = new GPUComputationRenderer(BOID_TEXTURE_SIZE, BOID_TEXTURE_SIZE, renderer);
+  const home = gpu.createTexture();
+  const position = gpu.createTexture();
+  const velocity = gpu.createTexture();
+  for (let b = 0; b < boidCount; b++) {
+    for (let axis = 0; axis < 3; axis++) {
+      const h = homes[b * 3 + axis];
+      home.image.data[b * 4 + axis] = h;
+      position.image.data[b * 4 + axis] = h;
+      velocity.image.data[b * 4 + axis] = (Math.random() - 0.5) * uniforms.boidMaxSpeed.value * spaceScale;
+    }
+    home.image.data[b * 4 + 3] = 1;
+    position.image.data[b * 4 + 3] = 1;
+  }
+  home.needsUpdate = true;
+
+  const velocityVar = gpu.addVariable('textureVelocity', sources.velocity, velocity);
+  const positionVar = gpu.addVariable('texturePosition', sources.position, position);
+  gpu.setVariableDependencies(velocityVar, [velocityVar, positionVar]);
+  gpu.setVariableDependencies(positionVar, [velocityVar, positionVar]);
+
+  const velocityUniforms = velocityVar.material.uniforms;
+  velocityUniforms.delta = { value: 0 };
+  velocityUniforms.spaceScale = { value: spaceScale };
+  velocityUniforms.sampleOffset = { value: 0 };
+  velocityUniforms.textureHome = { value: home };
+  // Registry objects, shared — tuning-panel / preset changes apply immediately
+  for (const name of WEIGHT_UNIFORMS) velocityUniforms[name] = uniforms[name];
+  positionVar.material.uniforms.delta = { value: 0 };
+
+  const error = gpu.init();
+  if (error !== null) {
+    gpu.dispose();
+    home.dispose();
+    throw new Error(error);
+  }
+
+  const { material } = cloud;
+  material.uniforms.flockTex = { value: gpu.getCurrentRenderTarget(positionVar).texture };
+  material.defines.FIREFLY_BOIDS = '';
+  material.needsUpdate = true;
+
+  return { id: cloud.id, gpu, material, home, velocityVar, positionVar };
+}
+
+/** Why this device cannot run GPU boids for any cloud, or null if it can. */
+function unsupportedReason(renderer) {
+  // pointCloud.vert reads the texture with texelFetch / gl_VertexID (GLSL ES 3.00)
+  if (!renderer.capabilities.isWebGL2) return 'WebGL2 required';
+  if (!renderer.extensions.has('EXT_color_buffer_float')) return 'no float render targets';
+  return null;
+}
+
+/**
+ * Start a boids simulation for every cloud with fireflies. Call once placed;
+ * each cloud's flock starts when it has finished loading — its firefly points
+ * move when the octree pass reorders the attributes.
+ * @param {THREE.WebGLRenderer} renderer
+ * @param {Array<{ id: string, geometry: THREE.BufferGeometry, material: THREE.ShaderMaterial, loaded: Promise<void> }>} clouds
+ * @returns {Promise<void>} resolves once every cloud's flock has started (or been skipped)
+ */
+export async function init(renderer, clouds) {
+  if (_started) return;
+  _started = true;
+  const generation = _generation;
+
+  // Device-wide: no cloud can have boids, so none is tried
+  const unsupported = unsupportedReason(renderer);
+  if (unsupported) {
+    console.warn(`[FlockingSystem] GPU boids unavailable (${unsupported}) — fireflies keep the closed-form wander`);
+    return;
+  }
+
+  let sources;
+  try {
+    const [velocity, position] = await Promise.all([
+      loadShaderSource('boidVelocity.frag'),
+      loadShaderSource('boidPosition.frag'),
+    ]);
+    sources = { velocity, position };
+  } catch (err) {
+    console.warn('[FlockingSystem] Boid shaders unavailable — fireflies keep the closed-form wander:', err.message);
+    return;
+  }
+
+  await Promise.all(clouds.map(async (cloud) => {
+    try {
+      await cloud.loaded;
+    } catch {
+      return; // stream failed part-way — its attributes never reached octree order
+    }
+    if (generation !== _generation) return;
+    try {
+      const flock = createFlock(renderer, cloud, sources);
+      if (flock) _flocks.push(flock);
+    } catch (err) {
+      // Only this cloud keeps the closed-form wander; the others still get boids
+      console.warn(`[FlockingSystem] ${cloud.id}: GPU boids unavailable (${err.message}) — keeping the closed-form wander`);
+    }
+  }));
+  if (generation !== _generation) return;
+  console.log(`[FlockingSystem] Initialized: ${_flocks.length} flock(s) of ${BOID_TEXTURE_SIZE * BOID_TEXTURE_SIZE} boids`);
+}
+
+/**
+ * Step every simulation and rebind the fresh position texture. Call once per frame before render.
+ * @param {number} [now] — ms, performance.now() timebase
+ */
+export function update(now = performance.now()) {
+  if (_flocks.length === 0) return;
+  const dt = _lastUpdate === null ? 0 : Math.min((now - _lastUpdate) / 1000, MAX_STEP);
+  _lastUpdate = now;
+  if (dt === 0) return;
+
+  for (const flock of _flocks) {
+    const velocityUniforms = flock.velocityVar.material.uniforms;
+    velocityUniforms.delta.value = dt;
+    velocityUniforms.sampleOffset.value = (velocityUniforms.sampleOffset.value + 1) % (BOID_TEXTURE_SIZE * BOID_TEXTURE_SIZE);
+    flock.positionVar.material.uniforms.delta.value = dt;
+    flock.gpu.compute();
+    flock.material.uniforms.flockTex.value = flock.gpu.getCurrentRenderTarget(flock.positionVar).texture;
+  }
 }
 
-export function update() {
-  // Flocking system will be implemented in Phase 3
+/** Stop the simulations and return the fireflies to the closed-form wander. */
+export function dispose() {
+  for (const flock of _flocks) {
+    delete flock.material.defines.FIREFLY_BOIDS;
+    flock.material.uniforms.flockTex = uniforms.flockTex;
+    flock.material.needsUpdate = true;
+    flock.gpu.dispose();
+    flock.home.dispose();
+  }
+  _flocks.length = 0;
+  _started = false;
+  _generation++;
+  _lastUpdate = null;
 }
@@ -1,10 +1,110 @@
-// systems/handTracker.js — MediaPipe hand tracking (Phase 8+)
+// systems/handTracker.js — Visitors' hands → handPoints uniforms
 // HIDDEN Exhibition · AR Point Cloud Experience
+//
+// Six landmarks per hand (wrist and the five fingertips), two hands, come from
+// WebXR hand input: XRHand joint poses, already in the scene's world space, on
+// devices offering the 'hand-tracking' feature (headsets — phone immersive-ar
+// sessions and marker mode have no hand input, so the tree stays as it is there).
+//
+// Landmarks are written to the `handPoints` uniform as world positions with a
+// presence weight. The HAND_TRACKING variant of pointCloud.vert parts the points
+// around them and pointCloud.frag makes them glow. The variant is only switched
+// on once the session reports a hand. Without one, or when a hand is lost, the
+// weights fade to zero and the tree is untouched.
 
-export function init() {
-  console.log('[HandTracker] Initialized (Phase 8 stub)');
+import * as THREE from 'three';
+import { uniforms } from '../uniformsRegistry.js';
+
+export const HAND_SETTINGS = {
+  smoothing: 0.06,        // s — landmark position smoothing (joint pose jitter)
+  attack: 0.08,           // s — presence fade-in
+  release: 0.35,          // s — presence fade-out after tracking is lost
+};
+
+const MAX_HANDS = 2;
+const XR_JOINTS = ['wrist', 'thumb-tip', 'index-finger-tip', 'middle-finger-tip', 'ring-finger-tip', 'pinky-finger-tip'];
+const LANDMARKS_PER_HAND = XR_JOINTS.length;
+const MAX_STEP = 1 / 10;
+
+let _renderer = null;
+let _clouds = [];
+let _variantEnabled = false;
+let _lastUpdate = null;
+
+// One target per handPoints slot: where the landmark is and whether it is tracked
+const _targets = Array.from({ length: MAX_HANDS * LANDMARKS_PER_HAND }, () => ({ position: new THREE.Vector3(), present: false }));
+
+/** Switch the clouds to the HAND_TRACKING variant — once, when a source turns up. */
+function enableVariant() {
+  if (_variantEnabled) return;
+  _variantEnabled = true;
+  for (const { material } of _clouds) {
+    material.defines.HAND_TRACKING = '';
+    material.needsUpdate = true;
+  }
+}
+
+/** XR hand joints for this frame. @returns {boolean} whether the session offers hand input at all */
+function sampleXRHands() {
+  const xr = _renderer.xr;
+  const frame = xr.getFrame();
+  const refSpace = xr.getReferenceSpace();
+  const hands = [...(xr.getSession()?.inputSources ?? [])].filter((source) => source.hand);
+  if (!frame || hands.length === 0) return false;
+
+  hands.slice(0, MAX_HANDS).forEach((source, h) => {
+    XR_JOINTS.forEach((joint, j) => {
+      const target = _targets[h * LANDMARKS_PER_HAND + j];
+      const space = source.hand.get(joint);
+      const pose = space && frame.getJointPose?.(space, refSpace);
+      target.present = !!pose;
+      if (pose) target.position.copy(pose.transform.position);
+    });
+  });
+  return true;
+}
+
+/**
+ * Start hand tracking. WebXR hand input is picked up whenever the session offers it.
+ * @param {THREE.WebGLRenderer} renderer
+ * @param {Array<{ material: THREE.ShaderMaterial }>} clouds
+ */
+export function init(renderer, clouds) {
+  if (_renderer) return;
+  _renderer = renderer;
+  _clouds = clouds;
+  console.log('[HandTracker] Initialized (WebXR hand input when offered)');
 }
 
-export function update() {
-  // Hand tracking will be implemented in Phase 8
+/**
+ * Sample the hands and ease handPoints toward them. Call once per frame before
+ * render — inside the XR frame loop while presenting.
+ * @param {number} [now] — ms, performance.now() timebase
+ */
+export function update(now = performance.now()) {
+  if (!_renderer) return;
+  const dt = _lastUpdate === null ? 0 : Math.min((now - _lastUpdate) / 1000, MAX_STEP);
+  _lastUpdate = now;
+  if (dt === 0) return;
+
+  for (const target of _targets) target.present = false;
+  if (_renderer.xr.isPresenting && sampleXRHands()) enableVariant();
+
+  const follow = 1 - Math.exp(-dt / HAND_SETTINGS.smoothing);
+  uniforms.handPoints.value.forEach((point, i) => {
+    const { position, present } = _targets[i];
+    if (present) {
+      // A hand that just appeared starts where it is, not where the last one left
+      if (point.w < 0.01) point.set(position.x, position.y, position.z, point.w);
+      else point.set(
+        point.x + (position.x - point.x) * follow,
+        point.y + (position.y - point.y) * follow,
+        point.z + (position.z - point.z) * follow,
+        point.w,
+      );
+    }
+    const target = present ? 1 : 0;
+    const tau = target > point.w ? HAND_SETTINGS.attack : HAND_SETTINGS.release;
+    point.w += (target - point.w) * (1 - Math.exp(-dt / tau));
+  });
 }
@@ -0,0 +1,198 @@
+// systems/performanceGovernor.js — Adaptive quality to hold the frame-rate target
+// HIDDEN Exhibition · AR Point Cloud Experience
+//
+// Frame intervals are measured in the frame loop (the XR session's own frames
+// while presenting). Every few seconds the 90th percentile is checked against
+// the budget of GOVERNOR_SETTINGS.targetFps:
+//   over budget     → one tier down
+//   clear headroom  → one tier up after a few seconds of it
+//   just on budget  → one tier up as a probe after a longer wait, because
+//                     phone AR is often capped at the camera's 30 fps and never
+//                     shows headroom. A probe that fails doubles the next wait.
+//
+// QUALITY_TIERS give up quality in a fixed order: framebuffer scale, octree LOD,
+// firefly count, then trails and glow. In immersive-ar the framebuffer scale
+// is applied per view with XRView.requestViewportScale() where the browser
+// supports it; otherwise it takes effect from the next session. Outside XR it
+// is the renderer's pixel ratio.
+
+import { LOD_SETTINGS } from '../js/point-cloud-octree.js';
+import { setEnabled as setTrailsEnabled } from './trailSystem.js';
+
+export const GOVERNOR_SETTINGS = {
+  targetFps: 30,
+  overBudget: 1.15,     // p90 interval above budget × this → step down
+  headroom: 0.8,        // p90 interval below budget × this → step up
+  evaluateSeconds: 2,   // between decisions
+  settleSeconds: 1.5,   // measurements ignored after a tier change (shader recompiles, buffer reallocation)
+  upgradeSeconds: 4,    // headroom needed before stepping up
+  probeSeconds: 20,     // on budget for this long → probe one tier up
+  maxProbeSeconds: 160,
+};
+
+// Cumulative — each tier lists the full quality state
+export const QUALITY_TIERS = [
+  { name: 'full',          framebufferScale: 1.0,  lodError: 1, fireflies: 1.0,  trails: true,  glow: true },
+  { name: 'scale-85',      framebufferScale: 0.85, lodError: 1, fireflies: 1.0,  trails: true,  glow: true },
+  { name: 'scale-70',      framebufferScale: 0.7,  lodError: 1, fireflies: 1.0,  trails: true,  glow: true },
+  { name: 'lod-2x',        framebufferScale: 0.7,  lodError: 2, fireflies: 1.0,  trails: true,  glow: true },
+  { name: 'lod-4x',        framebufferScale: 0.7,  lodError: 4, fireflies: 1.0,  trails: true,  glow: true },
+  { name: 'fireflies-50',  framebufferScale: 0.7,  lodError: 4, fireflies: 0.5,  trails: true,  glow: true },
+  { name: 'fireflies-25',  framebufferScale: 0.7,  lodError: 4, fireflies: 0.25, trails: true,  glow: true },
+  { name: 'no-trails',     framebufferScale: 0.7,  lodError: 4, fireflies: 0.25, trails: false, glow: true },
+  { name: 'no-glow',       framebufferScale: 0.7,  lodError: 4, fireflies: 0.25, trails: false, glow: false },
+];
+
+const WINDOW_FRAMES = 120;
+const MIN_SAMPLES = 20;
+const MAX_INTERVAL = 1000; // ms — longer gaps are pauses (app hidden, permission prompt), not slow frames
+
+let _renderer = null;
+let _materials = [];
+let _fireflyRanges = [];       // { geometry, start, count } as loaded
+let _basePixelRatio = 1;       // full-quality pixel ratio outside XR
+let _baseScreenSpaceError = LOD_SETTINGS.maxScreenSpaceError;
+let _tier = 0;
+let _viewportScale = 1;        // last scale requested from the XR views
+const _intervals = new Float32Array(WINDOW_FRAMES);
+let _intervalCount = 0;
+let _intervalNext = 0;
+let _lastFrame = null;
+let _lastEvaluation = 0;
+let _settledAt = 0;
+let _headroomSince = null;
+let _onBudgetSince = null;
+let _lastChange = { at: 0, up: false };
+let _probeSeconds = GOVERNOR_SETTINGS.probeSeconds;
+
+function percentile90() {
+  const sorted = _intervals.slice(0, _intervalCount).sort();
+  return sorted[Math.floor((sorted.length - 1) * 0.9)];
+}
+
+function applyTier(index, now) {
+  const previous = QUALITY_TIERS[_tier];
+  const tier = QUALITY_TIERS[index];
+  _lastChange = { at: now, up: index < _tier };
+  _tier = index;
+
+  if (!_renderer.xr.isPresenting) applyFramebufferScale();
+  LOD_SETTINGS.maxScreenSpaceError = _baseScreenSpaceError * tier.lodError;
+  for (const { geometry, start, count } of _fireflyRanges) {
+    geometry.setDrawRange(start, Math.max(1, Math.round(count * tier.fireflies)));
+  }
+  setTrailsEnabled(tier.trails);
+  if (tier.glow !== previous.glow) {
+    for (const material of _materials) {
+      if (tier.glow) delete material.defines.DISABLE_GLOW;
+      else material.defines.DISABLE_GLOW = '';
+      material.needsUpdate = true;
+    }
+  }
+
+  _intervalCount = 0;
+  _intervalNext = 0;
+  _settledAt = now + GOVERNOR_SETTINGS.settleSeconds * 1000;
+  _headroomSince = null;
+  _onBudgetSince = null;
+  console.log(`[PerformanceGovernor] Quality tier ${index} (${tier.name})`);
+}
+
+/** Pixel ratio now and XR framebuffer scale for the next session — only while not presenting. */
+function applyFramebufferScale() {
+  const scale = QUALITY_TIERS[_tier].framebufferScale;
+  _renderer.setPixelRatio(_basePixelRatio * scale);
+  _renderer.xr.setFramebufferScaleFactor(scale);
+}
+
+/** Per-view resolution inside immersive-ar; applied by the browser from the next frame. */
+function requestViewportScale() {
+  const scale = QUALITY_TIERS[_tier].framebufferScale;
+  if (scale === 1 && _viewportScale === 1) return;
+  const frame = _renderer.xr.getFrame();
+  const pose = frame?.getViewerPose(_renderer.xr.getReferenceSpace());
+  if (!pose) return;
+  for (const view of pose.views) view.requestViewportScale?.(scale);
+  _viewportScale = scale;
+}
+
+function evaluate(now) {
+  const budget = 1000 / GOVERNOR_SETTINGS.targetFps;
+  const p90 = percentile90();
+
+  if (p90 > budget * GOVERNOR_SETTINGS.overBudget) {
+    _headroomSince = null;
+    _onBudgetSince = null;
+    if (_tier === QUALITY_TIERS.length - 1) return;
+    // Stepped straight back down after a probe: wait twice as long next time
+    if (_lastChange.up && now - _lastChange.at < GOVERNOR_SETTINGS.upgradeSeconds * 2000) {
+      _probeSeconds = Math.min(_probeSeconds * 2, GOVERNOR_SETTINGS.maxProbeSeconds);
+    }
+    applyTier(_tier + 1, now);
+    return;
+  }
+  if (_tier === 0) return;
+
+  _onBudgetSince ??= now;
+  if (p90 < budget * GOVERNOR_SETTINGS.headroom) _headroomSince ??= now;
+  else _headroomSince = null;
+
+  const headroom = _headroomSince !== null && now - _headroomSince >= GOVERNOR_SETTINGS.upgradeSeconds * 1000;
+  const probe = now - _onBudgetSince >= _probeSeconds * 1000;
+  if (headroom || probe) applyTier(_tier - 1, now);
+}
+
+/**
+ * Start governing. Call once the tree is placed; quality starts at full.
+ * @param {THREE.WebGLRenderer} renderer
+ * @param {Array<{ material: THREE.ShaderMaterial, octree: object|null, loaded: Promise<void> }>} clouds
+ */
+export function init(renderer, clouds) {
+  if (_renderer) return;
+  _renderer = renderer;
+  _basePixelRatio = window.devicePixelRatio; // as createScene() sets it; three reports 1 while presenting
+  _baseScreenSpaceError = LOD_SETTINGS.maxScreenSpaceError;
+  _materials = clouds.map(({ material }) => material);
+  // Firefly blocks appear with the octree pass; a late one starts at the current tier
+  for (const cloud of clouds) {
+    cloud.loaded.then(() => {
+      const geometry = cloud.octree?.fireflies?.geometry;
+      if (!geometry) return;
+      const range = { geometry, start: geometry.drawRange.start, count: geometry.drawRange.count };
+      _fireflyRanges.push(range);
+      geometry.setDrawRange(range.start, Math.max(1, Math.round(range.count * QUALITY_TIERS[_tier].fireflies)));
+    }, () => {}); // a failed stream never gets a firefly block
+  }
+  _settledAt = performance.now() + GOVERNOR_SETTINGS.settleSeconds * 1000;
+  // three restores its own pixel ratio when a session ends
+  renderer.xr.addEventListener('sessionend', () => {
+    _viewportScale = 1;
+    applyFramebufferScale();
+  });
+  console.log(`[PerformanceGovernor] Initialized (target ${GOVERNOR_SETTINGS.targetFps} fps, ${QUALITY_TIERS.length} tiers)`);
+}
+
+/**
+ * Record the frame interval and adjust the tier when due. Call once per frame,
+ * first thing in the frame loop.
+ * @param {number} [now] — ms, performance.now() timebase
+ */
+export function update(now = performance.now()) {
+  if (!_renderer) return;
+  const interval = _lastFrame === null ? null : now - _lastFrame;
+  _lastFrame = now;
+  if (_renderer.xr.isPresenting) requestViewportScale();
+  if (interval === null || interval > MAX_INTERVAL || now < _settledAt) return;
+
+  _intervals[_intervalNext] = interval;
+  _intervalNext = (_intervalNext + 1) % WINDOW_FRAMES;
+  _intervalCount = Math.min(_intervalCount + 1, WINDOW_FRAMES);
+  if (_intervalCount < MIN_SAMPLES || now - _lastEvaluation < GOVERNOR_SETTINGS.evaluateSeconds * 1000) return;
+  _lastEvaluation = now;
+  evaluate(now);
+}
+
+/** The current quality tier, 0 = full. */
+export function getTier() {
+  return { index: _tier, ...QUALITY_TIERS[_tier] };
+}
@@ -0,0 +1,297 @@
+// systems/soundscapeSystem.js — Spatial ambient soundscape anchored to the tree
+// HIDDEN Exhibition · AR Point Cloud Experience
+//
+// Everything is synthesised: no audio files to download or cache.
+//   wind    — looped pink noise through gusting band-pass filters, one HRTF
+//             panner per voice spread around the crown
+//   chimes  — short bell tones at random firefly positions, played through a
+//             small pool of HRTF panners
+//   canopy  — an unpanned close rustle that fades in while the visitor stands
+//             inside the crown, where point sources would all collapse together
+//
+// Sources follow the placed tree and the AudioListener follows the XR viewer
+// pose every frame, so distance and direction change as the visitor walks
+// around or into the tree. The master level follows uOpacity and fades in with
+// the tree.
+//
+// The graph plays through the shared AudioContext from audioSystem.js. That
+// context is created in the "Tap to enter AR" click, so autoplay policy is met.
+// Marker mode has no such gesture and stays silent.
+
+import * as THREE from 'three';
+import { uniforms } from '../uniformsRegistry.js';
+import { getContext } from './audioSystem.js';
+
+export const SOUNDSCAPE_SETTINGS = {
+  volume: 0.5,
+  windVoices: 3,        // HRTF wind sources around the crown
+  windGain: 0.35,
+  chimeRate: 0.35,      // chimes per second, on average
+  chimeVoices: 4,       // panners reused round-robin
+  chimeGain: 0.16,
+  chimeDecay: 2.2,      // s
+  rolloff: 1.2,         // PannerNode inverse-distance rolloff
+  fadeSeconds: 1.5,     // master level time constant
+};
+
+const CHIME_ROOT = 880;                  // Hz, A5
+const PENTATONIC = [0, 2, 4, 7, 9, 12, 14];
+const NOISE_SECONDS = 4;
+const MAX_STEP = 1 / 10;
+
+let _context = null;
+let _renderer = null;
+let _camera = null;
+let _master = null;
+let _wind = [];            // { filter, gain, panner, local: Vector3, phase }
+let _canopy = null;        // { filter, gain }
+let _chimePanners = [];
+let _nextChime = 0;
+let _anchor = null;        // { group, crown: Vector3 (local), radius, fireflies: THREE.Points[] }
+let _lastUpdate = null;
+
+const _position = new THREE.Vector3();
+const _quaternion = new THREE.Quaternion();
+const _scale = new THREE.Vector3();
+const _forward = new THREE.Vector3();
+const _up = new THREE.Vector3();
+const _crown = new THREE.Vector3();
+const _point = new THREE.Vector3();
+
+/** Pink noise (Paul Kellet's economy filter) — softer than white, closer to leaves. */
+function createNoiseBuffer() {
+  const length = Math.floor(_context.sampleRate * NOISE_SECONDS);
+  const buffer = _context.createBuffer(1, length, _context.sampleRate);
+  const data = buffer.getChannelData(0);
+  let b0 = 0, b1 = 0, b2 = 0;
+  for (let i = 0; i < length; i++) {
+    const white = Math.random() * 2 - 1;
+    b0 = 0.99765 * b0 + white * 0.0990460;
+    b1 = 0.96300 * b1 + white * 0.2965164;
+    b2 = 0.57000 * b2 + white * 1.0526913;
+    data[i] = (b0 + b1 + b2 + white * 0.1848) * 0.2;
+  }
+  return buffer;
+}
+
+function createPanner() {
+  const panner = _context.createPanner();
+  panner.panningModel = 'HRTF';
+  panner.distanceModel = 'inverse';
+  panner.rolloffFactor = SOUNDSCAPE_SETTINGS.rolloff;
+  panner.maxDistance = 50;
+  panner.connect(_master);
+  return panner;
+}
+
+function createLoop(buffer) {
+  const source = _context.createBufferSource();
+  source.buffer = buffer;
+  source.loop = true;
+  source.start(0, Math.random() * NOISE_SECONDS);
+  return source;
+}
+
+/** Ramp a position/orientation param to `value` by `end` — AudioParam where available, else the legacy setter. */
+function rampParams(params, values, end) {
+  params.forEach((param, i) => param.linearRampToValueAtTime(values[i], end));
+}
+
+function setPannerPosition(panner, { x, y, z }, end) {
+  if (panner.positionX) rampParams([panner.positionX, panner.positionY, panner.positionZ], [x, y, z], end);
+  else panner.setPosition(x, y, z);
+}
+
+function setListenerPose(listener, position, forward, up, end) {
+  if (listener.positionX) {
+    rampParams([listener.positionX, listener.positionY, listener.positionZ], [position.x, position.y, position.z], end);
+    rampParams(
+      [listener.forwardX, listener.forwardY, listener.forwardZ, listener.upX, listener.upY, listener.upZ],
+      [forward.x, forward.y, forward.z, up.x, up.y, up.z],
+      end,
+    );
+  } else {
+    listener.setPosition(position.x, position.y, position.z);
+    listener.setOrientation(forward.x, forward.y, forward.z, up.x, up.y, up.z);
+  }
+}
+
+/**
+ * Build the soundscape graph, silent until the tree is anchored. Call from the
+ * "Tap to enter AR" click, after audioSystem's init() has created the context.
+ * @param {THREE.WebGLRenderer} renderer
+ * @param {THREE.Camera} camera — the scene camera (the XR viewer pose is used while presenting)
+ * @returns {boolean} whether the soundscape is running
+ */
+export function init(renderer, camera) {
+  if (_context) return true;
+  const context = getContext();
+  if (!context) {
+    console.warn('[SoundscapeSystem] No AudioContext — soundscape disabled');
+    return false;
+  }
+  _context = context;
+  _renderer = renderer;
+  _camera = camera;
+  // Still inside the click, so resuming is allowed
+  if (_context.state === 'suspended') {
+    _context.resume().catch((err) => console.warn('[SoundscapeSystem] AudioContext did not resume:', err.message));
+  }
+
+  _master = _context.createGain();
+  _master.gain.value = 0;
+  _master.connect(_context.destination);
+
+  const noise = createNoiseBuffer();
+  for (let i = 0; i < SOUNDSCAPE_SETTINGS.windVoices; i++) {
+    const filter = _context.createBiquadFilter();
+    filter.type = 'bandpass';
+    filter.Q.value = 0.7;
+    const gain = _context.createGain();
+    gain.gain.value = 0;
+    const panner = createPanner();
+    createLoop(noise).connect(filter).connect(gain).connect(panner);
+    _wind.push({ filter, gain, panner, local: new THREE.Vector3(), phase: (i / SOUNDSCAPE_SETTINGS.windVoices) * Math.PI * 2 });
+  }
+
+  const canopyFilter = _context.createBiquadFilter();
+  canopyFilter.type = 'highpass';
+  canopyFilter.frequency.value = 1800;
+  const canopyGain = _context.createGain();
+  canopyGain.gain.value = 0;
+  createLoop(noise).connect(canopyFilter).connect(canopyGain).connect(_master);
+  _canopy = { filter: canopyFilter, gain: canopyGain };
+
+  for (let i = 0; i < SOUNDSCAPE_SETTINGS.chimeVoices; i++) _chimePanners.push(createPanner());
+
+  renderer.xr.addEventListener('sessionend', () => {
+    _anchor = null;
+    _master.gain.setTargetAtTime(0, _context.currentTime, 0.2);
+  });
+  console.log(`[SoundscapeSystem] Initialized (${_wind.length} wind voices, ${_chimePanners.length} chime voices)`);
+  return true;
+}
+
+/**
+ * Anchor the sources to the placed tree. Call once it is in the scene. The
+ * anchor is measured again when every cloud has finished loading: the final
+ * bounds and the firefly blocks only exist after the octree pass.
+ * @param {THREE.Object3D} group — the tree group; sources follow its world transform
+ * @param {Array<{ octree: object|null, loaded: Promise<void> }>} clouds — chimes sound at their fireflies
+ */
+export function setAnchor(group, clouds) {
+  if (!_context) return;
+  measureAnchor(group, clouds);
+  const anchor = _anchor;
+  // Failed streams included: measure whatever did load
+  Promise.allSettled(clouds.map(({ loaded }) => loaded)).then(() => {
+    if (_anchor === anchor) measureAnchor(group, clouds);
+  });
+}
+
+function measureAnchor(group, clouds) {
+  group.updateMatrixWorld(true);
+  const bounds = new THREE.Box3().setFromObject(group);
+  const size = bounds.getSize(new THREE.Vector3());
+  const center = bounds.getCenter(new THREE.Vector3());
+  const radius = Math.max(size.x, size.z, 0.2) / 2;
+  const crown = new THREE.Vector3(center.x, bounds.min.y + size.y * 0.65, center.z);
+
+  _wind.forEach((voice, i) => {
+    const angle = voice.phase;
+    voice.local.set(crown.x + Math.cos(angle) * radius * 0.8, crown.y + (i % 2 ? 0.15 : -0.1) * size.y, crown.z + Math.sin(angle) * radius * 0.8);
+    group.worldToLocal(voice.local);
+  });
+  for (const panner of [..._wind.map((voice) => voice.panner), ..._chimePanners]) {
+    panner.refDistance = Math.max(radius * 0.5, 0.3);
+  }
+
+  _anchor = {
+    group,
+    crown: group.worldToLocal(crown.clone()),
+    radius,
+    fireflies: clouds.map(({ octree }) => octree?.fireflies).filter(Boolean),
+  };
+  console.log(`[SoundscapeSystem] Anchored to tree (crown radius ${radius.toFixed(2)} m, ${_anchor.fireflies.length} firefly block(s))`);
+}
+
+/** A bell-like tone at a random firefly — two inharmonic partials with a plucked envelope. */
+function playChime(when) {
+  const fireflies = _anchor.fireflies[Math.floor(Math.random() * _anchor.fireflies.length)];
+  const { start, count } = fireflies.geometry.drawRange;
+  const index = start + Math.floor(Math.random() * count);
+  _point.fromBufferAttribute(fireflies.geometry.getAttribute('position'), index).applyMatrix4(fireflies.matrixWorld);
+
+  const panner = _chimePanners[_nextChime];
+  _nextChime = (_nextChime + 1) % _chimePanners.length;
+  if (panner.positionX) {
+    panner.positionX.setValueAtTime(_point.x, when);
+    panner.positionY.setValueAtTime(_point.y, when);
+    panner.positionZ.setValueAtTime(_point.z, when);
+  } else {
+    panner.setPosition(_point.x, _point.y, _point.z);
+  }
+
+  const frequency = CHIME_ROOT * 2 ** (PENTATONIC[Math.floor(Math.random() * PENTATONIC.length)] / 12);
+  const decay = SOUNDSCAPE_SETTINGS.chimeDecay * (0.7 + Math.random() * 0.6);
+  for (const [ratio, level] of [[1, 1], [2.76, 0.3]]) {
+    const osc = _context.createOscillator();
+    osc.frequency.value = frequency * ratio;
+    const envelope = _context.createGain();
+    envelope.gain.setValueAtTime(0, when);
+    envelope.gain.linearRampToValueAtTime(SOUNDSCAPE_SETTINGS.chimeGain * level, when + 0.005);
+    envelope.gain.exponentialRampToValueAtTime(0.0001, when + decay / ratio);
+    osc.connect(envelope).connect(panner);
+    osc.start(when);
+    osc.stop(when + decay / ratio + 0.05);
+  }
+}
+
+/**
+ * Move the listener to the viewer and the sources to the tree, re-mix and
+ * schedule chimes. Call once per frame before render, inside the XR frame loop.
+ * @param {number} [now] — ms, performance.now() timebase
+ */
+export function update(now = performance.now()) {
+  if (!_anchor || _context.state !== 'running') return;
+  const dt = _lastUpdate === null ? 0 : Math.min((now - _lastUpdate) / 1000, MAX_STEP);
+  _lastUpdate = now;
+  if (dt === 0) return;
+
+  const t = _context.currentTime;
+  const end = t + dt;
+
+  // Listener — the viewer pose (the XR camera's centre while presenting)
+  const xr = _renderer.xr;
+  let viewer = _camera;
+  if (xr.isPresenting) {
+    xr.updateCamera(_camera);
+    viewer = xr.getCamera();
+  }
+  viewer.matrixWorld.decompose(_position, _quaternion, _scale);
+  _forward.set(0, 0, -1).applyQuaternion(_quaternion);
+  _up.set(0, 1, 0).applyQuaternion(_quaternion);
+  setListenerPose(_context.listener, _position, _forward, _up, end);
+
+  // How far inside the crown the visitor stands, horizontally: 0 outside → 1 at the trunk
+  const { group, radius } = _anchor;
+  _crown.copy(_anchor.crown).applyMatrix4(group.matrixWorld);
+  const distance = Math.hypot(_position.x - _crown.x, _position.z - _crown.z);
+  const inside = 1 - THREE.MathUtils.smoothstep(distance, radius * 0.5, radius * 1.2);
+
+  // Wind — slow gusts per voice; closer leaves sound brighter
+  const seconds = now / 1000;
+  for (const voice of _wind) {
+    const gust = 0.55 + 0.45 * Math.sin(seconds * 0.23 + voice.phase) * Math.sin(seconds * 0.071 + voice.phase * 2);
+    voice.gain.gain.setTargetAtTime(SOUNDSCAPE_SETTINGS.windGain * gust, t, 0.3);
+    voice.filter.frequency.setTargetAtTime((350 + 1100 * gust) * (1 + inside), t, 0.3);
+    setPannerPosition(voice.panner, _point.copy(voice.local).applyMatrix4(group.matrixWorld), end);
+  }
+  _canopy.gain.gain.setTargetAtTime(SOUNDSCAPE_SETTINGS.windGain * 0.6 * inside, t, 0.4);
+
+  if (_anchor.fireflies.length > 0 && Math.random() < 1 - Math.exp(-SOUNDSCAPE_SETTINGS.chimeRate * dt)) {
+    playChime(t + 0.01);
+  }
+
+  _master.gain.setTargetAtTime(SOUNDSCAPE_SETTINGS.volume * uniforms.uOpacity.value, t, SOUNDSCAPE_SETTINGS.fadeSeconds);
+}
@@ -0,0 +1,228 @@
+// systems/timelineSystem.js — Tweens + keyframe timelines for uniform choreography
+// HIDDEN Exhibition · AR Point Cloud Experience
+//
+// Animations are plain descriptions built from four pieces and started with play():
+//
+//   tween('uOpacity', { from: 0, to: 1, duration: 2, easing: 'easeInOutCubic' })
+//   keyframes('glowIntensity', [{ time: 0, value: 1 }, { time: 3, value: 2, easing: 'easeOutQuad' }])
+//   sequence(a, b, …)   — one after another
+//   parallel(a, b, …)   — together; lasts as long as the longest
+//   loop(anim, count)   — repeat (count defaults to forever)
+//
+// Times are in seconds. Targets are uniform names from uniformsRegistry.js (or
+// any `{ value }` object); numbers, arrays and THREE.Colors are interpolated.
+// There is no requestAnimationFrame here — update() is called once per frame
+// from updateUniforms() (scene.js), i.e. from the XR frame loop while in AR.
+
+import { uniforms } from '../uniformsRegistry.js';
+
+export const EASINGS = {
+  linear: (t) => t,
+  easeInQuad: (t) => t * t,
+  easeOutQuad: (t) => 1 - (1 - t) * (1 - t),
+  easeInOutQuad: (t) => (t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2),
+  easeInCubic: (t) => t * t * t,
+  easeOutCubic: (t) => 1 - Math.pow(1 - t, 3),
+  easeInOutCubic: (t) => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+  easeInOutSine: (t) => -(Math.cos(Math.PI * t) - 1) / 2,
+  smoothstep: (t) => t * t * (3 - 2 * t),
+};
+
+const _playing = new Map(); // id → playback
+let _nextId = 0;
+let _lastTick = -Infinity;  // performance.now() of the last update()
+const TICK_TIMEOUT_MS = 250;
+
+function resolveEasing(easing = 'linear') {
+  if (typeof easing === 'function') return easing;
+  const fn = EASINGS[easing];
+  if (!fn) throw new Error(`Unknown easing "${easing}" (expected ${Object.keys(EASINGS).join(', ')})`);
+  return fn;
+}
+
+function resolveTarget(target) {
+  const uniform = typeof target === 'string' ? uniforms[target] : target;
+  if (!uniform || !('value' in uniform)) throw new Error(`Unknown tween target "${target}"`);
+  return uniform;
+}
+
+const snapshot = (v) => (v?.isColor ? v.clone() : Array.isArray(v) ? [...v] : v);
+
+function interpolate(a, b, k) {
+  if (b?.isColor) return a.clone().lerp(b, k);
+  if (Array.isArray(b)) return b.map((v, i) => a[i] + (v - a[i]) * k);
+  return a + (b - a) * k;
+}
+
+// ── Animation builders ─────────────────────────────────────────────────────
+// Each returns { duration, start(repeat), sample(t) }: start() resets per-playback
+// state, sample(t) writes the animation's state at local time t (clamped).
+// loop() restarts its child with start(true) — a repeat keeps what the first
+// pass captured, so a tween without `from` replays from the same value.
+
+/**
+ * Tween one uniform from `from` (default: its value when the tween starts) to `to`.
+ * @param {string|{ value: * }} target
+ * @param {{ to: *, from?: *, duration: number, delay?: number, easing?: string|function }} options
+ */
+export function tween(target, { to, from, duration, delay = 0, easing }) {
+  const uniform = resolveTarget(target);
+  const ease = resolveEasing(easing);
+  let start = null;
+  return {
+    duration: delay + duration,
+    start(repeat = false) { if (!repeat) start = null; },
+    sample(t) {
+      if (t < delay) return;
+      if (start === null) start = snapshot(from ?? uniform.value);
+      const k = duration > 0 ? Math.min((t - delay) / duration, 1) : 1;
+      uniform.value = interpolate(start, to, ease(k));
+    },
+  };
+}
+
+/**
+ * Keyframe track. Each frame's `easing` shapes the segment leading into it.
+ * @param {string|{ value: * }} target
+ * @param {Array<{ time: number, value: *, easing?: string|function }>} frames
+ */
+export function keyframes(target, frames) {
+  const uniform = resolveTarget(target);
+  const sorted = [...frames].sort((a, b) => a.time - b.time).map((f) => ({ ...f, ease: resolveEasing(f.easing) }));
+  if (sorted.length === 0) throw new Error('keyframes() needs at least one frame');
+  return {
+    duration: sorted[sorted.length - 1].time,
+    start() {},
+    sample(t) {
+      let i = sorted.findIndex((f) => f.time >= t);
+      if (i === -1) i = sorted.length - 1;
+      if (i === 0) { uniform.value = snapshot(sorted[0].value); return; }
+      const a = sorted[i - 1];
+      const b = sorted[i];
+      const k = Math.min(Math.max((t - a.time) / (b.time - a.time), 0), 1);
+      uniform.value = interpolate(a.value, b.value, b.ease(k));
+    },
+  };
+}
+
+/**
+ * Run animations one after another. Each child gets a final sample at its end
+ * before the next starts, so nothing is left mid-way on a slow frame.
+ */
+export function sequence(...children) {
+  const offsets = [];
+  let total = 0;
+  for (const child of children) { offsets.push(total); total += child.duration; }
+  let done = 0;
+  return {
+    duration: total,
+    start(repeat) { done = 0; children.forEach((c) => c.start(repeat)); },
+    sample(t) {
+      while (done < children.length && t >= offsets[done] + children[done].duration) {
+        children[done].sample(children[done].duration);
+        done++;
+      }
+      if (done < children.length && t >= offsets[done]) children[done].sample(t - offsets[done]);
+    },
+  };
+}
+
+/** Run animations together; lasts as long as the longest. */
+export function parallel(...children) {
+  return {
+    duration: Math.max(0, ...children.map((c) => c.duration)),
+    start(repeat) { children.forEach((c) => c.start(repeat)); },
+    sample(t) { for (const child of children) child.sample(Math.min(t, child.duration)); },
+  };
+}
+
+/**
+ * Repeat an animation.
+ * @param {object} animation
+ * @param {number} [count=Infinity]
+ */
+export function loop(animation, count = Infinity) {
+  const period = Math.max(animation.duration, 1e-6);
+  let iteration = 0;
+  return {
+    duration: period * count,
+    start(repeat) { iteration = 0; animation.start(repeat); },
+    sample(t) {
+      const target = Math.min(Math.floor(t / period), count - 1);
+      while (iteration < target) {
+        animation.sample(period);
+        animation.start(true);
+        iteration++;
+      }
+      animation.sample(t - iteration * period);
+    },
+  };
+}
+
+// ── Playback ───────────────────────────────────────────────────────────────
+
+/**
+ * Start an animation on the next update(). Playing again with the same `id`
+ * stops the previous playback first (e.g. a new fade replaces a running one).
+ * @param {object} animation — from tween / keyframes / sequence / parallel / loop
+ * @param {{ id?: string }} [options]
+ * @returns {{ id: string, finished: Promise<boolean>, stop: function(): void }}
+ *   `finished` resolves true when the animation completes, false if stopped
+ */
+export function play(animation, { id = `anim-${_nextId++}` } = {}) {
+  stop(id);
+  let resolve;
+  const finished = new Promise((res) => { resolve = res; });
+  animation.start();
+  _playing.set(id, { animation, startTime: null, resolve });
+  return { id, finished, stop: () => stop(id) };
+}
+
+/**
+ * Stop a playback, leaving its uniforms where they are.
+ * @param {string} id
+ */
+export function stop(id) {
+  const playback = _playing.get(id);
+  if (!playback) return;
+  _playing.delete(id);
+  playback.resolve(false);
+}
+
+/** @returns {boolean} whether a playback with this id is running */
+export function isPlaying(id) {
+  return _playing.has(id);
+}
+
+/**
+ * Whether a frame loop is driving the timeline — update() ran within the last
+ * TICK_TIMEOUT_MS. Without one (the intro screen, a backgrounded tab) a
+ * playback would never advance.
+ * @returns {boolean}
+ */
+export function isTicking() {
+  return performance.now() - _lastTick < TICK_TIMEOUT_MS;
+}
+
+export function init() {
+  console.log('[TimelineSystem] Initialized');
+}
+
+/**
+ * Advance every playing animation. Call once per frame.
+ * @param {number} [now] — the frame's timestamp in ms (performance.now() timebase,
+ *   as rAF and XR frame callbacks receive it)
+ */
+export function update(now = performance.now()) {
+  _lastTick = performance.now();
+  for (const [id, playback] of _playing) {
+    if (playback.startTime === null) playback.startTime = now;
+    const t = (now - playback.startTime) / 1000;
+    const { animation } = playback;
+    animation.sample(Math.min(t, animation.duration));
+    if (t >= animation.duration) {
+      _playing.delete(id);
+      playback.resolve(true);
+    }
+  }
+}
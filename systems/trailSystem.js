@@ -0,0 +1,248 @@
+// systems/trailSystem.js — Firefly light trails (ping-pong accumulation)
+// HIDDEN Exhibition · AR Point Cloud Experience
+//
+// Each frame, before the main render:
+//   1. decay   — the previous trail buffer is faded into the other one
+//                (shaders/trailDecay.frag; close trails last longer)
+//   2. splat   — fireflies are drawn additively on top with the TRAIL_PASS
+//                variant of the cloud material, which also writes nearness
+//   3. swap    — the composite quad in the main scene adds the fresh buffer
+//                over the view (shaders/trailComposite.frag)
+//
+// Buffers are half the view's resolution. Inside WebXR the trail passes render
+// with the first XR view's camera while xr.enabled is off, as three's own
+// GPUComputationRenderer does, and the XR framebuffer target is restored after.
+// Stereo headsets get one view's trails on both eyes. Phone AR has one view.
+
+import * as THREE from 'three';
+import { uniforms } from '../uniformsRegistry.js';
+import { loadShaderSource } from '../js/shader-library.js';
+
+export const TRAIL_LAYER = 3;   // trail-pass copies of the fireflies live on this layer only
+const RESOLUTION_SCALE = 0.5;
+const MAX_STEP = 1 / 20;        // s — clamp dt after a stalled frame
+
+let _renderer = null;
+let _scene = null;
+let _camera = null;
+let _targets = null;            // [read, write]
+let _decay = null;              // { scene, camera, material }
+let _composite = null;          // Mesh in the main scene
+let _trailPoints = [];          // { source: ShaderMaterial, points: THREE.Points, version }
+let _enabled = true;
+let _lastUpdate = null;
+const _size = new THREE.Vector2();
+
+function fullscreenTriangle() {
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute([-1, -1, 0, 3, -1, 0, -1, 3, 0], 3));
+  return geometry;
+}
+
+function createTargets(width, height) {
+  const floatTargets = _renderer.extensions.has('EXT_color_buffer_float') || _renderer.extensions.has('EXT_color_buffer_half_float');
+  const options = {
+    type: floatTargets ? THREE.HalfFloatType : THREE.UnsignedByteType,
+    depthBuffer: false,
+    minFilter: THREE.LinearFilter,
+    magFilter: THREE.LinearFilter,
+  };
+  return [new THREE.WebGLRenderTarget(width, height, options), new THREE.WebGLRenderTarget(width, height, options)];
+}
+
+/**
+ * TRAIL_PASS copy of a cloud material: same sources and shared uniform object,
+ * colour added and nearness kept at its maximum.
+ */
+function createTrailMaterial(source) {
+  const material = new THREE.ShaderMaterial({
+    name: 'point-cloud-trail',
+    vertexShader: source.vertexShader,
+    fragmentShader: source.fragmentShader,
+    defines: { ...source.defines, TRAIL_PASS: '' },
+    uniforms: source.uniforms,
+    vertexColors: true,
+    transparent: true,
+    depthTest: false,
+    depthWrite: false,
+    blending: THREE.CustomBlending,
+    blendEquation: THREE.AddEquation,
+    blendSrc: THREE.OneFactor,
+    blendDst: THREE.OneFactor,
+    blendEquationAlpha: THREE.MaxEquation,
+    blendSrcAlpha: THREE.OneFactor,
+    blendDstAlpha: THREE.OneFactor,
+  });
+  // Not registered for the fallback swap: it shares the cloud's source marker,
+  // and a failing trail variant must not take the visible cloud down with it
+  return material;
+}
+
+/** Follow define / shader changes on the source material (boids switched on, fallback shader). */
+function syncTrailMaterial(entry) {
+  const { source, points } = entry;
+  if (entry.version === source.version) return;
+  entry.version = source.version;
+  points.material.vertexShader = source.vertexShader;
+  points.material.fragmentShader = source.fragmentShader;
+  points.material.defines = { ...source.defines, TRAIL_PASS: '' };
+  points.material.needsUpdate = true;
+}
+
+/**
+ * Set up trail buffers, and the trail-pass fireflies for each cloud as it finishes loading. Call once placed.
+ * @param {THREE.WebGLRenderer} renderer
+ * @param {THREE.Scene} scene
+ * @param {THREE.Camera} camera — the scene camera (the first XR view is used while presenting)
+ * @param {Array<{ material: THREE.ShaderMaterial, octree: object|null, loaded: Promise<void> }>} clouds
+ * @returns {Promise<void>} resolves once every cloud's trail is attached
+ */
+export async function init(renderer, scene, camera, clouds) {
+  if (_renderer) return;
+  _renderer = renderer;
+  _scene = scene;
+  _camera = camera;
+
+  let sources;
+  try {
+    const [vertex, decay, composite] = await Promise.all([
+      loadShaderSource('fullscreen.vert'),
+      loadShaderSource('trailDecay.frag'),
+      loadShaderSource('trailComposite.frag'),
+    ]);
+    sources = { vertex, decay, composite };
+  } catch (err) {
+    console.warn('[TrailSystem] Trail shaders unavailable — no trails:', err.message);
+    return;
+  }
+
+  const triangle = fullscreenTriangle();
+  _decay = {
+    scene: new THREE.Scene(),
+    camera: new THREE.Camera(),
+    material: new THREE.ShaderMaterial({
+      name: 'trail-decay',
+      vertexShader: sources.vertex,
+      fragmentShader: sources.decay,
+      uniforms: {
+        history: { value: null },
+        deltaTime: { value: 0 },
+        trailLength: uniforms.trailLength,
+        trailDecay: uniforms.trailDecay,
+      },
+      depthTest: false,
+      depthWrite: false,
+      blending: THREE.NoBlending,
+    }),
+  };
+  const decayMesh = new THREE.Mesh(triangle, _decay.material);
+  decayMesh.frustumCulled = false;
+  _decay.scene.add(decayMesh);
+
+  _composite = new THREE.Mesh(triangle, new THREE.ShaderMaterial({
+    name: 'trail-composite',
+    vertexShader: sources.vertex,
+    fragmentShader: sources.composite,
+    uniforms: { trails: { value: null }, uOpacity: uniforms.uOpacity },
+    transparent: true,
+    depthTest: false,
+    depthWrite: false,
+    blending: THREE.CustomBlending,
+    blendSrc: THREE.OneFactor,
+    blendDst: THREE.OneFactor,
+  }));
+  _composite.name = 'firefly-trails';
+  _composite.frustumCulled = false;
+  _composite.renderOrder = 1000; // after the clouds
+  _composite.visible = false;    // until the first buffer is ready
+  scene.add(_composite);
+
+  // The firefly block exists once the octree pass has run, i.e. when the cloud has loaded
+  await Promise.all(clouds.map(async (cloud) => {
+    try {
+      await cloud.loaded;
+    } catch {
+      return; // stream failed part-way — no octree pass, so no firefly block
+    }
+    const { material } = cloud;
+    const fireflies = cloud.octree?.fireflies;
+    if (!fireflies) return;
+    const trail = new THREE.Points(fireflies.geometry, createTrailMaterial(material));
+    trail.name = 'octree-fireflies-trail';
+    trail.frustumCulled = false;
+    trail.layers.set(TRAIL_LAYER);
+    fireflies.parent.add(trail);
+    _trailPoints.push({ source: material, points: trail, version: material.version });
+  }));
+  console.log(`[TrailSystem] Initialized for ${_trailPoints.length} firefly block(s)`);
+}
+
+/**
+ * Switch the trails off (hidden, no passes rendered) or back on with an empty
+ * history. The performance governor drops them on slow frames.
+ * @param {boolean} enabled
+ */
+export function setEnabled(enabled) {
+  if (enabled === _enabled) return;
+  _enabled = enabled;
+  _lastUpdate = null;
+  if (_composite) _composite.visible = false; // until a fresh buffer is ready
+  if (!enabled) {
+    _targets?.forEach((t) => t.dispose());
+    _targets = null;
+  }
+}
+
+/**
+ * Decay the trail history and splat this frame's fireflies. Call once per
+ * frame before renderer.render() — inside the XR frame loop while presenting.
+ * @param {number} [now] — ms, performance.now() timebase
+ */
+export function update(now = performance.now()) {
+  if (!_enabled || !_composite || _trailPoints.length === 0) return;
+  const dt = _lastUpdate === null ? 0 : Math.min((now - _lastUpdate) / 1000, MAX_STEP);
+  _lastUpdate = now;
+  if (dt === 0) return;
+
+  const xr = _renderer.xr;
+  let viewCamera = _camera;
+  if (xr.isPresenting) {
+    xr.updateCamera(_camera);
+    viewCamera = xr.getCamera().cameras[0] ?? _camera;
+    _size.set(viewCamera.viewport.z, viewCamera.viewport.w);
+  } else {
+    _renderer.getDrawingBufferSize(_size);
+  }
+  const width = Math.max(1, Math.floor(_size.x * RESOLUTION_SCALE));
+  const height = Math.max(1, Math.floor(_size.y * RESOLUTION_SCALE));
+  if (!_targets || _targets[0].width !== width || _targets[0].height !== height) {
+    _targets?.forEach((t) => t.dispose());
+    _targets = createTargets(width, height);
+  }
+  for (const entry of _trailPoints) syncTrailMaterial(entry);
+
+  const [read, write] = _targets;
+  const previousTarget = _renderer.getRenderTarget();
+  const xrEnabled = xr.enabled;
+  const autoClear = _renderer.autoClear;
+  const layerMask = viewCamera.layers.mask;
+  xr.enabled = false; // render with viewCamera as-is, not the XR array camera
+  _renderer.autoClear = false;
+
+  _renderer.setRenderTarget(write);
+  _decay.material.uniforms.history.value = read.texture;
+  _decay.material.uniforms.deltaTime.value = dt;
+  _renderer.render(_decay.scene, _decay.camera);
+
+  viewCamera.layers.set(TRAIL_LAYER);
+  _renderer.render(_scene, viewCamera);
+  viewCamera.layers.mask = layerMask;
+
+  _renderer.setRenderTarget(previousTarget);
+  _renderer.autoClear = autoClear;
+  xr.enabled = xrEnabled;
+
+  _composite.material.uniforms.trails.value = write.texture;
+  _composite.visible = true;
+  _targets = [write, read];
+}
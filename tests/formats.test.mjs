@@ -0,0 +1,215 @@
+// formats.test.mjs — Smoke tests for the PLY / LAS / XYZ decoders
+// HIDDEN Exhibition · AR Point Cloud Experience
+//
+// Each decoder is fed a tiny in-memory file through the worker's
+// { prefix, read } source contract, split into small reads so records and
+// headers straddle chunk boundaries.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+
+import { sniffPly, decodePly } from '../js/formats/ply-format.js';
+import { sniffLas, decodeLas } from '../js/formats/las-format.js';
+import { decodeXyz } from '../js/formats/xyz-format.js';
+import { srgbToLinear, DEFAULT_GREY } from '../js/formats/format-utils.js';
+
+/** A source serving `bytes` in reads of `size` bytes. */
+function sourceOf(bytes, size = 7) {
+  let offset = Math.min(size, bytes.length);
+  return {
+    prefix: bytes.subarray(0, offset),
+    async read() {
+      if (offset >= bytes.length) return null;
+      const chunk = bytes.subarray(offset, offset + size);
+      offset += size;
+      return chunk;
+    },
+  };
+}
+
+/** Run a decoder and merge what it emits. */
+async function decode(decoder, bytes, options) {
+  const result = { header: null, positions: [], colors: [], intensity: [], classification: [], starts: [] };
+  await decoder(sourceOf(bytes), {
+    begin(header) { result.header = header; },
+    emit(chunk) {
+      if (chunk.count === 0) return;
+      result.starts.push(chunk.start);
+      result.positions.push(...chunk.positions);
+      result.colors.push(...chunk.colors);
+      result.intensity.push(...chunk.intensity);
+      result.classification.push(...chunk.classification);
+    },
+  }, options);
+  return result;
+}
+
+const close = (actual, expected, epsilon = 1e-5) => {
+  assert.equal(actual.length, expected.length);
+  actual.forEach((v, i) => assert.ok(Math.abs(v - expected[i]) <= epsilon, `[${i}] ${v} ≠ ${expected[i]}`));
+};
+
+const ascii = (text) => new TextEncoder().encode(text);
+
+test('binary PLY streams records across reads', async () => {
+  const header = ascii('ply\nformat binary_little_endian 1.0\nelement vertex 3\n' +
+    'property float x\nproperty float y\nproperty float z\n' +
+    'property uchar red\nproperty uchar green\nproperty uchar blue\nend_header\n');
+  const stride = 15;
+  const body = new Uint8Array(3 * stride);
+  const view = new DataView(body.buffer);
+  const points = [[0, 0, 0, 255, 0, 0], [1, 2, 3, 0, 255, 0], [-1.5, 0.5, 4, 0, 0, 255]];
+  points.forEach(([x, y, z, r, g, b], i) => {
+    view.setFloat32(i * stride, x, true);
+    view.setFloat32(i * stride + 4, y, true);
+    view.setFloat32(i * stride + 8, z, true);
+    body.set([r, g, b], i * stride + 12);
+  });
+  const file = new Uint8Array(header.length + body.length);
+  file.set(header);
+  file.set(body, header.length);
+
+  assert.ok(sniffPly(file));
+  const result = await decode(decodePly, file);
+  assert.equal(result.header.format, 'ply/binary_little_endian');
+  assert.equal(result.header.vertexCount, 3);
+  assert.equal(result.header.hasColor, true);
+  assert.equal(result.header.totalBytes, file.length);
+  close(result.positions, points.flatMap(([x, y, z]) => [x, y, z]));
+  close(result.colors, [1, 0, 0, 0, 1, 0, 0, 0, 1]);
+});
+
+test('ASCII PLY without colour falls back to grey', async () => {
+  const file = ascii('ply\nformat ascii 1.0\nelement vertex 2\n' +
+    'property float x\nproperty float y\nproperty float z\nend_header\n' +
+    '0 1 2\n3 4 5\n');
+  const result = await decode(decodePly, file);
+  assert.equal(result.header.format, 'ply/ascii');
+  assert.equal(result.header.hasColor, false);
+  close(result.positions, [0, 1, 2, 3, 4, 5]);
+  close(result.colors, new Array(6).fill(DEFAULT_GREY));
+});
+
+test('PLY stream cut before end_header is rejected', async () => {
+  await assert.rejects(decode(decodePly, ascii('ply\nformat ascii 1.0\nelement vertex 2\n')), /end_header/);
+});
+
+/** Uncompressed LAS 1.2, point format 2 (XYZ, intensity, classification, RGB). */
+function lasFile(points, { scale = 0.01, offset = [1000, 2000, 30] } = {}) {
+  const headerSize = 227;
+  const recordLength = 26;
+  const bytes = new Uint8Array(headerSize + points.length * recordLength);
+  const view = new DataView(bytes.buffer);
+  bytes.set(ascii('LASF'));
+  view.setUint8(24, 1);
+  view.setUint8(25, 2);
+  view.setUint16(94, headerSize, true);
+  view.setUint32(96, headerSize, true);
+  view.setUint8(104, 2);
+  view.setUint16(105, recordLength, true);
+  view.setUint32(107, points.length, true);
+  for (let a = 0; a < 3; a++) {
+    view.setFloat64(131 + a * 8, scale, true);
+    view.setFloat64(155 + a * 8, offset[a], true);
+    view.setFloat64(179 + a * 16, Math.max(...points.map((p) => p.xyz[a])), true); // max
+    view.setFloat64(187 + a * 16, Math.min(...points.map((p) => p.xyz[a])), true); // min
+  }
+  points.forEach(({ xyz, intensity, classification, rgb }, i) => {
+    const base = headerSize + i * recordLength;
+    xyz.forEach((v, a) => view.setInt32(base + a * 4, Math.round((v - offset[a]) / scale), true));
+    view.setUint16(base + 12, intensity, true);
+    view.setUint8(base + 15, classification);
+    rgb.forEach((c, k) => view.setUint16(base + 20 + k * 2, c, true));
+  });
+  return bytes;
+}
+
+test('LAS re-bases to the minimum corner and converts Z-up to Y-up', async () => {
+  const file = lasFile([
+    { xyz: [1000.5, 2000.25, 30], intensity: 65535, classification: 2, rgb: [65535, 0, 0] },
+    { xyz: [1001.5, 2001.25, 32], intensity: 0, classification: 5, rgb: [0, 0, 65535] },
+  ]);
+  assert.ok(sniffLas(file));
+  const result = await decode(decodeLas, file);
+  assert.equal(result.header.format, 'las');
+  assert.equal(result.header.vertexCount, 2);
+  close(result.header.origin, [1000.5, 2000.25, 30]);
+  // (x, y, z) → (x, z, -y), relative to the minimum corner
+  close(result.positions, [0, 0, 0, 1, 2, -1], 1e-4);
+  close(result.colors, [1, 0, 0, 0, 0, 1]);
+  close(result.intensity, [1, 0]);
+  close(result.classification, [2, 5]);
+  assert.deepEqual(result.starts, [...result.starts].sort((a, b) => a - b));
+});
+
+test('LAS keeps Y-up scans as they are', async () => {
+  const file = lasFile([
+    { xyz: [1000, 2000, 30], intensity: 10, classification: 1, rgb: [255, 128, 0] },
+    { xyz: [1001, 2002, 33], intensity: 20, classification: 1, rgb: [0, 0, 0] },
+  ]);
+  const result = await decode(decodeLas, file, { upAxis: 'y' });
+  close(result.positions, [0, 0, 0, 1, 2, 3], 1e-4);
+  // 8-bit values in the 16-bit fields are detected from the first batch
+  close(result.colors.slice(0, 3), [1, srgbToLinear(128 / 255), 0]);
+});
+
+test('XYZ with a column header and 0–255 colours', async () => {
+  const file = ascii('//X,Y,Z,R,G,B\n10.5,20.5,1,255,0,0\n11.5,20.5,3,0,255,0\n');
+  const result = await decode(decodeXyz, file, { upAxis: 'y' });
+  assert.equal(result.header.format, 'xyz');
+  assert.equal(result.header.vertexCount, 2);
+  assert.equal(result.header.hasColor, true);
+  close(result.header.origin, [10, 20, 1]);
+  close(result.positions, [0.5, 0.5, 0, 1.5, 0.5, 2]);
+  close(result.colors, [1, 0, 0, 0, 1, 0]);
+});
+
+test('XYZ comment lines are skipped, not read as a header', async () => {
+  const file = ascii('# exported 2026-02-28\n// scan 3, north face\n//X,Y,Z,R,G,B\n# rows follow\n1,2,3,255,0,0\n2,2,3,0,0,255\n');
+  const result = await decode(decodeXyz, file, { upAxis: 'y' });
+  assert.equal(result.header.vertexCount, 2);
+  assert.equal(result.header.hasColor, true);
+  close(result.positions, [0, 0, 0, 1, 0, 0]);
+  close(result.colors, [1, 0, 0, 0, 0, 1]);
+});
+
+test('XYZ comments alone leave the column layout to the field count', async () => {
+  const file = ascii('// survey export\n# units: metres\n0 0 0 255 255 255\n1 2 3 0 0 0\n');
+  const result = await decode(decodeXyz, file, { upAxis: 'y' });
+  assert.equal(result.header.hasColor, true);
+  close(result.positions, [0, 0, 0, 1, 2, 3]);
+});
+
+test('PTS count line and signed intensity', async () => {
+  const file = ascii('2\n0 0 0 -2048 0 0 0\n1 2 3 2047 255 255 255\n');
+  const result = await decode(decodeXyz, file);
+  assert.equal(result.header.hasIntensity, true);
+  // Z-up by default
+  close(result.positions, [0, 0, 0, 1, 3, -2]);
+  close(result.intensity, [0, 1]);
+});
+
+test('text without x/y/z columns is rejected', async () => {
+  await assert.rejects(decode(decodeXyz, ascii('a,b,c\n1,2,3\n')), /x\/y\/z/);
+});
+
+test('vendored laz-perf instantiates and exposes the API decodeLaz uses', async () => {
+  // The vendored file is the worker build: give it the worker globals it probes for
+  globalThis.self ??= { location: { href: import.meta.url } };
+  globalThis.importScripts ??= () => {};
+  const { default: createLazPerf } = await import('../lib/laz-perf/laz-perf.js');
+  const wasmBinary = await readFile(new URL('../lib/laz-perf/laz-perf.wasm', import.meta.url));
+  const LazPerf = await createLazPerf({ wasmBinary });
+
+  const laszip = new LazPerf.LASZip();
+  for (const method of ['open', 'getPoint', 'getCount', 'getPointLength']) {
+    assert.equal(typeof laszip[method], 'function', method);
+  }
+  laszip.delete();
+
+  const ptr = LazPerf._malloc(16);
+  LazPerf.HEAPU8.set([1, 2, 3], ptr);
+  assert.deepEqual([...LazPerf.HEAPU8.subarray(ptr, ptr + 3)], [1, 2, 3]);
+  LazPerf._free(ptr);
+});
@@ -0,0 +1,191 @@
+// hpc-format.test.mjs — .hpc encode → decode round trip, directly and through
+// scripts/convert-point-cloud.mjs
+// HIDDEN Exhibition · AR Point Cloud Experience
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { promisify } from 'node:util';
+
+import { sniffHpc, encodeHpc, decodeHpc } from '../js/formats/hpc-format.js';
+import { buildOctree, reorderAttribute } from '../js/octree-builder.js';
+import { createRoleAssigner, countFireflies, FIREFLY_ROLE } from '../js/particle-roles.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+/** Deterministic pseudo-random points in a 2 × 3 × 1.5 box off the origin. */
+function samplePoints(count) {
+  let seed = 7;
+  const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+  const positions = new Float32Array(count * 3);
+  const colors = new Float32Array(count * 3);
+  for (let i = 0; i < count; i++) {
+    positions.set([10 + random() * 2, -1 + random() * 3, 5 + random() * 1.5], i * 3);
+    colors.set([random(), random(), random()], i * 3);
+  }
+  return { positions, colors };
+}
+
+function boundsOf(positions) {
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  for (let i = 0; i < positions.length; i++) {
+    min[i % 3] = Math.min(min[i % 3], positions[i]);
+    max[i % 3] = Math.max(max[i % 3], positions[i]);
+  }
+  return { min, max };
+}
+
+/** Decode .hpc bytes, served in small reads, into one set of arrays. */
+async function decode(bytes, readSize = 1000) {
+  let offset = readSize;
+  const source = {
+    prefix: bytes.subarray(0, readSize),
+    async read() {
+      if (offset >= bytes.length) return null;
+      const chunk = bytes.subarray(offset, offset + readSize);
+      offset += readSize;
+      return chunk;
+    },
+  };
+  let header = null;
+  const chunks = [];
+  await decodeHpc(source, { begin(h) { header = h; }, emit(chunk) { chunks.push(chunk); } });
+  const join = (key, itemSize) => {
+    const out = new Float32Array(header.vertexCount * itemSize);
+    for (const chunk of chunks) out.set(chunk[key], chunk.start * itemSize);
+    return out;
+  };
+  return {
+    header,
+    chunks: chunks.length,
+    positions: join('positions', 3),
+    colors: join('colors', 3),
+    intensity: join('intensity', 1),
+    classification: join('classification', 1),
+    roles: join('roles', 1),
+  };
+}
+
+/** Half a quantisation step per axis, plus float32 rounding. */
+const quantisationError = ({ min, max }) => [0, 1, 2].map((a) => (max[a] - min[a]) / 65535 / 2 + 1e-5);
+
+test('encode → decode keeps bounds, roles and octree order, positions within a quantisation step', async () => {
+  const count = 6000;
+  const { positions, colors } = samplePoints(count);
+  const intensity = new Float32Array(count).map((_, i) => (i % 256) / 255);
+  const classification = new Float32Array(count).map((_, i) => i % 7);
+  const roles = createRoleAssigner().assign({ count, positions });
+  const bounds = boundsOf(positions);
+  const { order, nodes, fireflies } = buildOctree(positions, roles, bounds, { leafSize: 500 });
+  assert.ok(nodes.length > 1, 'the sample should split into several nodes');
+
+  const ordered = {
+    positions: reorderAttribute(positions, 3, order),
+    colors: reorderAttribute(colors, 3, order),
+    intensity: reorderAttribute(intensity, 1, order),
+    classification: reorderAttribute(classification, 1, order),
+    roles: reorderAttribute(roles, 1, order),
+  };
+  const bytes = encodeHpc({
+    ...ordered,
+    bounds,
+    nodes,
+    fireflies,
+    meta: { hasColor: true, hasIntensity: true, hasClassification: true, origin: [100, 200, 0], source: 'sample.ply' },
+  });
+  assert.ok(sniffHpc(bytes));
+
+  const result = await decode(bytes);
+  assert.ok(result.chunks > 1, 'the body should stream in several chunks');
+  assert.equal(result.header.vertexCount, count);
+  assert.equal(result.header.totalBytes, bytes.length);
+  assert.deepEqual(result.header.origin, [100, 200, 0]);
+  assert.deepEqual(result.header.octree, { nodes, fireflies });
+
+  const error = quantisationError(bounds);
+  for (let i = 0; i < count * 3; i++) {
+    assert.ok(Math.abs(result.positions[i] - ordered.positions[i]) <= error[i % 3], `position ${i}`);
+  }
+  const decodedBounds = boundsOf(result.positions);
+  for (let a = 0; a < 3; a++) {
+    assert.ok(Math.abs(decodedBounds.min[a] - bounds.min[a]) <= error[a]);
+    assert.ok(Math.abs(decodedBounds.max[a] - bounds.max[a]) <= error[a]);
+  }
+
+  assert.deepEqual([...result.roles], [...ordered.roles]);
+  assert.deepEqual([...result.classification], [...ordered.classification]);
+  for (let i = 0; i < count; i++) assert.ok(Math.abs(result.intensity[i] - ordered.intensity[i]) <= 0.5 / 255 + 1e-6);
+  // 8-bit sRGB: the worst case is the darkest step of the curve
+  for (let i = 0; i < count * 3; i++) assert.ok(Math.abs(result.colors[i] - ordered.colors[i]) <= 0.01, `colour ${i}`);
+
+  // Octree order: each node's points inside its cube, fireflies in their own block
+  for (const node of nodes) {
+    const half = node.radius / Math.sqrt(3) + error[0] + error[1] + error[2];
+    for (let i = node.offset; i < node.offset + node.count; i++) {
+      assert.notEqual(result.roles[i], FIREFLY_ROLE);
+      for (let a = 0; a < 3; a++) assert.ok(Math.abs(result.positions[i * 3 + a] - node.center[a]) <= half);
+    }
+  }
+  assert.equal(fireflies.offset + fireflies.count, count);
+  for (let i = fireflies.offset; i < count; i++) assert.equal(result.roles[i], FIREFLY_ROLE);
+});
+
+test('an unknown version is rejected', async () => {
+  const bytes = encodeHpc({
+    positions: new Float32Array(3), colors: new Float32Array(3), intensity: new Float32Array(1),
+    classification: new Float32Array(1), roles: new Float32Array(1),
+    bounds: { min: [0, 0, 0], max: [1, 1, 1] }, nodes: [], fireflies: { offset: 1, count: 0 },
+    meta: { hasColor: true, hasIntensity: false, hasClassification: false },
+  });
+  const json = new TextDecoder().decode(bytes.subarray(8, 8 + new DataView(bytes.buffer).getUint32(4, true)));
+  bytes.set(new TextEncoder().encode(json.replace('"version":1', '"version":9')), 8);
+  await assert.rejects(decode(bytes), /Unsupported HPC version 9/);
+});
+
+test('convert-point-cloud.mjs writes an .hpc that decodes to the same points', async (t) => {
+  const dir = await mkdtemp(path.join(tmpdir(), 'hpc-'));
+  t.after(() => rm(dir, { recursive: true, force: true }));
+
+  const count = 300;
+  const { positions } = samplePoints(count);
+  const header = 'ply\nformat binary_little_endian 1.0\n' +
+    `element vertex ${count}\nproperty float x\nproperty float y\nproperty float z\n` +
+    'property uchar red\nproperty uchar green\nproperty uchar blue\nend_header\n';
+  const headerBytes = new TextEncoder().encode(header);
+  const file = new Uint8Array(headerBytes.length + count * 15);
+  file.set(headerBytes);
+  const view = new DataView(file.buffer);
+  for (let i = 0; i < count; i++) {
+    const base = headerBytes.length + i * 15;
+    for (let a = 0; a < 3; a++) view.setFloat32(base + a * 4, positions[i * 3 + a], true);
+    file.set([i % 256, 128, 255], base + 12);
+  }
+  const ply = path.join(dir, 'sample.ply');
+  await writeFile(ply, file);
+
+  await promisify(execFile)(process.execPath, [path.join(ROOT, 'scripts/convert-point-cloud.mjs'), ply]);
+  const result = await decode(new Uint8Array(await readFile(path.join(dir, 'sample.hpc'))));
+
+  assert.equal(result.header.vertexCount, count);
+  assert.equal(result.header.hasColor, true);
+  // Default role rules, seeded, applied in file order — the same firefly count as the worker's
+  assert.equal(countFireflies(result.roles), countFireflies(createRoleAssigner().assign({ count, positions })));
+
+  // Reordered, so match each decoded point to its nearest original
+  const error = quantisationError(boundsOf(positions));
+  const used = new Uint8Array(count);
+  for (let i = 0; i < count; i++) {
+    let best = -1;
+    for (let j = 0; j < count; j++) {
+      if (used[j]) continue;
+      if ([0, 1, 2].every((a) => Math.abs(result.positions[i * 3 + a] - positions[j * 3 + a]) <= error[a])) { best = j; break; }
+    }
+    assert.notEqual(best, -1, `decoded point ${i} matches no original`);
+    used[best] = 1;
+  }
+});
@@ -0,0 +1,61 @@
+// particle-roles.test.mjs — Role rules and shader define resolution
+// HIDDEN Exhibition · AR Point Cloud Experience
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { PARTICLE_ROLES, createRoleAssigner, roleScalarProperties, countFireflies } from '../js/particle-roles.js';
+import { SHADER_DEFINES, resolveDefines } from '../js/shader-library.js';
+
+const chunk = (points, extra = {}) => ({ count: points.length, positions: new Float32Array(points.flat()), ...extra });
+
+test('height and axis-distance rules, then the fallback', () => {
+  const assigner = createRoleAssigner({
+    rules: [
+      { role: 'litter', height: [null, 0], axisDistance: [0.5, null] },
+      { role: 'trunk', height: [null, 1], axisDistance: [0, 0.2] },
+    ],
+    fallback: 'canopy',
+  });
+  const roles = assigner.assign(chunk([[1, -0.1, 0], [0.1, 0.5, 0], [0.1, 2, 0], [0, -0.1, 0]]));
+  assert.deepEqual([...roles], [PARTICLE_ROLES.litter, PARTICLE_ROLES.trunk, PARTICLE_ROLES.canopy, PARTICLE_ROLES.trunk]);
+});
+
+test('property rules read intensity, classification and PLY scalars', () => {
+  const config = {
+    rules: [
+      { role: 'litter', property: 'classification', equals: [2, 3] },
+      { role: 'firefly', property: 'intensity', range: [0.9, 1] },
+      { role: 'trunk', property: 'scalar_Label', equals: 7 },
+    ],
+    fallback: 'canopy',
+  };
+  assert.deepEqual(roleScalarProperties(config), ['scalar_Label']);
+  const roles = createRoleAssigner(config).assign(chunk([[0, 0, 0], [0, 0, 0], [0, 0, 0], [0, 0, 0]], {
+    classification: new Float32Array([3, 0, 0, 0]),
+    intensity: new Float32Array([0, 0.95, 0, 0]),
+    scalars: { scalar_Label: new Float32Array([0, 0, 7, 0]) },
+  }));
+  assert.deepEqual([...roles], [PARTICLE_ROLES.litter, PARTICLE_ROLES.firefly, PARTICLE_ROLES.trunk, PARTICLE_ROLES.canopy]);
+});
+
+test('ratio rules are seeded and carry their sequence across chunks', () => {
+  const config = { seed: 42, rules: [{ role: 'firefly', ratio: 0.3 }], fallback: 'canopy' };
+  const points = Array.from({ length: 2000 }, () => [0, 0, 0]);
+  const whole = createRoleAssigner(config).assign(chunk(points));
+  const split = createRoleAssigner(config);
+  const parts = [...split.assign(chunk(points.slice(0, 700))), ...split.assign(chunk(points.slice(700)))];
+  assert.deepEqual(parts, [...whole]);
+  const share = countFireflies(whole) / points.length;
+  assert.ok(share > 0.25 && share < 0.35, `firefly share ${share}`);
+});
+
+test('unknown roles are rejected', () => {
+  assert.throws(() => createRoleAssigner({ rules: [{ role: 'moss' }] }), /Unknown particle role/);
+});
+
+test('resolveDefines merges flags and switches them off', () => {
+  assert.deepEqual(resolveDefines(), Object.fromEntries(Object.keys(SHADER_DEFINES).map((k) => [k, ''])));
+  assert.deepEqual(resolveDefines({ AUDIO_REACTIVE: false, DISABLE_GLOW: true, HAND_COUNT: 12 }), { DISABLE_GLOW: '', HAND_COUNT: 12 });
+  assert.deepEqual(resolveDefines({ AUDIO_REACTIVE: null }), {});
+});
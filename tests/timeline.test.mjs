@@ -0,0 +1,72 @@
+// timeline.test.mjs — Tweens, keyframes, sequences and loops, stepped by hand
+// HIDDEN Exhibition · AR Point Cloud Experience
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { tween, keyframes, sequence, parallel, loop, play, stop, update, isPlaying } from '../systems/timelineSystem.js';
+
+const target = (value) => ({ value });
+
+/** Sample a playback at the given seconds (the first call starts it). */
+function stepTo(...seconds) {
+  return seconds.map((s) => update(1000 + s * 1000));
+}
+
+test('tween eases from its start value and resolves true', async () => {
+  const t = target(0);
+  const { finished } = play(tween(t, { to: 10, duration: 2 }));
+  stepTo(0, 1);
+  assert.equal(t.value, 5);
+  stepTo(2);
+  assert.equal(t.value, 10);
+  assert.equal(await finished, true);
+});
+
+test('a tween without `from` starts from the value when it starts', () => {
+  const t = target(4);
+  play(tween(t, { to: 8, duration: 1 }), { id: 'late' });
+  t.value = 6; // changed before the first sample
+  stepTo(0, 0.5);
+  assert.equal(t.value, 7);
+  stop('late');
+});
+
+test('a looped tween without `from` replays from the first pass start', () => {
+  const t = target(0);
+  play(loop(tween(t, { to: 1, duration: 1 }), 3), { id: 'loop' });
+  const values = [0, 0.5, 1.25, 2.5].map((s) => { stepTo(s); return t.value; });
+  assert.deepEqual(values, [0, 0.5, 0.25, 0.5]);
+  stop('loop');
+});
+
+test('sequence, parallel and keyframes compose', () => {
+  const a = target(0);
+  const b = target([0, 0]);
+  const c = target(0);
+  play(parallel(
+    sequence(tween(a, { from: 0, to: 1, duration: 1 }), tween(a, { to: 3, duration: 1 })),
+    tween(b, { to: [2, 4], duration: 2 }),
+    keyframes(c, [{ time: 0, value: 0 }, { time: 1, value: 10 }, { time: 2, value: 0 }]),
+  ), { id: 'compose' });
+  stepTo(0, 1.5);
+  assert.equal(a.value, 2);
+  assert.deepEqual(b.value, [1.5, 3]);
+  assert.equal(c.value, 5);
+  stepTo(2);
+  assert.equal(isPlaying('compose'), false);
+  assert.equal(a.value, 3);
+});
+
+test('playing the same id replaces the running playback', async () => {
+  const t = target(0);
+  const first = play(tween(t, { to: 1, duration: 1 }), { id: 'fade' });
+  play(tween(t, { to: -1, duration: 1 }), { id: 'fade' });
+  assert.equal(await first.finished, false);
+  stop('fade');
+});
+
+test('unknown targets and easings throw', () => {
+  assert.throws(() => tween('noSuchUniform', { to: 1, duration: 1 }), /Unknown tween target/);
+  assert.throws(() => tween(target(0), { to: 1, duration: 1, easing: 'bounce' }), /Unknown easing/);
+});
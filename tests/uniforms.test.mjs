@@ -0,0 +1,116 @@
+// uniforms.test.mjs — Registry validation, in-place writes and presets
+// HIDDEN Exhibition · AR Point Cloud Experience
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+
+import { uniforms, uniformSchema, validateUniformValue, defaultUniformValue } from '../uniformsRegistry.js';
+import { UNIFORM_PRESETS, hasPreset, resolvePreset, importPreset, exportPreset, applyPreset } from '../js/uniform-presets.js';
+
+test('floats are clamped to the schema range', () => {
+  assert.equal(validateUniformValue('pointSize', 1), uniformSchema.pointSize.max);
+  assert.equal(validateUniformValue('pointSize', 0), uniformSchema.pointSize.min);
+  assert.equal(validateUniformValue('pointSize', 0.05), 0.05);
+});
+
+test('values of the wrong type or shape are rejected', () => {
+  assert.throws(() => validateUniformValue('pointSize', '0.05'), TypeError);
+  assert.throws(() => validateUniformValue('pointSize', NaN), TypeError);
+  assert.throws(() => validateUniformValue('roleGlow', [1, 1, 1]), TypeError);
+  assert.throws(() => validateUniformValue('xrLightColor', [1, 1]), TypeError);
+  assert.throws(() => validateUniformValue('depthUvTransform', new Array(15).fill(0)), TypeError);
+  assert.throws(() => validateUniformValue('handPoints', [[0, 0, 0]]), TypeError);
+  assert.throws(() => validateUniformValue('flockTex', {}), TypeError);
+});
+
+test('unknown names are rejected, including inherited ones', () => {
+  assert.throws(() => validateUniformValue('nope', 1), /Unknown uniform/);
+  assert.throws(() => validateUniformValue('toString', 1), /Unknown uniform/);
+  assert.throws(() => validateUniformValue('__proto__', 1), /Unknown uniform/);
+});
+
+test('validation returns fresh values and leaves the input alone', () => {
+  const input = [5, -1, 1, 1];
+  const glow = validateUniformValue('roleGlow', input);
+  assert.deepEqual(glow, [3, 0, 1, 1]);
+  assert.notEqual(glow, input);
+  assert.deepEqual(input, [5, -1, 1, 1]);
+
+  const colour = new THREE.Color(0.2, 0.4, 0.6);
+  const copy = validateUniformValue('xrLightColor', colour);
+  assert.ok(copy.isColor && copy !== colour && copy.equals(colour));
+  assert.ok(validateUniformValue('xrLightColor', [0.2, 0.4, 0.6]).isColor);
+  assert.ok(defaultUniformValue('depthUvTransform').equals(new THREE.Matrix4()));
+});
+
+test('uniform writes copy into the existing value', () => {
+  const points = uniforms.handPoints.value;
+  const first = points[0];
+  uniforms.handPoints.value = points.map((_, i) => [i, 0, 0, 1]);
+  assert.equal(uniforms.handPoints.value, points);
+  assert.equal(uniforms.handPoints.value[0], first);
+  assert.equal(points[3].x, 3);
+
+  const matrix = uniforms.depthUvTransform.value;
+  uniforms.depthUvTransform.value = new THREE.Matrix4().makeTranslation(1, 2, 3);
+  assert.equal(uniforms.depthUvTransform.value, matrix);
+  assert.equal(matrix.elements[12], 1);
+
+  const glow = uniforms.roleGlow.value;
+  uniforms.roleGlow.value = [9, 0.5, 0.5, 0.5];
+  assert.equal(uniforms.roleGlow.value, glow);
+  assert.deepEqual(glow, [3, 0.5, 0.5, 0.5]);
+
+  const colour = uniforms.xrLightColor.value;
+  uniforms.xrLightColor.value = [0, 0.5, 1];
+  assert.equal(uniforms.xrLightColor.value, colour);
+  assert.deepEqual(colour.toArray(), [0, 0.5, 1]);
+});
+
+test('invalid writes are ignored, not thrown', (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const glow = [...uniforms.roleGlow.value];
+  uniforms.roleGlow.value = [1, 2];
+  assert.deepEqual(uniforms.roleGlow.value, glow);
+  uniforms.noiseAmp.value = 0.02;
+  uniforms.noiseAmp.value = 'loud';
+  assert.equal(uniforms.noiseAmp.value, 0.02);
+});
+
+test('presets resolve to every tunable uniform, defaults filled in', () => {
+  const calm = resolvePreset('calm');
+  assert.equal(calm.noiseAmp, UNIFORM_PRESETS.calm.noiseAmp);
+  assert.equal(calm.pointSize, uniformSchema.pointSize.default);
+  for (const [name, spec] of Object.entries(uniformSchema)) {
+    assert.equal(Object.hasOwn(calm, name), !spec.runtime, name);
+  }
+});
+
+test('only registered presets are found by name', () => {
+  assert.ok(hasPreset('calm'));
+  assert.ok(!hasPreset('toString'));
+  assert.ok(!hasPreset('__proto__'));
+  assert.throws(() => resolvePreset('toString'), /Unknown uniform preset/);
+});
+
+test('imported presets round-trip and cannot replace built-ins', (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const json = exportPreset('evening', { noiseAmp: 0.05, time: 3, glowIntensity: 2 });
+  const imported = importPreset(json);
+  assert.equal(imported.name, 'evening');
+  assert.deepEqual(imported.uniforms, { noiseAmp: 0.05, glowIntensity: 2 }); // runtime `time` dropped
+  assert.ok(hasPreset('evening'));
+
+  for (const name of ['calm', 'rehearsal', '__proto__', 'constructor', 'toString']) {
+    assert.throws(() => importPreset({ name, uniforms: {} }), /reserved/, name);
+  }
+  assert.equal(Object.getPrototypeOf(UNIFORM_PRESETS), Object.prototype);
+  assert.throws(() => importPreset({ name: 'bad', uniforms: { noiseAmp: 'x' } }), TypeError);
+});
+
+test('a blended preset applies at once while no frame loop is running', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  await applyPreset('opening night', { duration: 2 });
+  assert.equal(uniforms.noiseAmp.value, UNIFORM_PRESETS['opening night'].noiseAmp);
+});
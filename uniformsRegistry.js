@@ -1,34 +1,201 @@
 import * as THREE from 'three';
 
-export const uniforms = {
+// particleRole order (PARTICLE_ROLES in js/particle-roles.js)
+const ROLE_LABELS = ['trunk', 'firefly', 'canopy', 'litter'];
+
+// Every shader uniform, with its type, default, range and tuning group.
+//
+//   type     'float' | 'float[]' (fixed length = default's) | 'vec4[]' | 'mat4' | 'color' | 'texture'
+//   min/max  values are clamped into range (per element for arrays)
+//   group    core | noise | glow | firefly | trails | dissolve | audio | hands | occlusion | lighting
+//   runtime  driven by code every frame — left out of presets and exports
+//   labels   optional per-element names for arrays (tuning panel)
+export const uniformSchema = {
   // Core — updated every frame
-  time:            { value: 0 },
-  pointSize:       { value: 0.03 },
+  time:            { type: 'float', default: 0,    min: 0,                group: 'core', runtime: true },
+  pointSize:       { type: 'float', default: 0.03, min: 0.005, max: 0.2,  group: 'core' },
 
   // Noise displacement (tree body)
-  noiseScale:      { value: 2.0 },
-  noiseAmp:        { value: 0.03 },
+  noiseScale:      { type: 'float', default: 2.0,  min: 0.1, max: 10,     group: 'noise' },
+  noiseAmp:        { type: 'float', default: 0.03, min: 0,   max: 0.3,    group: 'noise' },
+
+  // Per-role motion / glow, indexed by particleRole (see js/particle-roles.js)
+  //                                  trunk firefly canopy litter
+  roleNoise:       { type: 'float[]', default: [0.0, 1.0, 1.0,  0.25], min: 0,   max: 3,   group: 'noise', labels: ROLE_LABELS }, // × noise displacement (fireflies drift instead)
+  roleSway:        { type: 'float[]', default: [0.0, 0.0, 0.035, 0.0], min: 0,   max: 0.3, group: 'noise', labels: ROLE_LABELS }, // wind sway amplitude
+  roleGlow:        { type: 'float[]', default: [0.6, 1.0, 1.0,  0.5],  min: 0,   max: 3,   group: 'glow',  labels: ROLE_LABELS }, // × fragment glow
+  roleSize:        { type: 'float[]', default: [1.0, 1.6, 1.0,  0.9],  min: 0.1, max: 4,   group: 'core',  labels: ROLE_LABELS }, // × pointSize
+  swaySpeed:       { type: 'float', default: 0.6,  min: 0,   max: 5,      group: 'noise' },
 
   // Glow (fragment shader)
-  glowIntensity:   { value: 1.0 },
-  glowRadius:      { value: 0.55 },
+  glowIntensity:   { type: 'float', default: 1.0,  min: 0,    max: 5,     group: 'glow' },
+  glowRadius:      { type: 'float', default: 0.55, min: 0.05, max: 1,     group: 'glow' },
 
   // Firefly drift / flocking (vertex shader)
-  flockSpeed:      { value: 0.001 },
-  flockSpread:     { value: 8.0 },
-  driftSpeed:      { value: 0.03 },
-  driftHeight:     { value: 2.5 },
+  flockSpeed:      { type: 'float', default: 0.001, min: 0,   max: 0.05,  group: 'firefly' },
+  flockSpread:     { type: 'float', default: 8.0,   min: 0,   max: 20,    group: 'firefly' },
+  driftSpeed:      { type: 'float', default: 0.03,  min: 0,   max: 0.5,   group: 'firefly' },
+  driftHeight:     { type: 'float', default: 2.5,   min: 0.1, max: 10,    group: 'firefly' },
+
+  // Firefly boids (systems/flockingSystem.js). Weights act in units of the firefly
+  // region's radius, so they hold for any scan size; boidClump is in model units.
+  boidSeparation:  { type: 'float', default: 1.5,  min: 0,     max: 5,    group: 'firefly' },
+  boidAlignment:   { type: 'float', default: 0.8,  min: 0,     max: 5,    group: 'firefly' },
+  boidCohesion:    { type: 'float', default: 0.35, min: 0,     max: 5,    group: 'firefly' },
+  boidHoming:      { type: 'float', default: 0.25, min: 0,     max: 5,    group: 'firefly' }, // pull back to the boid's home
+  boidRadius:      { type: 'float', default: 0.15, min: 0.02,  max: 0.6,  group: 'firefly' }, // neighbourhood
+  boidMaxSpeed:    { type: 'float', default: 0.08, min: 0.005, max: 0.5,  group: 'firefly' },
+  boidClump:       { type: 'float', default: 0.06, min: 0,     max: 0.5,  group: 'firefly' }, // fireflies' spread around their boid
+  flockTex:        { type: 'texture', default: null,                      group: 'firefly', runtime: true }, // boid positions, per cloud
+
+  // Firefly trails (systems/trailSystem.js)
+  trailLength:     { type: 'float', default: 1.0,  min: 0.1, max: 4,      group: 'trails' }, // s until a close trail fades to 5 %
+  trailDecay:      { type: 'float', default: 0.5,  min: 0,   max: 1,      group: 'trails' }, // extra fading with distance (1 = 4× faster far away)
+
+  // Idle dissolution (systems/dissolveSystem.js drives `dissolve` 0 → 1 and back)
+  dissolve:        { type: 'float', default: 0.0,  min: 0, max: 1,        group: 'dissolve', runtime: true },
+  dissolveSpread:  { type: 'float', default: 1.2,  min: 0, max: 6,        group: 'dissolve' }, // scatter distance at full dissolve
+  dissolveGravity: { type: 'float', default: 1.5,  min: 0, max: 6,        group: 'dissolve' }, // downward fall at full dissolve
+  dissolveFade:    { type: 'float', default: 0.85, min: 0, max: 1,        group: 'dissolve' }, // alpha lost at full dissolve
+
+  // Audio reactivity (systems/audioSystem.js — microphone, gain-adapted, smoothed)
+  audioAmp:        { type: 'float', default: 0.0,  min: 0, max: 2,        group: 'audio', runtime: true }, // RMS amplitude
+  audioLow:        { type: 'float', default: 0.0,  min: 0, max: 1,        group: 'audio', runtime: true }, // 20–250 Hz energy
+  audioMid:        { type: 'float', default: 0.0,  min: 0, max: 1,        group: 'audio', runtime: true }, // 250 Hz–2 kHz
+  audioHigh:       { type: 'float', default: 0.0,  min: 0, max: 1,        group: 'audio', runtime: true }, // 2–8 kHz
+  audioFlux:       { type: 'float', default: 0.0,  min: 0, max: 1,        group: 'audio', runtime: true }, // spectral variability
+
+  // Visitors' hands (systems/handTracker.js) — points part around each landmark and glow
+  handPoints:      { type: 'vec4[]', default: Array.from({ length: 12 }, () => [0, 0, 0, 0]), group: 'hands', runtime: true }, // xyz world position (m), w presence 0–1
+  handRadius:      { type: 'float', default: 0.12, min: 0.02, max: 0.5,   group: 'hands' }, // m — reach of one landmark
+  handRepel:       { type: 'float', default: 0.05, min: 0,    max: 0.3,   group: 'hands' }, // m — how far points part at the centre
+  handGlow:        { type: 'float', default: 1.5,  min: 0,    max: 5,     group: 'hands' }, // × colour added near a hand
 
-  // Audio reactivity (Phase 6+)
-  audioAmp:        { value: 0.0 },
+  // Real-world occlusion (systems/depthOcclusion.js — WebXR depth sensing); points behind the room fade
+  depthMap:        { type: 'texture', default: null,                      group: 'occlusion', runtime: true }, // the room's depth, per frame
+  depthUvTransform:{ type: 'mat4', default: [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1], group: 'occlusion', runtime: true }, // normalised view → depth map coordinates (column-major)
+  depthRawToMeters:{ type: 'float', default: 0.0,  min: 0,                group: 'occlusion', runtime: true }, // raw depth → m; 0 while there is no depth
+  depthSoftness:   { type: 'float', default: 0.15, min: 0.01, max: 1,    group: 'occlusion' }, // m — fade width around the real surface
 
   // WebXR light estimation (updated per XR frame when available)
-  xrLightColor:    { value: new THREE.Color(1.0, 1.0, 1.0) },
-  xrLightIntensity:{ value: 1.0 },
+  xrLightColor:    { type: 'color', default: [1.0, 1.0, 1.0],            group: 'lighting', runtime: true },
+  xrLightIntensity:{ type: 'float', default: 1.0,  min: 0, max: 4,        group: 'lighting', runtime: true },
 
   // Opacity for fade-in animation
-  uOpacity:        { value: 1.0 },
+  uOpacity:        { type: 'float', default: 1.0,  min: 0, max: 1,        group: 'core', runtime: true },
 
   // TODO: test AdditiveBlending vs NormalBlending once shaders are visually verified
   // Change blending mode in point-cloud-loader.js ShaderMaterial creation
 };
+
+/**
+ * Check a value against a uniform's schema and return it normalised: numbers
+ * clamped, arrays copied and clamped, vectors, matrices and colours as new THREE objects,
+ * textures as-is.
+ * @param {string} name
+ * @param {*} value — colours may be a THREE.Color or [r, g, b]; vec4[] entries a THREE.Vector4 or [x, y, z, w];
+ *   mat4 a THREE.Matrix4 or 16 numbers, column-major
+ * @returns {number|number[]|THREE.Vector4[]|THREE.Matrix4|THREE.Color}
+ * @throws {TypeError} for an unknown uniform or a value of the wrong type
+ */
+export function validateUniformValue(name, value) {
+  return writeUniformValue(name, null, value);
+}
+
+/**
+ * validateUniformValue(), writing arrays, vectors, matrices and colours into
+ * `target` instead of allocating — the uniforms' setters run every frame.
+ * @param {string} name
+ * @param {*} target — the current value to overwrite, or null for a fresh one
+ * @param {*} value
+ * @throws {TypeError} for an unknown uniform or a value of the wrong type; `target` is left untouched
+ */
+function writeUniformValue(name, target, value) {
+  const spec = Object.hasOwn(uniformSchema, name) ? uniformSchema[name] : null;
+  if (!spec) throw new TypeError(`Unknown uniform "${name}"`);
+
+  const clamp = (v) => Math.min(spec.max ?? Infinity, Math.max(spec.min ?? -Infinity, v));
+  const isNumber = (v) => typeof v === 'number' && Number.isFinite(v);
+
+  switch (spec.type) {
+    case 'float':
+      if (!isNumber(value)) throw new TypeError(`Uniform "${name}" expects a finite number, got ${JSON.stringify(value)}`);
+      return clamp(value);
+    case 'float[]': {
+      const length = spec.default.length;
+      if (!Array.isArray(value) || value.length !== length || !value.every(isNumber)) {
+        throw new TypeError(`Uniform "${name}" expects ${length} finite numbers, got ${JSON.stringify(value)}`);
+      }
+      const out = target ?? new Array(length);
+      for (let i = 0; i < length; i++) out[i] = clamp(value[i]);
+      return out;
+    }
+    case 'vec4[]': {
+      const length = spec.default.length;
+      const isVec4 = (v) => v?.isVector4 || (Array.isArray(v) && v.length === 4 && v.every(isNumber));
+      if (!Array.isArray(value) || value.length !== length || !value.every(isVec4)) {
+        throw new TypeError(`Uniform "${name}" expects ${length} THREE.Vector4 or [x, y, z, w] entries, got ${JSON.stringify(value)}`);
+      }
+      const out = target ?? Array.from({ length }, () => new THREE.Vector4());
+      value.forEach((v, i) => (v.isVector4 ? out[i].copy(v) : out[i].fromArray(v)));
+      return out;
+    }
+    case 'mat4': {
+      const isArray = Array.isArray(value) && value.length === 16 && value.every(isNumber);
+      if (!value?.isMatrix4 && !isArray) {
+        throw new TypeError(`Uniform "${name}" expects a THREE.Matrix4 or 16 numbers, got ${JSON.stringify(value)}`);
+      }
+      const out = target ?? new THREE.Matrix4();
+      return value.isMatrix4 ? out.copy(value) : out.fromArray(value);
+    }
+    case 'color': {
+      const isArray = Array.isArray(value) && value.length === 3 && value.every(isNumber);
+      if (!value?.isColor && !isArray) {
+        throw new TypeError(`Uniform "${name}" expects a THREE.Color or [r, g, b], got ${JSON.stringify(value)}`);
+      }
+      const out = target ?? new THREE.Color();
+      return value.isColor ? out.copy(value) : out.fromArray(value);
+    }
+    case 'texture':
+      if (value !== null && !value?.isTexture) {
+        throw new TypeError(`Uniform "${name}" expects a THREE.Texture or null, got ${JSON.stringify(value)}`);
+      }
+      return value;
+    default:
+      throw new TypeError(`Uniform "${name}" has unknown type "${spec.type}"`);
+  }
+}
+
+/**
+ * The uniform's default, as a fresh value.
+ * @param {string} name
+ */
+export function defaultUniformValue(name) {
+  return validateUniformValue(name, uniformSchema[name].default);
+}
+
+/**
+ * A `{ value }` uniform whose setter validates. Invalid writes are rejected
+ * with a warning (once per uniform) rather than thrown, since most writes
+ * happen inside the frame loop. Arrays, vectors, matrices and colours keep
+ * their instances: writes are copied into them, nothing is allocated.
+ */
+function createUniform(name) {
+  let current = defaultUniformValue(name);
+  let warned = false;
+  return {
+    get value() { return current; },
+    set value(next) {
+      try {
+        current = writeUniformValue(name, typeof current === 'object' && !current?.isTexture ? current : null, next);
+      } catch (err) {
+        if (!warned) console.warn(`[Uniforms] ${err.message} — write ignored`);
+        warned = true;
+      }
+    },
+  };
+}
+
+export const uniforms = Object.fromEntries(
+  Object.keys(uniformSchema).map((name) => [name, createUniform(name)])
+);